@@ -0,0 +1,100 @@
+const pool = require('./pool');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Append an entry to the audit log. Call it with the client of the transaction making
+ * the change, so the entry is only kept when the change is. Entries are never updated
+ * or deleted, and keep no foreign keys so they outlive what they describe.
+ * @param {Object} db - Pool or client (inside the change's transaction)
+ * @param {Object} entry
+ * @param {string} entry.workspaceId - Workspace ID
+ * @param {string|null} entry.actorId - User who made the change (null for background work)
+ * @param {string} entry.action - What happened, e.g. 'feature.update'
+ * @param {string} entry.entityType - 'feature', 'transcript' or 'mapping'
+ * @param {number} entry.entityId - ID of the changed row
+ * @param {number|null} entry.featureId - Feature whose activity the entry belongs to
+ * @param {number|null} entry.transcriptId - Transcript whose activity the entry belongs to
+ * @param {Object|null} entry.before - Changed values before the change (null when created)
+ * @param {Object|null} entry.after - Changed values after the change (null when deleted)
+ */
+async function recordAudit(db, entry) {
+  await db.query(
+    `INSERT INTO audit_log (workspace_id, actor_id, action, entity_type, entity_id, feature_id, transcript_id, before, after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      entry.workspaceId,
+      entry.actorId || null,
+      entry.action,
+      entry.entityType,
+      entry.entityId,
+      entry.featureId || null,
+      entry.transcriptId || null,
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null
+    ]
+  );
+}
+
+/**
+ * Keep only the values a change actually changed
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object|null} { before, after } with the changed keys, or null when nothing changed
+ */
+function changedValues(before, after) {
+  const keys = Object.keys(after).filter(key => before[key] !== after[key]);
+  if (keys.length === 0) {
+    return null;
+  }
+  return {
+    before: Object.fromEntries(keys.map(key => [key, before[key]])),
+    after: Object.fromEntries(keys.map(key => [key, after[key]]))
+  };
+}
+
+/**
+ * Get a workspace's audit log, newest first
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} filters - { featureId, transcriptId, entityType, beforeId (entries older than
+ *   this entry, for paging), limit (default 50, at most 200) }
+ * @returns {Promise<Array>} Entries with the actor's email and name
+ */
+async function getAuditLog(workspaceId, filters = {}) {
+  try {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const result = await pool.query(
+      `SELECT a.id, a.action, a.entity_type, a.entity_id, a.feature_id, a.transcript_id,
+              a.before, a.after, a.created_at, a.actor_id, u.email AS actor_email, u.name AS actor_name
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.actor_id
+       WHERE a.workspace_id = $1
+         AND ($2::int IS NULL OR a.feature_id = $2)
+         AND ($3::int IS NULL OR a.transcript_id = $3)
+         AND ($4::text IS NULL OR a.entity_type = $4)
+         AND ($5::bigint IS NULL OR a.id < $5)
+       ORDER BY a.id DESC
+       LIMIT $6`,
+      [
+        workspaceId,
+        filters.featureId || null,
+        filters.transcriptId || null,
+        filters.entityType || null,
+        filters.beforeId || null,
+        limit
+      ]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  recordAudit,
+  changedValues,
+  getAuditLog
+};
@@ -0,0 +1,379 @@
+const pool = require('./pool');
+const { insertPainPoint } = require('./transcripts');
+const { createQuoteVerifier } = require('../services/quoteVerifier');
+const { createSpeakerResolver } = require('../services/participants');
+const { recordAudit } = require('./audit');
+
+// Columns returned to API clients, with the feature's current name
+const RUN_COLUMNS = `r.id, r.workspace_id, r.feature_id, f.feature_name, r.status, r.total_transcripts,
+  r.processed_transcripts, r.mappings_added, r.cursor_transcript_id, r.last_transcript_id,
+  r.error, r.created_by, r.created_at, r.started_at, r.completed_at, r.updated_at`;
+
+/**
+ * Start a backfill for a feature over every transcript the workspace has saved so far
+ * @param {number} featureId - Feature ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} createdBy - User starting it (its model calls are reported as theirs)
+ * @returns {Promise<Object|null>} { run, created } - created is false when a backfill is already
+ *   queued, running or paused for the feature; null if the feature does not exist
+ */
+async function createBackfillRun(featureId, workspaceId = 'default', createdBy = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const featureResult = await client.query(
+      'SELECT id FROM features WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [featureId, workspaceId]
+    );
+
+    if (featureResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const activeResult = await client.query(
+      `SELECT ${RUN_COLUMNS}
+       FROM backfill_runs r JOIN features f ON f.id = r.feature_id
+       WHERE r.feature_id = $1 AND r.status IN ('queued', 'running', 'paused')
+       LIMIT 1`,
+      [featureId]
+    );
+
+    if (activeResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { run: activeResult.rows[0], created: false };
+    }
+
+    // Transcripts saved after this point are analyzed with the feature already in the list
+    const transcriptsResult = await client.query(
+      'SELECT COUNT(*) AS total, COALESCE(MAX(id), 0) AS last_id FROM transcripts WHERE workspace_id = $1 AND deleted_at IS NULL',
+      [workspaceId]
+    );
+
+    const insertResult = await client.query(
+      `INSERT INTO backfill_runs (workspace_id, feature_id, total_transcripts, last_transcript_id, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [workspaceId, featureId, parseInt(transcriptsResult.rows[0].total), transcriptsResult.rows[0].last_id, createdBy]
+    );
+
+    const runResult = await client.query(
+      `SELECT ${RUN_COLUMNS} FROM backfill_runs r JOIN features f ON f.id = r.feature_id WHERE r.id = $1`,
+      [insertResult.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+    return { run: runResult.rows[0], created: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating backfill run:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a backfill run
+ * @param {number} runId - Run ID
+ * @param {string|null} workspaceId - Only return the run if it belongs to this workspace (null: any workspace)
+ * @returns {Promise<Object|null>} Run with the feature's name and description, or null
+ */
+async function getBackfillRun(runId, workspaceId = null) {
+  try {
+    const result = await pool.query(
+      `SELECT ${RUN_COLUMNS}, f.description
+       FROM backfill_runs r JOIN features f ON f.id = r.feature_id
+       WHERE r.id = $1 AND ($2::text IS NULL OR r.workspace_id = $2)`,
+      [runId, workspaceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting backfill run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent backfill run for a feature, with its pending review count
+ * @param {number} featureId - Feature ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Run or null
+ */
+async function getLatestBackfillRun(featureId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT ${RUN_COLUMNS},
+         (SELECT COUNT(*) FROM feature_mappings fm
+          WHERE fm.backfill_run_id = r.id AND fm.review_status = 'pending' AND fm.deleted_at IS NULL) AS pending_review
+       FROM backfill_runs r JOIN features f ON f.id = r.feature_id
+       WHERE r.feature_id = $1 AND r.workspace_id = $2
+       ORDER BY r.created_at DESC
+       LIMIT 1`,
+      [featureId, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const run = result.rows[0];
+    return { ...run, pending_review: parseInt(run.pending_review) || 0 };
+  } catch (error) {
+    console.error('Error getting latest backfill run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim the oldest queued backfill run and mark it running
+ * @returns {Promise<Object|null>} Claimed run or null
+ */
+async function claimNextBackfillRun() {
+  try {
+    const result = await pool.query(`
+      UPDATE backfill_runs
+      SET status = 'running', started_at = COALESCE(started_at, NOW()), error = NULL, updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM backfill_runs
+        WHERE status = 'queued'
+        ORDER BY created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return getBackfillRun(result.rows[0].id);
+  } catch (error) {
+    console.error('Error claiming backfill run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the next transcript a run has not processed yet
+ * @param {Object} run - Backfill run
+ * @returns {Promise<Object|null>} { id, transcript_text, already_mapped } or null when done
+ */
+async function getNextBackfillTranscript(run) {
+  try {
+    const result = await pool.query(
+      `SELECT t.id, t.transcript_text,
+         EXISTS (
+           SELECT 1 FROM feature_mappings fm
+           JOIN pain_points pp ON pp.id = fm.pain_point_id
+           WHERE pp.transcript_id = t.id AND fm.feature_id = $4
+         ) AS already_mapped
+       FROM transcripts t
+       WHERE t.workspace_id = $1 AND t.id > $2 AND t.id <= $3 AND t.deleted_at IS NULL
+       ORDER BY t.id ASC
+       LIMIT 1`,
+      [run.workspace_id, run.cursor_transcript_id, run.last_transcript_id, run.feature_id]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting next backfill transcript:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the evidence found in one transcript and move the run's cursor past it.
+ * Both happen in one transaction, so a resumed run never processes a transcript twice.
+ * @param {Object} run - Backfill run (running)
+ * @param {Object} transcript - { id, transcript_text }
+ * @param {Object|null} feature - Analyzed feature ({ featureName, aiSummary, quotes }) or null if no evidence
+ * @returns {Promise<boolean>} False if the run stopped running in the meantime (nothing saved)
+ */
+async function recordBackfillResult(run, transcript, feature) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      'SELECT status FROM backfill_runs WHERE id = $1 FOR UPDATE',
+      [run.id]
+    );
+
+    if (runResult.rows.length === 0 || runResult.rows[0].status !== 'running') {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    let added = 0;
+
+    if (feature && feature.quotes.length > 0) {
+      const verifyQuote = createQuoteVerifier(transcript.transcript_text);
+      const resolveSpeakers = createSpeakerResolver(transcript.transcript_text);
+
+      for (const quoteObj of feature.quotes) {
+        const painPointId = await insertPainPoint(client, transcript.id, quoteObj, verifyQuote, resolveSpeakers);
+        await client.query(
+          `INSERT INTO feature_mappings (pain_point_id, feature_id, source, review_status, backfill_run_id)
+           VALUES ($1, $2, 'backfill', 'pending', $3)`,
+          [painPointId, run.feature_id, run.id]
+        );
+        added++;
+      }
+
+      await client.query(
+        `INSERT INTO transcript_feature_summaries (transcript_id, feature_id, ai_summary)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (transcript_id, feature_id) DO NOTHING`,
+        [transcript.id, run.feature_id, feature.aiSummary]
+      );
+    }
+
+    await client.query(
+      `UPDATE backfill_runs
+       SET cursor_transcript_id = $1, processed_transcripts = processed_transcripts + 1,
+           mappings_added = mappings_added + $2, updated_at = NOW()
+       WHERE id = $3`,
+      [transcript.id, added, run.id]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error recording backfill result:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set a run's status
+ * @param {number} runId - Run ID
+ * @param {string} status - New status
+ * @param {Array<string>} fromStatuses - Only change runs currently in one of these statuses
+ * @param {string|null} workspaceId - Only change the workspace's own run (null: any workspace)
+ * @param {string|null} error - Error message (for 'failed')
+ * @returns {Promise<boolean>} True if the run was updated
+ */
+async function setBackfillStatus(runId, status, fromStatuses, workspaceId = null, error = null) {
+  try {
+    const result = await pool.query(
+      `UPDATE backfill_runs
+       SET status = $2, error = $5, updated_at = NOW(),
+           completed_at = CASE WHEN $2 IN ('completed', 'failed', 'cancelled') THEN NOW() ELSE completed_at END
+       WHERE id = $1 AND status = ANY($3) AND ($4::text IS NULL OR workspace_id = $4)`,
+      [runId, status, fromStatuses, workspaceId, error]
+    );
+    return result.rowCount > 0;
+  } catch (err) {
+    console.error('Error updating backfill run:', err);
+    throw err;
+  }
+}
+
+/**
+ * Put runs that were running when the server stopped back in the queue
+ * @returns {Promise<number>} Number of requeued runs
+ */
+async function requeueInterruptedBackfills() {
+  try {
+    const result = await pool.query(
+      "UPDATE backfill_runs SET status = 'queued', updated_at = NOW() WHERE status = 'running'"
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error requeueing backfill runs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Approve or reject backfilled mappings awaiting review
+ * @param {string} action - 'approve' or 'reject'
+ * @param {Object} filter - { mappingId } for one mapping or { featureId } for all of a feature's pending mappings
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User reviewing them (for the audit log)
+ * @returns {Promise<number>} Number of mappings reviewed
+ */
+async function reviewBackfilledMappings(action, filter, workspaceId = 'default', actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const mappingsResult = await client.query(
+      `SELECT fm.id, fm.pain_point_id, fm.feature_id, pp.transcript_id, pp.pain_point, f.feature_name
+       FROM feature_mappings fm
+       JOIN pain_points pp ON pp.id = fm.pain_point_id
+       JOIN features f ON f.id = fm.feature_id
+       JOIN backfill_runs r ON r.id = fm.backfill_run_id
+       WHERE fm.review_status = 'pending' AND fm.deleted_at IS NULL AND r.workspace_id = $1
+         AND ($2::int IS NULL OR fm.id = $2)
+         AND ($3::int IS NULL OR r.feature_id = $3)
+       FOR UPDATE OF fm`,
+      [workspaceId, filter.mappingId || null, filter.featureId || null]
+    );
+
+    for (const mapping of mappingsResult.rows) {
+      if (action === 'approve') {
+        await client.query(
+          "UPDATE feature_mappings SET review_status = 'approved' WHERE id = $1",
+          [mapping.id]
+        );
+      } else {
+        // Rejected mappings go to the trash like any deleted mapping; the pain point stays
+        await client.query(
+          'UPDATE feature_mappings SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1',
+          [mapping.id, actorId]
+        );
+        await recordAudit(client, {
+          workspaceId,
+          actorId,
+          action: 'mapping.delete',
+          entityType: 'mapping',
+          entityId: mapping.id,
+          featureId: mapping.feature_id,
+          transcriptId: mapping.transcript_id,
+          before: { feature_name: mapping.feature_name, pain_point: mapping.pain_point, review_status: 'pending' }
+        });
+
+        // The backfill added the summary too; drop it with the transcript's last mapping
+        await client.query(
+          `DELETE FROM transcript_feature_summaries
+           WHERE transcript_id = $1 AND feature_id = $2
+             AND NOT EXISTS (
+               SELECT 1 FROM feature_mappings fm
+               JOIN pain_points pp ON pp.id = fm.pain_point_id
+               WHERE pp.transcript_id = $1 AND fm.feature_id = $2 AND fm.deleted_at IS NULL
+             )`,
+          [mapping.transcript_id, mapping.feature_id]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+    return mappingsResult.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error reviewing backfilled mappings:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  createBackfillRun,
+  getBackfillRun,
+  getLatestBackfillRun,
+  claimNextBackfillRun,
+  getNextBackfillTranscript,
+  recordBackfillResult,
+  setBackfillStatus,
+  requeueInterruptedBackfills,
+  reviewBackfilledMappings
+};
@@ -1,16 +1,40 @@
 const pool = require('./pool');
+const { customerEvidenceCondition } = require('./participants');
+const { recordAudit, changedValues } = require('./audit');
+const { DEFAULT_SEVERITY, FREQUENCY_WEIGHTS } = require('../services/painPointScores');
+
+// Orderings accepted by getAllFeaturesWithCounts
+const FEATURE_SORTS = {
+  painPoints: 'pain_point_count DESC',
+  impact: 'impact_score DESC, pain_point_count DESC',
+  severity: 'avg_severity DESC NULLS LAST, pain_point_count DESC',
+  recurring: 'recurring_count DESC, pain_point_count DESC'
+};
+
+/**
+ * SQL expression weighing a pain point by its severity and how often it occurs
+ * (unscored pain points count as medium severity, once)
+ * @param {string} alias - Alias of the pain_points table in the query
+ * @returns {string} SQL expression
+ */
+function impactExpression(alias) {
+  const weights = Object.entries(FREQUENCY_WEIGHTS)
+    .map(([frequency, weight]) => `WHEN '${frequency}' THEN ${weight}`)
+    .join(' ');
+  return `COALESCE(${alias}.severity, ${DEFAULT_SEVERITY}) * (CASE ${alias}.frequency ${weights} ELSE 1 END)`;
+}
 
 /**
- * Get all features for a user
- * @param {string} userId - User identifier (default: 'default')
+ * Get all features for a workspace
+ * @param {string} workspaceId - Workspace ID (default: 'default')
  * @param {string} status - Filter by status (default: 'active')
  * @returns {Promise<Array>} Array of feature objects
  */
-async function getFeatures(userId = 'default', status = 'active') {
+async function getFeatures(workspaceId = 'default', status = 'active') {
   try {
     const result = await pool.query(
-      'SELECT id, feature_name, description, status, is_suggestion, created_at, updated_at FROM features WHERE user_id = $1 AND status = $2 ORDER BY id ASC',
-      [userId, status]
+      'SELECT id, feature_name, description, status, is_suggestion, created_at, updated_at FROM features WHERE workspace_id = $1 AND status = $2 AND deleted_at IS NULL ORDER BY id ASC',
+      [workspaceId, status]
     );
     return result.rows;
   } catch (error) {
@@ -20,15 +44,15 @@ async function getFeatures(userId = 'default', status = 'active') {
 }
 
 /**
- * Get feature names only for a user (for backwards compatibility)
- * @param {string} userId - User identifier (default: 'default')
+ * Get feature names only for a workspace (for backwards compatibility)
+ * @param {string} workspaceId - Workspace ID (default: 'default')
  * @returns {Promise<Array>} Array of feature names
  */
-async function getFeatureNames(userId = 'default') {
+async function getFeatureNames(workspaceId = 'default') {
   try {
     const result = await pool.query(
-      'SELECT feature_name FROM features WHERE user_id = $1 ORDER BY id ASC',
-      [userId]
+      'SELECT feature_name FROM features WHERE workspace_id = $1 AND deleted_at IS NULL ORDER BY id ASC',
+      [workspaceId]
     );
     return result.rows.map(row => row.feature_name);
   } catch (error) {
@@ -38,31 +62,114 @@ async function getFeatureNames(userId = 'default') {
 }
 
 /**
- * Save multiple features for a user (replaces existing features)
- * @param {string} userId - User identifier
+ * Get a workspace's active features in the form sent to the model: ID, name, description
+ * and the most recent reviewed pain points mapped to each (customer evidence only)
+ * @param {string} workspaceId - Workspace ID
+ * @param {number} examplesPerFeature - Example pain points per feature (default 3)
+ * @returns {Promise<Array<{id: number, name: string, description: string|null, examplePainPoints: Array<string>}>>} Features
+ */
+async function getFeaturesForAnalysis(workspaceId = 'default', examplesPerFeature = 3) {
+  try {
+    const result = await pool.query(`
+      SELECT
+        f.id,
+        f.feature_name,
+        f.description,
+        ARRAY(
+          SELECT pp.pain_point
+          FROM feature_mappings fm
+          JOIN pain_points pp ON pp.id = fm.pain_point_id
+          JOIN transcripts t ON t.id = pp.transcript_id
+          WHERE fm.feature_id = f.id
+            AND t.workspace_id = f.workspace_id
+            AND fm.deleted_at IS NULL
+            AND t.deleted_at IS NULL
+            AND fm.review_status IS DISTINCT FROM 'pending'
+            AND ${customerEvidenceCondition('pp')}
+          ORDER BY pp.created_at DESC, pp.id DESC
+          LIMIT $2
+        ) AS example_pain_points
+      FROM features f
+      WHERE f.workspace_id = $1 AND f.status = 'active' AND f.deleted_at IS NULL
+      ORDER BY f.id ASC
+    `, [workspaceId, examplesPerFeature]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      name: row.feature_name,
+      description: row.description,
+      examplePainPoints: row.example_pain_points
+    }));
+  } catch (error) {
+    console.error('Error getting features for analysis:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save multiple features for a workspace (replaces existing features)
+ * @param {string} workspaceId - Workspace ID
  * @param {Array<string>} features - Array of feature names
+ * @param {string|null} actorId - User making the change (for the audit log)
  * @returns {Promise<number>} Number of features saved
  */
-async function saveFeatures(userId = 'default', features) {
+async function saveFeatures(workspaceId = 'default', features, actorId = null) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Delete existing manually-created active features for this user (keep AI suggestions)
-    await client.query('DELETE FROM features WHERE user_id = $1 AND is_suggestion = FALSE AND status = $2', [userId, 'active']);
+    // Move manually-created active features that are no longer in the list to the trash (keep AI suggestions).
+    // Features still in the list keep their row, so their IDs, descriptions and backfills survive.
+    const deletedResult = await client.query(
+      `UPDATE features SET deleted_at = NOW(), deleted_by = $4
+       WHERE workspace_id = $1 AND is_suggestion = FALSE AND status = $2 AND NOT (feature_name = ANY($3)) AND deleted_at IS NULL
+       RETURNING id, feature_name, description, status`,
+      [workspaceId, 'active', features || [], actorId]
+    );
+
+    for (const feature of deletedResult.rows) {
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'feature.delete',
+        entityType: 'feature',
+        entityId: feature.id,
+        featureId: feature.id,
+        before: { feature_name: feature.feature_name, description: feature.description, status: feature.status }
+      });
+    }
+
+    const existingResult = await client.query(
+      'SELECT feature_name FROM features WHERE workspace_id = $1 AND is_suggestion = FALSE AND status = $2 AND deleted_at IS NULL',
+      [workspaceId, 'active']
+    );
+    const existingNames = new Set(existingResult.rows.map(row => row.feature_name));
+    const newFeatures = (features || []).filter(feature => !existingNames.has(feature));
 
     // Insert new features with active status
-    if (features && features.length > 0) {
-      const values = features.map((feature, index) =>
+    if (newFeatures.length > 0) {
+      const values = newFeatures.map((feature, index) =>
         `($1, $${index + 2}, 'active', FALSE)`
       ).join(', ');
 
-      const params = [userId, ...features];
+      const params = [workspaceId, ...newFeatures];
 
-      await client.query(
-        `INSERT INTO features (user_id, feature_name, status, is_suggestion) VALUES ${values}`,
+      const insertedResult = await client.query(
+        `INSERT INTO features (workspace_id, feature_name, status, is_suggestion) VALUES ${values} RETURNING id, feature_name`,
         params
       );
+
+      for (const feature of insertedResult.rows) {
+        await recordAudit(client, {
+          workspaceId,
+          actorId,
+          action: 'feature.create',
+          entityType: 'feature',
+          entityId: feature.id,
+          featureId: feature.id,
+          after: { feature_name: feature.feature_name, status: 'active' }
+        });
+      }
     }
 
     await client.query('COMMIT');
@@ -77,42 +184,74 @@ async function saveFeatures(userId = 'default', features) {
 }
 
 /**
- * Delete all features for a user
- * @param {string} userId - User identifier
+ * Move all of a workspace's features to the trash
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
  * @returns {Promise<number>} Number of features deleted
  */
-async function deleteFeatures(userId = 'default') {
+async function deleteFeatures(workspaceId = 'default', actorId = null) {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      'DELETE FROM features WHERE user_id = $1',
-      [userId]
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE features SET deleted_at = NOW(), deleted_by = $2
+       WHERE workspace_id = $1 AND deleted_at IS NULL
+       RETURNING id, feature_name, description, status`,
+      [workspaceId, actorId]
     );
+
+    for (const feature of result.rows) {
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'feature.delete',
+        entityType: 'feature',
+        entityId: feature.id,
+        featureId: feature.id,
+        before: { feature_name: feature.feature_name, description: feature.description, status: feature.status }
+      });
+    }
+
+    await client.query('COMMIT');
     return result.rowCount;
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error deleting features:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
 /**
  * Get a single feature with its pain points grouped by transcript
- * @param {string} featureName - Feature name
- * @param {string} userId - User identifier
- * @returns {Promise<Object>} Feature with pain points
+ * @param {number} featureId - Feature ID (or the ID of a feature that was merged into it)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Feature with pain points (and redirectedFrom, the merged feature's old name,
+ *   when reached by a merged feature's ID), or null when not found
  */
-async function getFeatureDetails(featureName, userId = 'default') {
+async function getFeatureDetails(featureId, workspaceId = 'default') {
   try {
-    // Get feature details
+    // A merged feature's ID opens the feature it was merged into
     const featureResult = await pool.query(
-      'SELECT id, feature_name, description, status, is_suggestion FROM features WHERE feature_name = $1 AND user_id = $2',
-      [featureName, userId]
+      `SELECT f.id, f.feature_name, f.description, f.status, f.is_suggestion, r.from_name AS redirected_from
+       FROM features f
+       LEFT JOIN feature_redirects r ON r.feature_id = f.id AND r.from_feature_id = $1 AND r.workspace_id = $2
+       WHERE f.workspace_id = $2 AND f.deleted_at IS NULL
+         AND (f.id = $1 OR r.id IS NOT NULL)
+       ORDER BY f.id = $1 DESC, r.merged_at DESC
+       LIMIT 1`,
+      [featureId, workspaceId]
     );
-
     if (featureResult.rows.length === 0) {
       return null;
     }
 
-    const feature = featureResult.rows[0];
+    const { redirected_from: redirectedFrom, ...feature } = featureResult.rows[0];
+    if (feature.id !== featureId && redirectedFrom) {
+      feature.redirectedFrom = redirectedFrom;
+    }
 
     // Get pain points with transcript info
     const painPointsResult = await pool.query(`
@@ -120,15 +259,32 @@ async function getFeatureDetails(featureName, userId = 'default') {
         pp.id as pain_point_id,
         pp.pain_point,
         pp.quote,
+        pp.severity,
+        pp.severity_rationale,
+        pp.sentiment,
+        pp.frequency,
+        pp.category,
         t.id as transcript_id,
-        t.summary as transcript_name,
-        fm.id as mapping_id
+        COALESCE(t.title, t.summary) as transcript_name,
+        fm.id as mapping_id,
+        fm.source,
+        fm.review_status,
+        COALESCE((
+          SELECT json_agg(json_build_object('name', tp.name, 'role', tp.role, 'title', tp.title, 'company', tp.company) ORDER BY tp.id)
+          FROM pain_point_participants ppp
+          JOIN transcript_participants tp ON tp.id = ppp.participant_id
+          WHERE ppp.pain_point_id = pp.id
+        ), '[]') as participants,
+        ${customerEvidenceCondition('pp')} as is_customer_evidence
       FROM feature_mappings fm
       JOIN pain_points pp ON fm.pain_point_id = pp.id
       JOIN transcripts t ON pp.transcript_id = t.id
-      WHERE fm.feature_name = $1 AND t.user_id = $2
+      WHERE fm.feature_id = $1 AND t.workspace_id = $2 AND fm.deleted_at IS NULL AND t.deleted_at IS NULL
       ORDER BY t.created_at DESC, pp.id ASC
-    `, [featureName, userId]);
+    `, [feature.id, workspaceId]);
+
+    // Customers who raised the feature's pain points, once per transcript
+    const customers = new Map();
 
     // Group pain points by transcript
     const transcriptMap = {};
@@ -140,16 +296,36 @@ async function getFeatureDetails(featureName, userId = 'default') {
           painPoints: []
         };
       }
+
+      // Speakers other than interviewers; an unknown role may still be the customer
+      const raisedBy = row.participants.filter(participant => participant.role !== 'interviewer');
+      raisedBy.forEach(participant => {
+        const key = `${row.transcript_id}:${participant.name.toLowerCase()}`;
+        if (!customers.has(key)) {
+          customers.set(key, { ...participant, transcriptId: row.transcript_id });
+        }
+      });
+
       transcriptMap[row.transcript_id].painPoints.push({
         painPointId: row.pain_point_id,
         painPoint: row.pain_point,
         quote: row.quote,
-        mappingId: row.mapping_id
+        severity: row.severity,
+        severityRationale: row.severity_rationale,
+        sentiment: row.sentiment,
+        frequency: row.frequency,
+        category: row.category,
+        mappingId: row.mapping_id,
+        source: row.source || 'analysis',
+        reviewStatus: row.review_status,
+        raisedBy,
+        interviewerOnly: !row.is_customer_evidence
       });
     });
 
     return {
       ...feature,
+      customers: [...customers.values()],
       transcripts: Object.values(transcriptMap)
     };
   } catch (error) {
@@ -163,38 +339,41 @@ async function getFeatureDetails(featureName, userId = 'default') {
  * @param {number} featureId - Feature ID
  * @param {string} featureName - New feature name
  * @param {string} description - New description
- * @param {string} userId - User identifier
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
  * @returns {Promise<Object>} Updated feature
  */
-async function updateFeature(featureId, featureName, description, userId = 'default') {
+async function updateFeature(featureId, featureName, description, workspaceId = 'default', actorId = null) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Get old feature name
-    const oldFeatureResult = await client.query(
-      'SELECT feature_name FROM features WHERE id = $1 AND user_id = $2',
-      [featureId, userId]
+    const currentResult = await client.query(
+      'SELECT feature_name, description FROM features WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [featureId, workspaceId]
     );
 
-    if (oldFeatureResult.rows.length === 0) {
+    if (currentResult.rows.length === 0) {
       throw new Error('Feature not found');
     }
 
-    const oldFeatureName = oldFeatureResult.rows[0].feature_name;
-
-    // Update the feature
+    // Mappings refer to the feature by ID, so they follow the rename
     const result = await client.query(
-      'UPDATE features SET feature_name = $1, description = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
-      [featureName, description, featureId, userId]
+      'UPDATE features SET feature_name = $1, description = $2, updated_at = NOW() WHERE id = $3 AND workspace_id = $4 RETURNING *',
+      [featureName, description, featureId, workspaceId]
     );
 
-    // Update feature_mappings to reference the new feature name
-    if (oldFeatureName !== featureName) {
-      await client.query(
-        'UPDATE feature_mappings SET feature_name = $1 WHERE feature_name = $2',
-        [featureName, oldFeatureName]
-      );
+    const changes = changedValues(currentResult.rows[0], { feature_name: featureName, description });
+    if (changes) {
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'feature.update',
+        entityType: 'feature',
+        entityId: featureId,
+        featureId,
+        ...changes
+      });
     }
 
     await client.query('COMMIT');
@@ -209,31 +388,62 @@ async function updateFeature(featureId, featureName, description, userId = 'defa
 }
 
 /**
- * Delete a feature mapping (pain point to feature connection)
+ * Move a feature mapping (pain point to feature connection) to the trash
  * @param {number} mappingId - Mapping ID
+ * @param {string} workspaceId - Workspace ID (only mappings to the workspace's own features are deleted)
+ * @param {string|null} actorId - User making the change (for the audit log)
  * @returns {Promise<boolean>} Success
  */
-async function deleteFeatureMapping(mappingId) {
+async function deleteFeatureMapping(mappingId, workspaceId = 'default', actorId = null) {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      'DELETE FROM feature_mappings WHERE id = $1',
-      [mappingId]
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE feature_mappings fm
+       SET deleted_at = NOW(), deleted_by = $3
+       FROM features f, pain_points pp
+       WHERE f.id = fm.feature_id AND pp.id = fm.pain_point_id AND fm.id = $1 AND f.workspace_id = $2
+         AND fm.deleted_at IS NULL AND f.deleted_at IS NULL
+       RETURNING fm.id, fm.feature_id, fm.review_status, f.feature_name, pp.transcript_id, pp.pain_point`,
+      [mappingId, workspaceId, actorId]
     );
+
+    for (const mapping of result.rows) {
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'mapping.delete',
+        entityType: 'mapping',
+        entityId: mapping.id,
+        featureId: mapping.feature_id,
+        transcriptId: mapping.transcript_id,
+        before: { feature_name: mapping.feature_name, pain_point: mapping.pain_point, review_status: mapping.review_status }
+      });
+    }
+
+    await client.query('COMMIT');
     return result.rowCount > 0;
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error deleting feature mapping:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Get all features with their pain point counts
- * @param {string} userId - User identifier
+ * Get all features with their pain point counts and scores (interviewer-only quotes are not counted)
+ * @param {string} workspaceId - Workspace ID
  * @param {string} status - Filter by status (default: 'active')
+ * @param {string} sort - 'painPoints' (default), 'impact' (severity weighted by frequency),
+ *   'severity' (average severity) or 'recurring' (daily or weekly pain points)
  * @returns {Promise<Array>} Array of features with pain point counts
  */
-async function getAllFeaturesWithCounts(userId = 'default', status = 'active') {
+async function getAllFeaturesWithCounts(workspaceId = 'default', status = 'active', sort = 'painPoints') {
   try {
+    const orderBy = Object.hasOwn(FEATURE_SORTS, sort) ? FEATURE_SORTS[sort] : FEATURE_SORTS.painPoints;
     const result = await pool.query(`
       SELECT
         f.id,
@@ -243,14 +453,20 @@ async function getAllFeaturesWithCounts(userId = 'default', status = 'active') {
         f.is_suggestion,
         f.created_at,
         f.updated_at,
-        COUNT(DISTINCT pp.transcript_id) as pain_point_count
+        COUNT(DISTINCT pp.transcript_id) as pain_point_count,
+        AVG(pp.severity) as avg_severity,
+        COUNT(DISTINCT pp.id) FILTER (WHERE pp.severity >= 4) as high_severity_count,
+        COUNT(DISTINCT pp.id) FILTER (WHERE pp.frequency IN ('daily', 'weekly')) as recurring_count,
+        COALESCE(SUM(${impactExpression('pp')}), 0) as impact_score
       FROM features f
-      LEFT JOIN feature_mappings fm ON f.feature_name = fm.feature_name
-      LEFT JOIN pain_points pp ON fm.pain_point_id = pp.id
-      WHERE f.user_id = $1 AND f.status = $2
+      LEFT JOIN feature_mappings fm ON fm.feature_id = f.id AND fm.deleted_at IS NULL
+        AND fm.review_status IS DISTINCT FROM 'pending'
+      LEFT JOIN pain_points pp ON fm.pain_point_id = pp.id AND ${customerEvidenceCondition('pp')}
+        AND pp.transcript_id IN (SELECT id FROM transcripts WHERE workspace_id = $1 AND deleted_at IS NULL)
+      WHERE f.workspace_id = $1 AND f.status = $2 AND f.deleted_at IS NULL
       GROUP BY f.id, f.feature_name, f.description, f.status, f.is_suggestion, f.created_at, f.updated_at
-      ORDER BY pain_point_count DESC, f.id ASC
-    `, [userId, status]);
+      ORDER BY ${orderBy}, f.id ASC
+    `, [workspaceId, status]);
 
     return result.rows.map(row => ({
       id: row.id,
@@ -259,6 +475,10 @@ async function getAllFeaturesWithCounts(userId = 'default', status = 'active') {
       status: row.status,
       is_suggestion: row.is_suggestion,
       painPointCount: parseInt(row.pain_point_count) || 0,
+      avgSeverity: row.avg_severity === null ? null : Math.round(parseFloat(row.avg_severity) * 10) / 10,
+      highSeverityCount: parseInt(row.high_severity_count) || 0,
+      recurringCount: parseInt(row.recurring_count) || 0,
+      impactScore: Math.round(parseFloat(row.impact_score) * 10) / 10 || 0,
       created_at: row.created_at,
       updated_at: row.updated_at
     }));
@@ -271,24 +491,41 @@ async function getAllFeaturesWithCounts(userId = 'default', status = 'active') {
 /**
  * Archive a feature (set status to 'archived')
  * @param {number} featureId - Feature ID
- * @param {string} userId - User identifier
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
  * @returns {Promise<Object>} Archived feature
  */
-async function archiveFeature(featureId, userId = 'default') {
+async function archiveFeature(featureId, workspaceId = 'default', actorId = null) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Update the feature status to archived
-    const result = await client.query(
-      'UPDATE features SET status = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING *',
-      ['archived', featureId, userId]
+    const currentResult = await client.query(
+      'SELECT status FROM features WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [featureId, workspaceId]
     );
 
-    if (result.rows.length === 0) {
+    if (currentResult.rows.length === 0) {
       throw new Error('Feature not found');
     }
 
+    // Update the feature status to archived
+    const result = await client.query(
+      'UPDATE features SET status = $1, updated_at = NOW() WHERE id = $2 AND workspace_id = $3 RETURNING *',
+      ['archived', featureId, workspaceId]
+    );
+
+    await recordAudit(client, {
+      workspaceId,
+      actorId,
+      action: 'feature.archive',
+      entityType: 'feature',
+      entityId: featureId,
+      featureId,
+      before: { status: currentResult.rows[0].status },
+      after: { status: 'archived' }
+    });
+
     await client.query('COMMIT');
     return result.rows[0];
   } catch (error) {
@@ -301,54 +538,243 @@ async function archiveFeature(featureId, userId = 'default') {
 }
 
 /**
- * Delete a single feature and all its mappings
+ * Move a single feature to the trash (its mappings and summaries come back with it when restored)
  * @param {number} featureId - Feature ID
- * @param {string} userId - User identifier
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
  * @returns {Promise<boolean>} Success
  */
-async function deleteFeatureById(featureId, userId = 'default') {
+async function deleteFeatureById(featureId, workspaceId = 'default', actorId = null) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Get the feature name first
-    const featureResult = await client.query(
-      'SELECT feature_name FROM features WHERE id = $1 AND user_id = $2',
-      [featureId, userId]
+    // Its mappings and summaries stay, hidden while the feature is in the trash
+    const result = await client.query(
+      `UPDATE features SET deleted_at = NOW(), deleted_by = $3
+       WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL
+       RETURNING feature_name, description, status`,
+      [featureId, workspaceId, actorId]
     );
 
-    if (featureResult.rows.length === 0) {
-      throw new Error('Feature not found');
+    if (result.rows.length > 0) {
+      const feature = result.rows[0];
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'feature.delete',
+        entityType: 'feature',
+        entityId: featureId,
+        featureId,
+        before: { feature_name: feature.feature_name, description: feature.description, status: feature.status }
+      });
     }
 
-    const featureName = featureResult.rows[0].feature_name;
+    await client.query('COMMIT');
+    return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting feature:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move all of a feature's mappings, including those in the trash, to another feature. A pain point
+ * the target already has a live mapping for keeps the target's; the moved copy goes to the trash.
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} source - Feature the mappings move from ({ id, feature_name })
+ * @param {number} targetId - Feature the mappings move to
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<number>} Number of live mappings moved (not counting those moved to the trash)
+ */
+async function moveFeatureMappings(client, source, targetId, workspaceId, actorId = null) {
+  const result = await client.query(
+    `WITH duplicates AS (
+       SELECT fm.id FROM feature_mappings fm
+       WHERE fm.feature_id = $1 AND fm.deleted_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM feature_mappings other
+           WHERE other.pain_point_id = fm.pain_point_id AND other.feature_id = $2 AND other.deleted_at IS NULL
+         )
+     )
+     UPDATE feature_mappings fm
+     SET feature_id = $2,
+         deleted_at = CASE WHEN fm.id IN (SELECT id FROM duplicates) THEN NOW() ELSE fm.deleted_at END,
+         deleted_by = CASE WHEN fm.id IN (SELECT id FROM duplicates) THEN $3 ELSE fm.deleted_by END
+     FROM pain_points pp
+     WHERE pp.id = fm.pain_point_id AND fm.feature_id = $1
+     RETURNING fm.id, fm.deleted_at IS NULL AS live, fm.id IN (SELECT id FROM duplicates) AS duplicate,
+       fm.review_status, pp.transcript_id, pp.pain_point`,
+    [source.id, targetId, actorId]
+  );
+
+  for (const mapping of result.rows.filter(row => row.duplicate)) {
+    await recordAudit(client, {
+      workspaceId,
+      actorId,
+      action: 'mapping.delete',
+      entityType: 'mapping',
+      entityId: mapping.id,
+      featureId: targetId,
+      transcriptId: mapping.transcript_id,
+      before: { feature_name: source.feature_name, pain_point: mapping.pain_point, review_status: mapping.review_status }
+    });
+  }
+
+  return result.rows.filter(row => row.live).length;
+}
+
+/**
+ * Merge one feature into another: its pain points (with its mappings in the trash), per-transcript
+ * summaries and suggestion count move to the target, its old name redirects to the target and the
+ * feature is deleted for good (not moved to the trash), taking its evidence synthesis and backfill runs with it
+ * @param {number} featureId - ID of the feature to merge (removed)
+ * @param {number} targetFeatureId - ID of the feature it is merged into (kept)
+ * @param {string} workspaceId - Workspace ID (default: 'default')
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<Object|null>} { feature, mergedFrom, mappingsMoved, summariesMoved }, or null when either feature is not found
+ */
+async function mergeFeatures(featureId, targetFeatureId, workspaceId = 'default', actorId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const featuresResult = await client.query(
+      'SELECT id, feature_name, pain_points_count FROM features WHERE id = ANY($1) AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [[featureId, targetFeatureId], workspaceId]
+    );
 
-    // Delete all feature mappings for this feature
+    const source = featuresResult.rows.find(row => row.id === featureId);
+    const target = featuresResult.rows.find(row => row.id === targetFeatureId);
+    if (!source || !target) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // A transcript that already has a summary for the target keeps the target's; the merged
+    // feature's copy is deleted with it (ON DELETE CASCADE)
+    const mappingsMoved = await moveFeatureMappings(client, source, target.id, workspaceId, actorId);
+
+    const summariesResult = await client.query(
+      `UPDATE transcript_feature_summaries tfs
+       SET feature_id = $2
+       WHERE tfs.feature_id = $1
+         AND NOT EXISTS (SELECT 1 FROM transcript_feature_summaries other WHERE other.transcript_id = tfs.transcript_id AND other.feature_id = $2)`,
+      [source.id, target.id]
+    );
+
+    const updatedResult = await client.query(
+      `UPDATE features
+       SET pain_points_count = COALESCE(pain_points_count, 0) + $1,
+           duplicate_of_feature_id = NULLIF(duplicate_of_feature_id, $2),
+           duplicate_score = CASE WHEN duplicate_of_feature_id = $2 THEN NULL ELSE duplicate_score END,
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [source.pain_points_count || 0, source.id, target.id]
+    );
+
+    // Suggestions flagged as duplicates of the merged feature, and names that redirected to it, now point at the target
     await client.query(
-      'DELETE FROM feature_mappings WHERE feature_name = $1',
-      [featureName]
+      'UPDATE features SET duplicate_of_feature_id = $1 WHERE duplicate_of_feature_id = $2',
+      [target.id, source.id]
+    );
+    await client.query(
+      'UPDATE feature_redirects SET feature_id = $1 WHERE feature_id = $2',
+      [target.id, source.id]
     );
 
-    // Delete the feature
-    const result = await client.query(
-      'DELETE FROM features WHERE id = $1 AND user_id = $2',
-      [featureId, userId]
+    await client.query(
+      `INSERT INTO feature_redirects (workspace_id, from_feature_id, from_name, feature_id, into_name, mappings_moved, summaries_moved)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [workspaceId, source.id, source.feature_name, target.id, target.feature_name, mappingsMoved, summariesResult.rowCount]
     );
 
+    await client.query('DELETE FROM features WHERE id = $1', [source.id]);
+
+    // Listed in the activity of the feature that was kept, where its old name now leads
+    await recordAudit(client, {
+      workspaceId,
+      actorId,
+      action: 'feature.merge',
+      entityType: 'feature',
+      entityId: source.id,
+      featureId: target.id,
+      before: { feature_name: source.feature_name },
+      after: { feature_name: target.feature_name, mappings_moved: mappingsMoved, summaries_moved: summariesResult.rowCount }
+    });
+
     await client.query('COMMIT');
-    return result.rowCount > 0;
+    console.log(`Merged feature "${source.feature_name}" into "${target.feature_name}" (${mappingsMoved} pain points, ${summariesResult.rowCount} summaries)`);
+
+    return {
+      feature: updatedResult.rows[0],
+      mergedFrom: source.feature_name,
+      mappingsMoved,
+      summariesMoved: summariesResult.rowCount
+    };
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Error deleting feature:', error);
+    console.error('Error merging features:', error);
     throw error;
   } finally {
     client.release();
   }
 }
 
+/**
+ * Look up the IDs of a workspace's features by name, e.g. for evidence the model mapped by name.
+ * Active features come before suggestions with the same name, and the old name of a merged
+ * feature leads to the feature it was merged into unless another feature has taken the name.
+ * Features in the trash are left out.
+ * @param {string} workspaceId - Workspace ID (default: 'default')
+ * @param {Object} db - Pool or client to query with (to read inside a transaction)
+ * @returns {Promise<Map<string, number>>} Name -> feature ID
+ */
+async function getFeatureIdsByName(workspaceId = 'default', db = pool) {
+  try {
+    const featuresResult = await db.query(
+      `SELECT id, feature_name FROM features
+       WHERE workspace_id = $1 AND deleted_at IS NULL
+       ORDER BY CASE status WHEN 'active' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, id`,
+      [workspaceId]
+    );
+    const redirectsResult = await db.query(
+      `SELECT r.from_name, r.feature_id
+       FROM feature_redirects r
+       JOIN features f ON f.id = r.feature_id AND f.deleted_at IS NULL
+       WHERE r.workspace_id = $1
+       ORDER BY r.merged_at DESC`,
+      [workspaceId]
+    );
+
+    const featureIds = new Map();
+    for (const row of featuresResult.rows) {
+      if (!featureIds.has(row.feature_name)) {
+        featureIds.set(row.feature_name, row.id);
+      }
+    }
+    for (const row of redirectsResult.rows) {
+      if (!featureIds.has(row.from_name)) {
+        featureIds.set(row.from_name, row.feature_id);
+      }
+    }
+    return featureIds;
+  } catch (error) {
+    console.error('Error looking up feature IDs:', error);
+    throw error;
+  }
+}
+
 module.exports = {
+  FEATURE_SORTS,
   getFeatures,
   getFeatureNames,
+  getFeaturesForAnalysis,
   saveFeatures,
   deleteFeatures,
   getFeatureDetails,
@@ -356,5 +782,8 @@ module.exports = {
   deleteFeatureMapping,
   getAllFeaturesWithCounts,
   archiveFeature,
-  deleteFeatureById
+  deleteFeatureById,
+  mergeFeatures,
+  moveFeatureMappings,
+  getFeatureIdsByName
 };
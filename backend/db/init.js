@@ -1,14 +1,18 @@
 const pool = require('./pool');
+const { migrateFeatureMappingIds, migrateWorkspaceIds } = require('./migrate');
 
 async function initDatabase() {
   try {
     console.log('Initializing database schema...');
 
+    // Tables created before workspaces existed are scoped by user_id
+    await migrateWorkspaceIds();
+
     // Create features table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS features (
         id SERIAL PRIMARY KEY,
-        user_id TEXT NOT NULL DEFAULT 'default',
+        workspace_id TEXT NOT NULL DEFAULT 'default',
         feature_name TEXT NOT NULL,
         description TEXT,
         status TEXT DEFAULT 'active',
@@ -46,17 +50,28 @@ async function initDatabase() {
       ADD COLUMN IF NOT EXISTS pain_points_count INTEGER
     `);
 
+    // Suggestion flagged as a possible duplicate of another feature (see services/similarity.js)
+    await pool.query(`
+      ALTER TABLE features
+      ADD COLUMN IF NOT EXISTS duplicate_of_feature_id INTEGER REFERENCES features(id) ON DELETE SET NULL
+    `);
+
+    await pool.query(`
+      ALTER TABLE features
+      ADD COLUMN IF NOT EXISTS duplicate_score REAL
+    `);
+
     // Create index for faster queries
     await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_features_user_id
-      ON features(user_id)
+      CREATE INDEX IF NOT EXISTS idx_features_workspace_id
+      ON features(workspace_id)
     `);
 
     // Create transcripts table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS transcripts (
         id SERIAL PRIMARY KEY,
-        user_id TEXT NOT NULL DEFAULT 'default',
+        workspace_id TEXT NOT NULL DEFAULT 'default',
         transcript_text TEXT NOT NULL,
         summary TEXT,
         created_at TIMESTAMP DEFAULT NOW()
@@ -65,8 +80,111 @@ async function initDatabase() {
 
     // Create index for transcripts
     await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_transcripts_user_id
-      ON transcripts(user_id)
+      CREATE INDEX IF NOT EXISTS idx_transcripts_workspace_id
+      ON transcripts(workspace_id)
+    `);
+
+    // Create prompt_templates table (versioned analysis prompts, one active per workspace)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id SERIAL PRIMARY KEY,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        version INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        notes TEXT,
+        is_active BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        activated_at TIMESTAMP,
+        UNIQUE (workspace_id, version)
+      )
+    `);
+
+    // Only one active prompt version per workspace
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active
+      ON prompt_templates(workspace_id) WHERE is_active
+    `);
+
+    // Prompt version and model that produced each transcript's analysis
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS prompt_version_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL
+    `);
+
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS prompt_version INTEGER
+    `);
+
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS model TEXT
+    `);
+
+    // Imported file the transcript came from: format, file name, recording link,
+    // speaker turns and the text offset -> recording time index
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS source JSONB
+    `);
+
+    // Redaction applied before storage: mode, number of values replaced and the
+    // placeholder -> original mapping, encrypted with REDACTION_KEY
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS redaction_mode TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS redaction_count INTEGER NOT NULL DEFAULT 0
+    `);
+
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS redaction_map TEXT
+    `);
+
+    // Overview written by the analysis (the title can be edited afterwards)
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS title TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS executive_summary TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE transcripts
+      ADD COLUMN IF NOT EXISTS key_takeaways JSONB
+    `);
+
+    // Create redaction_settings table (per-workspace PII redaction mode, detectors and custom terms)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS redaction_settings (
+        workspace_id TEXT PRIMARY KEY,
+        mode TEXT NOT NULL DEFAULT 'off',
+        detectors JSONB NOT NULL,
+        custom_terms JSONB NOT NULL DEFAULT '[]',
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create transcript_participants table (speakers, their role and affiliation)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transcript_participants (
+        id SERIAL PRIMARY KEY,
+        transcript_id INTEGER NOT NULL REFERENCES transcripts(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        role TEXT,
+        title TEXT,
+        company TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(transcript_id, name)
+      )
     `);
 
     // Create pain_points table
@@ -80,18 +198,74 @@ async function initDatabase() {
       )
     `);
 
+    // Quote verification results (see services/quoteVerifier.js)
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS verification_status TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS quote_segments JSONB
+    `);
+
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS original_quote TEXT
+    `);
+
+    // Scores from the analysis (see services/painPointScores.js)
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS severity SMALLINT
+    `);
+
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS severity_rationale TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS sentiment TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS frequency TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE pain_points
+      ADD COLUMN IF NOT EXISTS category TEXT
+    `);
+
     // Create index for pain_points
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_pain_points_transcript_id
       ON pain_points(transcript_id)
     `);
 
+    // Create pain_point_participants table (the speakers whose turns a quote covers)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pain_point_participants (
+        pain_point_id INTEGER NOT NULL REFERENCES pain_points(id) ON DELETE CASCADE,
+        participant_id INTEGER NOT NULL REFERENCES transcript_participants(id) ON DELETE CASCADE,
+        PRIMARY KEY (pain_point_id, participant_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_pain_point_participants_participant_id
+      ON pain_point_participants(participant_id)
+    `);
+
     // Create feature_mappings table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS feature_mappings (
         id SERIAL PRIMARY KEY,
         pain_point_id INTEGER REFERENCES pain_points(id) ON DELETE CASCADE,
-        feature_name TEXT NOT NULL,
+        feature_id INTEGER NOT NULL REFERENCES features(id) ON DELETE CASCADE,
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
@@ -102,12 +276,59 @@ async function initDatabase() {
       ON feature_mappings(pain_point_id)
     `);
 
+    // Create backfill_runs table (searching stored transcripts for one newly added feature)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS backfill_runs (
+        id SERIAL PRIMARY KEY,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        feature_id INTEGER REFERENCES features(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'queued',
+        total_transcripts INTEGER NOT NULL DEFAULT 0,
+        processed_transcripts INTEGER NOT NULL DEFAULT 0,
+        mappings_added INTEGER NOT NULL DEFAULT 0,
+        cursor_transcript_id INTEGER NOT NULL DEFAULT 0,
+        last_transcript_id INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_backfill_runs_feature_id
+      ON backfill_runs(feature_id)
+    `);
+
+    // User who started the backfill, recorded as the user of its model calls
+    await pool.query(`
+      ALTER TABLE backfill_runs
+      ADD COLUMN IF NOT EXISTS created_by TEXT
+    `);
+
+    // Where a mapping came from ('analysis' or 'backfill') and whether it still needs review
+    await pool.query(`
+      ALTER TABLE feature_mappings
+      ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'analysis'
+    `);
+
+    await pool.query(`
+      ALTER TABLE feature_mappings
+      ADD COLUMN IF NOT EXISTS review_status TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE feature_mappings
+      ADD COLUMN IF NOT EXISTS backfill_run_id INTEGER REFERENCES backfill_runs(id) ON DELETE SET NULL
+    `);
+
     // Create transcript_feature_summaries table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS transcript_feature_summaries (
         id SERIAL PRIMARY KEY,
         transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
-        feature_name TEXT NOT NULL,
+        feature_id INTEGER NOT NULL REFERENCES features(id) ON DELETE CASCADE,
         ai_summary TEXT NOT NULL,
         created_at TIMESTAMP DEFAULT NOW()
       )
@@ -119,6 +340,327 @@ async function initDatabase() {
       ON transcript_feature_summaries(transcript_id)
     `);
 
+    // Mappings and summaries of databases created before they were keyed by feature ID
+    await migrateFeatureMappingIds();
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_feature_mappings_feature_id
+      ON feature_mappings(feature_id)
+    `);
+
+    // One summary per transcript and feature (mappings: see the trash below)
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_transcript_feature_summaries_transcript_id_feature_id
+      ON transcript_feature_summaries(transcript_id, feature_id)
+    `);
+
+    // Create transcript_reanalyses table (re-analysis diffs waiting to be accepted)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transcript_reanalyses (
+        id SERIAL PRIMARY KEY,
+        transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        status TEXT NOT NULL DEFAULT 'pending',
+        diff JSONB NOT NULL,
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transcript_reanalyses_transcript_id
+      ON transcript_reanalyses(transcript_id)
+    `);
+
+    // Create analysis_jobs table (background analysis queue)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS analysis_jobs (
+        id SERIAL PRIMARY KEY,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        status TEXT NOT NULL DEFAULT 'queued',
+        transcript_text TEXT NOT NULL,
+        features TEXT NOT NULL,
+        summary TEXT,
+        transcript_id INTEGER REFERENCES transcripts(id) ON DELETE SET NULL,
+        metadata JSONB,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create indexes for analysis_jobs
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_jobs_workspace_id
+      ON analysis_jobs(workspace_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status
+      ON analysis_jobs(status)
+    `);
+
+    // Imported file details, saved with the transcript when the job completes
+    await pool.query(`
+      ALTER TABLE analysis_jobs
+      ADD COLUMN IF NOT EXISTS source JSONB
+    `);
+
+    // Encrypted placeholder mapping for jobs whose transcript was redacted when queued
+    await pool.query(`
+      ALTER TABLE analysis_jobs
+      ADD COLUMN IF NOT EXISTS redaction_map TEXT
+    `);
+
+    // User who queued the job, recorded as the actor of the transcript it saves
+    await pool.query(`
+      ALTER TABLE analysis_jobs
+      ADD COLUMN IF NOT EXISTS created_by TEXT
+    `);
+
+    // Create analysis_usage table (tokens and estimated cost of every analysis; kept when the transcript is deleted)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS analysis_usage (
+        id SERIAL PRIMARY KEY,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        transcript_id INTEGER REFERENCES transcripts(id) ON DELETE SET NULL,
+        kind TEXT NOT NULL,
+        model TEXT,
+        prompt_version_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        estimated_cost NUMERIC(12, 6),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_usage_workspace_created
+      ON analysis_usage(workspace_id, created_at)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_usage_transcript_id
+      ON analysis_usage(transcript_id)
+    `);
+
+    // User whose analysis, job, backfill or synthesis made the model call (null for automatic syntheses)
+    await pool.query(`
+      ALTER TABLE analysis_usage
+      ADD COLUMN IF NOT EXISTS created_by TEXT
+    `);
+
+    // A reservation holds a model call's estimated cost against the budget while the call runs;
+    // recording the call's usage replaces the estimate (see db/usage.js)
+    await pool.query(`
+      ALTER TABLE analysis_usage
+      ADD COLUMN IF NOT EXISTS reserved BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    // Create usage_budgets table (optional monthly spending limit per workspace, in USD)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS usage_budgets (
+        workspace_id TEXT PRIMARY KEY,
+        monthly_limit NUMERIC(12, 2) NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create feature_syntheses table (cross-transcript evidence synthesis per feature, see services/featureSynthesis.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS feature_syntheses (
+        feature_id INTEGER PRIMARY KEY REFERENCES features(id) ON DELETE CASCADE,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        synthesis JSONB NOT NULL,
+        evidence_count INTEGER NOT NULL DEFAULT 0,
+        evidence_fingerprint TEXT NOT NULL,
+        attempted_fingerprint TEXT,
+        model TEXT,
+        error TEXT,
+        generated_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create feature_redirects table (one row per merged feature: where its old name now
+    // points, and the merge log)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS feature_redirects (
+        id SERIAL PRIMARY KEY,
+        workspace_id TEXT NOT NULL DEFAULT 'default',
+        from_feature_id INTEGER NOT NULL,
+        from_name TEXT NOT NULL,
+        feature_id INTEGER NOT NULL REFERENCES features(id) ON DELETE CASCADE,
+        into_name TEXT NOT NULL,
+        mappings_moved INTEGER NOT NULL DEFAULT 0,
+        summaries_moved INTEGER NOT NULL DEFAULT 0,
+        merged_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_feature_redirects_workspace_id_from_name
+      ON feature_redirects(workspace_id, from_name)
+    `);
+
+    // Create users table (the first account takes the ID 'default', so the personal
+    // workspace holding data saved before accounts existed is its own)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email
+      ON users(LOWER(email))
+    `);
+
+    // Create user_sessions table (browser sessions; only a hash of the cookie value is stored)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id
+      ON user_sessions(user_id)
+    `);
+
+    // Create api_tokens table (personal tokens for scripts; only a hash of the token is stored)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id
+      ON api_tokens(user_id)
+    `);
+
+    // Create workspaces table (the workspace_id of every other table; each account
+    // gets a personal workspace with the same ID)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create workspace_members table (who belongs to a workspace and their role)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'editor', 'viewer')),
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (workspace_id, user_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id
+      ON workspace_members(user_id)
+    `);
+
+    // Accounts created before workspaces existed get their personal workspace
+    await pool.query(`
+      INSERT INTO workspaces (id, name)
+      SELECT id, COALESCE(name, email) || '''s workspace' FROM users
+      ON CONFLICT (id) DO NOTHING
+    `);
+
+    await pool.query(`
+      INSERT INTO workspace_members (workspace_id, user_id, role)
+      SELECT id, id, 'admin' FROM users
+      ON CONFLICT (workspace_id, user_id) DO NOTHING
+    `);
+
+    // Data saved before any account was created waits in the 'default' workspace
+    // for the first account
+    await pool.query(`
+      INSERT INTO workspaces (id, name)
+      VALUES ('default', 'Default workspace')
+      ON CONFLICT (id) DO NOTHING
+    `);
+
+    // Append-only history of changes to features, transcripts and mappings (see db/audit.js).
+    // No foreign keys, so entries outlive the rows and users they describe.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        actor_id TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL CHECK (entity_type IN ('feature', 'transcript', 'mapping')),
+        entity_id INTEGER NOT NULL,
+        feature_id INTEGER,
+        transcript_id INTEGER,
+        before JSONB,
+        after JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_workspace_id
+      ON audit_log(workspace_id, id DESC)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_feature_id
+      ON audit_log(feature_id) WHERE feature_id IS NOT NULL
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_transcript_id
+      ON audit_log(transcript_id) WHERE transcript_id IS NOT NULL
+    `);
+
+    // Deleted transcripts, features and mappings stay in the trash until restored or
+    // purged (see db/trash.js); their dependent rows are kept and hidden with them
+    for (const table of ['transcripts', 'features', 'feature_mappings']) {
+      await pool.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by TEXT
+      `);
+
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at
+        ON ${table}(deleted_at) WHERE deleted_at IS NOT NULL
+      `);
+    }
+
+    // One mapping per pain point and feature, not counting mappings in the trash (so a
+    // merge can move a pain point onto a feature whose own mapping of it was deleted)
+    await pool.query('DROP INDEX IF EXISTS idx_feature_mappings_pain_point_id_feature_id');
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_feature_mappings_live_pain_point_id_feature_id
+      ON feature_mappings(pain_point_id, feature_id) WHERE deleted_at IS NULL
+    `);
+
     console.log('✓ Database schema initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -0,0 +1,226 @@
+const pool = require('./pool');
+
+// Columns returned to API clients (the transcript text itself is omitted)
+const JOB_COLUMNS = 'id, workspace_id, status, summary, transcript_id, metadata, error, created_at, started_at, completed_at, updated_at';
+
+/**
+ * Queue a new analysis job
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} transcriptText - Transcript to analyze
+ * @param {string} features - Feature list as JSON (see services/featureList.js)
+ * @param {string} summary - Short summary used as the transcript name
+ * @param {Object|null} source - Imported file details saved with the transcript
+ * @param {string|null} redactionMap - Sealed placeholder mapping when the transcript was redacted before queuing
+ * @param {string|null} createdBy - User queuing the job
+ * @returns {Promise<Object>} Created job
+ */
+async function createJob(workspaceId = 'default', transcriptText, features, summary, source = null, redactionMap = null, createdBy = null) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO analysis_jobs (workspace_id, status, transcript_text, features, summary, source, redaction_map, created_by)
+       VALUES ($1, 'queued', $2, $3, $4, $5, $6, $7)
+       RETURNING ${JOB_COLUMNS}`,
+      [workspaceId, transcriptText, features, summary, source ? JSON.stringify(source) : null, redactionMap, createdBy]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single job for a workspace
+ * @param {number} jobId - Job ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Job or null if not found
+ */
+async function getJobById(jobId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM analysis_jobs WHERE id = $1 AND workspace_id = $2`,
+      [jobId, workspaceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get recent jobs for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>} statuses - Only return jobs in these statuses (all when empty)
+ * @returns {Promise<Array>} Jobs, newest first
+ */
+async function getJobs(workspaceId = 'default', statuses = []) {
+  try {
+    const result = await pool.query(
+      `SELECT ${JOB_COLUMNS}
+       FROM analysis_jobs
+       WHERE workspace_id = $1 AND (cardinality($2::text[]) = 0 OR status = ANY($2))
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [workspaceId, statuses]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting analysis jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim the oldest queued job and mark it running
+ * @returns {Promise<Object|null>} Claimed job (including transcript text and features) or null
+ */
+async function claimNextJob() {
+  try {
+    const result = await pool.query(`
+      UPDATE analysis_jobs
+      SET status = 'running', started_at = NOW(), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM analysis_jobs
+        WHERE status = 'queued'
+        ORDER BY created_at ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error claiming analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a running job as completed
+ * @param {number} jobId - Job ID
+ * @param {number} transcriptId - ID of the saved transcript
+ * @param {Object} metadata - Analysis metadata
+ * @returns {Promise<boolean>} False if the job was cancelled while running
+ */
+async function completeJob(jobId, transcriptId, metadata) {
+  try {
+    const result = await pool.query(
+      `UPDATE analysis_jobs
+       SET status = 'completed', transcript_id = $2, metadata = $3, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running'`,
+      [jobId, transcriptId, JSON.stringify(metadata)]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error completing analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a job failure
+ * @param {number} jobId - Job ID
+ * @param {string} errorMessage - Failure reason
+ * @returns {Promise<boolean>} False if the job was no longer running
+ */
+async function failJob(jobId, errorMessage) {
+  try {
+    const result = await pool.query(
+      `UPDATE analysis_jobs
+       SET status = 'failed', error = $2, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running'`,
+      [jobId, errorMessage]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error failing analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {number} jobId - Job ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Cancelled job or null if it was not cancellable
+ */
+async function cancelJob(jobId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `UPDATE analysis_jobs
+       SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND workspace_id = $2 AND status IN ('queued', 'running')
+       RETURNING ${JOB_COLUMNS}`,
+      [jobId, workspaceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error cancelling analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a job has been cancelled
+ * @param {number} jobId - Job ID
+ * @returns {Promise<boolean>} True if cancelled
+ */
+async function isJobCancelled(jobId) {
+  const result = await pool.query(
+    'SELECT status FROM analysis_jobs WHERE id = $1',
+    [jobId]
+  );
+  return result.rows.length === 0 || result.rows[0].status === 'cancelled';
+}
+
+/**
+ * Delete a finished job record (queued and running jobs must be cancelled first)
+ * @param {number} jobId - Job ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>} Success
+ */
+async function deleteJob(jobId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `DELETE FROM analysis_jobs
+       WHERE id = $1 AND workspace_id = $2 AND status NOT IN ('queued', 'running')`,
+      [jobId, workspaceId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting analysis job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put jobs that were running when the server stopped back in the queue
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+async function requeueInterruptedJobs() {
+  try {
+    const result = await pool.query(`
+      UPDATE analysis_jobs
+      SET status = 'queued', started_at = NULL, updated_at = NOW()
+      WHERE status = 'running'
+    `);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error requeueing analysis jobs:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  createJob,
+  getJobById,
+  getJobs,
+  claimNextJob,
+  completeJob,
+  failJob,
+  cancelJob,
+  isJobCancelled,
+  deleteJob,
+  requeueInterruptedJobs
+};
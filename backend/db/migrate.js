@@ -221,6 +221,229 @@ async function rollbackMigration() {
   }
 }
 
+// Prefer active features, then suggestions, when several of a workspace's features share a name
+const FEATURE_PREFERENCE = "CASE f.status WHEN 'active' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, f.id";
+
+/**
+ * Migration: Key feature_mappings and transcript_feature_summaries by feature ID
+ *
+ * Both tables used to refer to features by name, which every user's features
+ * share. This migration (run by initDatabase after migrateWorkspaceIds, and safe to run again):
+ * 1. Adds feature_id columns referencing features
+ * 2. Keeps evidence whose feature was deleted by restoring the feature as archived
+ * 3. Fills feature_id from the name, looked up among the features of the transcript's workspace
+ * 4. Removes mappings and summaries that became duplicates
+ * 5. Drops the feature_name columns
+ */
+async function migrateFeatureMappingIds() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const columnCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.columns
+        WHERE table_name = 'feature_mappings' AND column_name = 'feature_name'
+      );
+    `);
+
+    if (!columnCheck.rows[0].exists) {
+      await client.query('COMMIT');
+      return { success: true, message: 'Migration already completed or not needed' };
+    }
+
+    console.log('Starting feature mapping ID migration...');
+
+    // Step 1: Add feature_id columns
+    console.log('Step 1: Adding feature_id columns...');
+    await client.query(`
+      ALTER TABLE feature_mappings
+      ADD COLUMN IF NOT EXISTS feature_id INTEGER REFERENCES features(id) ON DELETE CASCADE
+    `);
+
+    await client.query(`
+      ALTER TABLE transcript_feature_summaries
+      ADD COLUMN IF NOT EXISTS feature_id INTEGER REFERENCES features(id) ON DELETE CASCADE
+    `);
+
+    // Step 2: Restore deleted features that still have evidence, as archived features
+    console.log('Step 2: Restoring deleted features that still have evidence...');
+    const restoreResult = await client.query(`
+      INSERT INTO features (workspace_id, feature_name, status, is_suggestion)
+      SELECT DISTINCT evidence.workspace_id, evidence.feature_name, 'archived', FALSE
+      FROM (
+        SELECT t.workspace_id, fm.feature_name
+        FROM feature_mappings fm
+        JOIN pain_points pp ON pp.id = fm.pain_point_id
+        JOIN transcripts t ON t.id = pp.transcript_id
+        UNION
+        SELECT t.workspace_id, tfs.feature_name
+        FROM transcript_feature_summaries tfs
+        JOIN transcripts t ON t.id = tfs.transcript_id
+      ) evidence
+      WHERE NOT EXISTS (
+        SELECT 1 FROM features f
+        WHERE f.workspace_id = evidence.workspace_id AND f.feature_name = evidence.feature_name
+      )
+    `);
+    console.log(`Restored ${restoreResult.rowCount} features as archived`);
+
+    // Step 3: Fill feature_id from the name, among the features of the transcript's workspace
+    console.log('Step 3: Filling feature IDs...');
+    const mappingsResult = await client.query(`
+      UPDATE feature_mappings fm
+      SET feature_id = (
+        SELECT f.id FROM features f
+        WHERE f.workspace_id = t.workspace_id AND f.feature_name = fm.feature_name
+        ORDER BY ${FEATURE_PREFERENCE}
+        LIMIT 1
+      )
+      FROM pain_points pp
+      JOIN transcripts t ON t.id = pp.transcript_id
+      WHERE pp.id = fm.pain_point_id AND fm.feature_id IS NULL
+    `);
+
+    const summariesResult = await client.query(`
+      UPDATE transcript_feature_summaries tfs
+      SET feature_id = (
+        SELECT f.id FROM features f
+        WHERE f.workspace_id = t.workspace_id AND f.feature_name = tfs.feature_name
+        ORDER BY ${FEATURE_PREFERENCE}
+        LIMIT 1
+      )
+      FROM transcripts t
+      WHERE t.id = tfs.transcript_id AND tfs.feature_id IS NULL
+    `);
+    console.log(`Filled ${mappingsResult.rowCount} mappings and ${summariesResult.rowCount} summaries`);
+
+    // Step 4: Remove rows without a transcript, and duplicates (the earliest row is kept)
+    console.log('Step 4: Removing duplicate and detached rows...');
+    await client.query('DELETE FROM feature_mappings WHERE feature_id IS NULL');
+    await client.query('DELETE FROM transcript_feature_summaries WHERE feature_id IS NULL');
+
+    await client.query(`
+      DELETE FROM feature_mappings fm
+      USING feature_mappings earlier
+      WHERE earlier.pain_point_id = fm.pain_point_id AND earlier.feature_id = fm.feature_id AND earlier.id < fm.id
+    `);
+
+    await client.query(`
+      DELETE FROM transcript_feature_summaries tfs
+      USING transcript_feature_summaries earlier
+      WHERE earlier.transcript_id = tfs.transcript_id AND earlier.feature_id = tfs.feature_id AND earlier.id < tfs.id
+    `);
+
+    // Step 5: Drop the name columns
+    console.log('Step 5: Dropping feature_name columns...');
+    await client.query('ALTER TABLE feature_mappings ALTER COLUMN feature_id SET NOT NULL');
+    await client.query('ALTER TABLE transcript_feature_summaries ALTER COLUMN feature_id SET NOT NULL');
+    await client.query('ALTER TABLE feature_mappings DROP COLUMN feature_name');
+    await client.query('ALTER TABLE transcript_feature_summaries DROP COLUMN feature_name');
+
+    await client.query('COMMIT');
+    console.log('✓ Feature mapping ID migration completed successfully!');
+
+    return {
+      success: true,
+      message: 'Migration completed',
+      stats: {
+        featuresRestored: restoreResult.rowCount,
+        mappingsMigrated: mappingsResult.rowCount,
+        summariesMigrated: summariesResult.rowCount
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Tables whose rows belonged to a user before workspaces existed
+const WORKSPACE_TABLES = [
+  'features',
+  'transcripts',
+  'prompt_templates',
+  'redaction_settings',
+  'backfill_runs',
+  'transcript_reanalyses',
+  'analysis_jobs',
+  'analysis_usage',
+  'usage_budgets',
+  'feature_syntheses',
+  'feature_redirects'
+];
+
+// Indexes named after the user_id column
+const WORKSPACE_INDEXES = [
+  ['idx_features_user_id', 'idx_features_workspace_id'],
+  ['idx_transcripts_user_id', 'idx_transcripts_workspace_id'],
+  ['idx_analysis_jobs_user_id', 'idx_analysis_jobs_workspace_id'],
+  ['idx_analysis_usage_user_created', 'idx_analysis_usage_workspace_created'],
+  ['idx_feature_redirects_user_id_from_name', 'idx_feature_redirects_workspace_id_from_name']
+];
+
+/**
+ * Migration: Scope data by workspace instead of by user
+ *
+ * Every user's data moves to the personal workspace with the same ID (created
+ * by initDatabase), so this only renames columns. Run by initDatabase before
+ * anything refers to workspace_id, and safe to run again:
+ * 1. Renames user_id to workspace_id in every table that still has it
+ * 2. Renames the indexes named after user_id
+ */
+async function migrateWorkspaceIds() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const columnsResult = await client.query(`
+      SELECT table_name FROM information_schema.columns
+      WHERE table_schema = current_schema() AND column_name = 'user_id' AND table_name = ANY($1)
+    `, [WORKSPACE_TABLES]);
+
+    if (columnsResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return { success: true, message: 'Migration already completed or not needed' };
+    }
+
+    console.log('Starting workspace migration...');
+
+    // Step 1: Rename the columns (constraints and indexes follow)
+    console.log('Step 1: Renaming user_id columns...');
+    for (const { table_name: table } of columnsResult.rows) {
+      await client.query(`ALTER TABLE ${table} RENAME COLUMN user_id TO workspace_id`);
+    }
+
+    // Step 2: Rename the indexes
+    console.log('Step 2: Renaming indexes...');
+    for (const [from, to] of WORKSPACE_INDEXES) {
+      await client.query(`ALTER INDEX IF EXISTS ${from} RENAME TO ${to}`);
+    }
+
+    await client.query('COMMIT');
+    console.log('✓ Workspace migration completed successfully!');
+
+    return {
+      success: true,
+      message: 'Migration completed',
+      stats: {
+        tablesMigrated: columnsResult.rows.length
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Allow running from command line
 if (require.main === module) {
   const command = process.argv[2];
@@ -245,13 +468,36 @@ if (require.main === module) {
         console.error('Error:', error);
         process.exit(1);
       });
+  } else if (command === 'mapping-ids') {
+    migrateWorkspaceIds()
+      .then(() => migrateFeatureMappingIds())
+      .then(result => {
+        console.log('Result:', result);
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+      });
+  } else if (command === 'workspaces') {
+    migrateWorkspaceIds()
+      .then(result => {
+        console.log('Result:', result);
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+      });
   } else {
-    console.log('Usage: node migrate.js [migrate|rollback]');
+    console.log('Usage: node migrate.js [migrate|rollback|mapping-ids|workspaces]');
     process.exit(1);
   }
 }
 
 module.exports = {
   migrateFeatureSuggestions,
-  rollbackMigration
+  rollbackMigration,
+  migrateFeatureMappingIds,
+  migrateWorkspaceIds
 };
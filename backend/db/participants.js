@@ -0,0 +1,171 @@
+const pool = require('./pool');
+const { createSpeakerResolver, normalizeParticipants } = require('../services/participants');
+
+const PARTICIPANT_COLUMNS = 'id, transcript_id, name, role, title, company, created_at, updated_at';
+
+/**
+ * SQL condition that is true when a pain point counts as customer evidence:
+ * it is not made up solely of interviewer turns. Pain points without any
+ * attributed speaker (e.g. transcripts without speaker labels) still count.
+ * @param {string} alias - Alias of the pain_points table in the query
+ * @returns {string} SQL condition
+ */
+function customerEvidenceCondition(alias) {
+  return `(
+    NOT EXISTS (SELECT 1 FROM pain_point_participants ppp WHERE ppp.pain_point_id = ${alias}.id)
+    OR EXISTS (
+      SELECT 1 FROM pain_point_participants ppp
+      JOIN transcript_participants tp ON tp.id = ppp.participant_id
+      WHERE ppp.pain_point_id = ${alias}.id AND tp.role IS DISTINCT FROM 'interviewer'
+    )
+  )`;
+}
+
+/**
+ * Store a transcript's participants
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} transcriptId - Transcript ID
+ * @param {Array<Object>} participants - [{ name, role, title, company }]
+ */
+async function insertParticipants(client, transcriptId, participants) {
+  for (const participant of normalizeParticipants(participants)) {
+    await client.query(
+      `INSERT INTO transcript_participants (transcript_id, name, role, title, company)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (transcript_id, name) DO NOTHING`,
+      [transcriptId, participant.name, participant.role, participant.title, participant.company]
+    );
+  }
+}
+
+/**
+ * Attribute a pain point to the participants whose turns its quote covers
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} painPointId - Pain point ID
+ * @param {number} transcriptId - Transcript ID
+ * @param {Array<string>} speakerNames - Speaker names (see createSpeakerResolver)
+ */
+async function linkPainPointParticipants(client, painPointId, transcriptId, speakerNames) {
+  if (speakerNames.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO pain_point_participants (pain_point_id, participant_id)
+     SELECT $1, id FROM transcript_participants
+     WHERE transcript_id = $2 AND LOWER(name) = ANY($3)
+     ON CONFLICT DO NOTHING`,
+    [painPointId, transcriptId, speakerNames.map(name => name.toLowerCase())]
+  );
+}
+
+/**
+ * Get a transcript's participants
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} Participants in the order they were added
+ */
+async function getParticipants(transcriptId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT ${PARTICIPANT_COLUMNS} FROM transcript_participants
+       WHERE transcript_id = $1
+         AND transcript_id IN (SELECT id FROM transcripts WHERE workspace_id = $2 AND deleted_at IS NULL)
+       ORDER BY id`,
+      [transcriptId, workspaceId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting participants:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a transcript's participants with an edited list and re-attribute
+ * its pain points (renamed speakers must still match the transcript labels)
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<Object>} participants - [{ name, role, title, company }]
+ * @returns {Promise<Array|null>} Saved participants, or null if the transcript does not exist
+ */
+async function replaceParticipants(transcriptId, workspaceId, participants) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const transcriptResult = await client.query(
+      'SELECT transcript_text FROM transcripts WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [transcriptId, workspaceId]
+    );
+
+    if (transcriptResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const cleaned = normalizeParticipants(participants);
+
+    await client.query(
+      'DELETE FROM transcript_participants WHERE transcript_id = $1 AND NOT (LOWER(name) = ANY($2))',
+      [transcriptId, cleaned.map(participant => participant.name.toLowerCase())]
+    );
+
+    for (const participant of cleaned) {
+      const updateResult = await client.query(
+        `UPDATE transcript_participants
+         SET name = $1, role = $2, title = $3, company = $4, updated_at = NOW()
+         WHERE transcript_id = $5 AND LOWER(name) = LOWER($1)`,
+        [participant.name, participant.role, participant.title, participant.company, transcriptId]
+      );
+
+      if (updateResult.rowCount === 0) {
+        await client.query(
+          `INSERT INTO transcript_participants (transcript_id, name, role, title, company)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [transcriptId, participant.name, participant.role, participant.title, participant.company]
+        );
+      }
+    }
+
+    // Re-attribute every pain point of the transcript
+    await client.query(
+      `DELETE FROM pain_point_participants
+       WHERE pain_point_id IN (SELECT id FROM pain_points WHERE transcript_id = $1)`,
+      [transcriptId]
+    );
+
+    const resolveSpeakers = createSpeakerResolver(transcriptResult.rows[0].transcript_text);
+    const painPointsResult = await client.query(
+      'SELECT id, quote, quote_segments FROM pain_points WHERE transcript_id = $1',
+      [transcriptId]
+    );
+
+    for (const row of painPointsResult.rows) {
+      await linkPainPointParticipants(client, row.id, transcriptId, resolveSpeakers(row.quote_segments, row.quote));
+    }
+
+    const result = await client.query(
+      `SELECT ${PARTICIPANT_COLUMNS} FROM transcript_participants WHERE transcript_id = $1 ORDER BY id`,
+      [transcriptId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error replacing participants:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  customerEvidenceCondition,
+  insertParticipants,
+  linkPainPointParticipants,
+  getParticipants,
+  replaceParticipants
+};
@@ -0,0 +1,168 @@
+const pool = require('./pool');
+
+/**
+ * Get all prompt versions for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} Prompt versions, newest first
+ */
+async function getPromptVersions(workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT id, version, content, notes, is_active, created_at, activated_at
+       FROM prompt_templates
+       WHERE workspace_id = $1
+       ORDER BY version DESC`,
+      [workspaceId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting prompt versions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single prompt version for a workspace
+ * @param {number} promptId - Prompt version ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Prompt version or null if not found
+ */
+async function getPromptVersion(promptId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT id, version, content, notes, is_active, created_at, activated_at
+       FROM prompt_templates
+       WHERE id = $1 AND workspace_id = $2`,
+      [promptId, workspaceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the active prompt version for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Active prompt version, or null when the built-in prompt is in use
+ */
+async function getActivePrompt(workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT id, version, content, notes, is_active, created_at, activated_at
+       FROM prompt_templates
+       WHERE workspace_id = $1 AND is_active = TRUE`,
+      [workspaceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting active prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deactivate the workspace's active version and optionally activate another
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} workspaceId - Workspace ID
+ * @param {number|null} promptId - Version to activate, or null for the built-in prompt
+ * @returns {Promise<Object|null>} Activated version, or null
+ */
+async function setActiveVersion(client, workspaceId, promptId) {
+  await client.query(
+    'UPDATE prompt_templates SET is_active = FALSE WHERE workspace_id = $1 AND is_active = TRUE',
+    [workspaceId]
+  );
+
+  if (promptId === null) {
+    return null;
+  }
+
+  const result = await client.query(
+    `UPDATE prompt_templates
+     SET is_active = TRUE, activated_at = NOW()
+     WHERE id = $1 AND workspace_id = $2
+     RETURNING id, version, content, notes, is_active, created_at, activated_at`,
+    [promptId, workspaceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Save a new prompt version (versions are never edited in place)
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} content - Prompt text
+ * @param {string|null} notes - What changed in this version
+ * @param {boolean} activate - Make the new version active
+ * @returns {Promise<Object>} Created version
+ */
+async function createPromptVersion(workspaceId = 'default', content, notes = null, activate = false) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize version numbering per workspace
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`prompt_templates:${workspaceId}`]);
+
+    const insertResult = await client.query(
+      `INSERT INTO prompt_templates (workspace_id, version, content, notes)
+       VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_templates WHERE workspace_id = $1), $2, $3)
+       RETURNING id, version, content, notes, is_active, created_at, activated_at`,
+      [workspaceId, content, notes]
+    );
+    let prompt = insertResult.rows[0];
+
+    if (activate) {
+      prompt = await setActiveVersion(client, workspaceId, prompt.id);
+    }
+
+    await client.query('COMMIT');
+    return prompt;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating prompt version:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Make a prompt version the active one
+ * @param {number|null} promptId - Version to activate, or null to return to the built-in prompt
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null|false>} Activated version, null for the built-in prompt, or false if not found
+ */
+async function activatePromptVersion(promptId, workspaceId = 'default') {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const prompt = await setActiveVersion(client, workspaceId, promptId);
+
+    if (promptId !== null && !prompt) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query('COMMIT');
+    return prompt;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error activating prompt version:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getPromptVersions,
+  getPromptVersion,
+  getActivePrompt,
+  createPromptVersion,
+  activatePromptVersion
+};
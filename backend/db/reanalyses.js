@@ -0,0 +1,266 @@
+const pool = require('./pool');
+const { insertPainPoint, resolveFeatureId } = require('./transcripts');
+const { getFeatureIdsByName } = require('./features');
+const { createQuoteVerifier } = require('../services/quoteVerifier');
+const { createSpeakerResolver } = require('../services/participants');
+const { recordAudit } = require('./audit');
+
+const REANALYSIS_COLUMNS = 'id, transcript_id, status, diff, metadata, created_at, updated_at';
+
+/**
+ * Store a re-analysis diff, replacing any earlier one still pending for the transcript
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} diff - Diff from diffReanalysis
+ * @param {Object} metadata - Analysis metadata (model, prompt version, usage)
+ * @returns {Promise<Object>} Created re-analysis
+ */
+async function createReanalysis(transcriptId, workspaceId = 'default', diff, metadata) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE transcript_reanalyses SET status = 'superseded', updated_at = NOW()
+       WHERE transcript_id = $1 AND workspace_id = $2 AND status = 'pending'`,
+      [transcriptId, workspaceId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO transcript_reanalyses (transcript_id, workspace_id, diff, metadata)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${REANALYSIS_COLUMNS}`,
+      [transcriptId, workspaceId, JSON.stringify(diff), JSON.stringify(metadata)]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating re-analysis:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the pending re-analysis for a transcript
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Pending re-analysis or null
+ */
+async function getPendingReanalysis(transcriptId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `SELECT ${REANALYSIS_COLUMNS}
+       FROM transcript_reanalyses
+       WHERE transcript_id = $1 AND workspace_id = $2 AND status = 'pending'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [transcriptId, workspaceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting pending re-analysis:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply one diff item inside a transaction
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} transcript - { id, workspace_id }
+ * @param {string} kind - 'added', 'removed' or 'summaries'
+ * @param {Object} item - Diff item (with the featureId it concerns; diffs made before IDs name the feature
+ *   as it was when the diff was made)
+ * @param {Map<string, number>} featureIds - The workspace's features by name (see getFeatureIdsByName)
+ * @param {Function} verifyQuote - Verifier bound to the transcript text
+ * @param {Function} resolveSpeakers - Speaker resolver bound to the transcript text
+ * @param {string|null} actorId - User accepting the item (for the audit log)
+ */
+async function applyItem(client, transcript, kind, item, featureIds, verifyQuote, resolveSpeakers, actorId) {
+  const transcriptId = transcript.id;
+
+  if (kind === 'added') {
+    const featureId = await resolveFeatureId(client, featureIds, transcript.workspace_id, transcriptId, item);
+    const painPointId = await insertPainPoint(client, transcriptId, item, verifyQuote, resolveSpeakers);
+    const result = await client.query(
+      `WITH inserted AS (
+         INSERT INTO feature_mappings (pain_point_id, feature_id) VALUES ($1, $2) RETURNING id, feature_id
+       )
+       SELECT inserted.id, f.feature_name FROM inserted JOIN features f ON f.id = inserted.feature_id`,
+      [painPointId, featureId]
+    );
+
+    await recordAudit(client, {
+      workspaceId: transcript.workspace_id,
+      actorId,
+      action: 'mapping.create',
+      entityType: 'mapping',
+      entityId: result.rows[0].id,
+      featureId,
+      transcriptId,
+      after: { feature_name: result.rows[0].feature_name, pain_point: item.painPoint }
+    });
+    return;
+  }
+
+  if (kind === 'removed') {
+    // Moved to the trash like a mapping deleted from the feature drawer; the pain point stays
+    const result = await client.query(
+      `UPDATE feature_mappings fm
+       SET deleted_at = NOW(), deleted_by = $3
+       FROM features f, pain_points pp
+       WHERE f.id = fm.feature_id AND pp.id = fm.pain_point_id AND fm.id = $1 AND f.workspace_id = $2
+         AND fm.deleted_at IS NULL
+       RETURNING fm.id, fm.feature_id, fm.review_status, f.feature_name, pp.pain_point`,
+      [item.mappingId, transcript.workspace_id, actorId]
+    );
+
+    for (const mapping of result.rows) {
+      await recordAudit(client, {
+        workspaceId: transcript.workspace_id,
+        actorId,
+        action: 'mapping.delete',
+        entityType: 'mapping',
+        entityId: mapping.id,
+        featureId: mapping.feature_id,
+        transcriptId,
+        before: { feature_name: mapping.feature_name, pain_point: mapping.pain_point, review_status: mapping.review_status }
+      });
+    }
+    return;
+  }
+
+  // A summary for a feature that has since been deleted has nothing to update
+  let featureId = null;
+  if (Number.isInteger(item.featureId)) {
+    const featureResult = await client.query(
+      'SELECT id FROM features WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [item.featureId, transcript.workspace_id]
+    );
+    featureId = featureResult.rows.length > 0 ? featureResult.rows[0].id : null;
+  } else {
+    featureId = featureIds.get(item.featureName) || null;
+  }
+  if (!featureId) {
+    return;
+  }
+
+  if (item.newSummary === null) {
+    await client.query(
+      'DELETE FROM transcript_feature_summaries WHERE transcript_id = $1 AND feature_id = $2',
+      [transcriptId, featureId]
+    );
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO transcript_feature_summaries (transcript_id, feature_id, ai_summary) VALUES ($1, $2, $3)
+     ON CONFLICT (transcript_id, feature_id) DO UPDATE SET ai_summary = EXCLUDED.ai_summary`,
+    [transcriptId, featureId, item.newSummary]
+  );
+}
+
+/**
+ * Accept items of a pending re-analysis
+ * @param {number} reanalysisId - Re-analysis ID
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>|null} itemIds - Items to accept, or null for every pending item
+ * @param {string|null} actorId - User accepting them (for the audit log)
+ * @returns {Promise<Object|null>} Updated re-analysis (with appliedCount), or null if not found or no longer pending
+ */
+async function applyReanalysis(reanalysisId, transcriptId, workspaceId, itemIds = null, actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT r.id, r.diff, t.workspace_id, t.transcript_text
+       FROM transcript_reanalyses r
+       JOIN transcripts t ON t.id = r.transcript_id
+       WHERE r.id = $1 AND r.transcript_id = $2 AND t.workspace_id = $3 AND t.deleted_at IS NULL AND r.status = 'pending'
+       FOR UPDATE OF r`,
+      [reanalysisId, transcriptId, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { diff, transcript_text: transcriptText } = result.rows[0];
+    const transcript = { id: transcriptId, workspace_id: workspaceId };
+    const featureIds = await getFeatureIdsByName(workspaceId, client);
+    const verifyQuote = createQuoteVerifier(transcriptText);
+    const resolveSpeakers = createSpeakerResolver(transcriptText);
+    let appliedCount = 0;
+    let pendingCount = 0;
+
+    for (const kind of ['removed', 'added', 'summaries']) {
+      for (const item of diff[kind]) {
+        if (item.status !== 'pending') {
+          continue;
+        }
+
+        if (itemIds && !itemIds.includes(item.id)) {
+          pendingCount++;
+          continue;
+        }
+
+        await applyItem(client, transcript, kind, item, featureIds, verifyQuote, resolveSpeakers, actorId);
+        item.status = 'applied';
+        appliedCount++;
+      }
+    }
+
+    const updateResult = await client.query(
+      `UPDATE transcript_reanalyses
+       SET diff = $1, status = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING ${REANALYSIS_COLUMNS}`,
+      [JSON.stringify(diff), pendingCount === 0 ? 'applied' : 'pending', reanalysisId]
+    );
+
+    await client.query('COMMIT');
+    return { ...updateResult.rows[0], appliedCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error applying re-analysis:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Discard a pending re-analysis without applying the remaining items
+ * @param {number} reanalysisId - Re-analysis ID
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>} True if a pending re-analysis was discarded
+ */
+async function discardReanalysis(reanalysisId, transcriptId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      `UPDATE transcript_reanalyses SET status = 'discarded', updated_at = NOW()
+       WHERE id = $1 AND transcript_id = $2 AND workspace_id = $3 AND status = 'pending'`,
+      [reanalysisId, transcriptId, workspaceId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error discarding re-analysis:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  createReanalysis,
+  getPendingReanalysis,
+  applyReanalysis,
+  discardReanalysis
+};
@@ -0,0 +1,96 @@
+const pool = require('./pool');
+const { normalizeRedactionSettings } = require('../services/redaction');
+
+/**
+ * Format a redaction_settings row (or the defaults when the workspace has none)
+ * @param {Object|undefined} row - Database row
+ * @returns {Object} { mode, detectors, customTerms, updatedAt }
+ */
+function formatSettings(row) {
+  if (!row) {
+    return { ...normalizeRedactionSettings(null), updatedAt: null };
+  }
+
+  return {
+    ...normalizeRedactionSettings({ mode: row.mode, detectors: row.detectors, customTerms: row.custom_terms }),
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get a workspace's redaction settings
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { mode, detectors, customTerms, updatedAt } - mode 'off' when never set
+ */
+async function getRedactionSettings(workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      'SELECT mode, detectors, custom_terms, updated_at FROM redaction_settings WHERE workspace_id = $1',
+      [workspaceId]
+    );
+    return formatSettings(result.rows[0]);
+  } catch (error) {
+    console.error('Error getting redaction settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a workspace's redaction settings
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} settings - { mode, detectors, customTerms }
+ * @returns {Promise<Object>} Saved settings
+ */
+async function saveRedactionSettings(workspaceId = 'default', settings) {
+  try {
+    const cleaned = normalizeRedactionSettings(settings);
+    const result = await pool.query(
+      `INSERT INTO redaction_settings (workspace_id, mode, detectors, custom_terms, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (workspace_id) DO UPDATE
+       SET mode = EXCLUDED.mode, detectors = EXCLUDED.detectors, custom_terms = EXCLUDED.custom_terms, updated_at = NOW()
+       RETURNING mode, detectors, custom_terms, updated_at`,
+      [workspaceId, cleaned.mode, JSON.stringify(cleaned.detectors), JSON.stringify(cleaned.customTerms)]
+    );
+    return formatSettings(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving redaction settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored redaction of a transcript
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} { workspaceId, mode, count, sealed } or null if the transcript does not exist
+ */
+async function getTranscriptRedaction(transcriptId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(
+      'SELECT workspace_id, redaction_mode, redaction_count, redaction_map FROM transcripts WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [transcriptId, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      workspaceId: row.workspace_id,
+      mode: row.redaction_mode,
+      count: row.redaction_count,
+      sealed: row.redaction_map
+    };
+  } catch (error) {
+    console.error('Error getting transcript redaction:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getRedactionSettings,
+  saveRedactionSettings,
+  getTranscriptRedaction
+};
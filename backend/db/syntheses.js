@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const pool = require('./pool');
+const { customerEvidenceCondition } = require('./participants');
+
+/**
+ * SQL subquery (for LATERAL joins) giving the number of pain points mapped to a feature and a
+ * fingerprint of those mappings; a synthesis is stale once the fingerprint has changed.
+ * Only reviewed customer evidence counts, as on the Features page.
+ * @param {string} alias - Alias of the features table in the query
+ * @returns {string} SQL subquery returning evidence_count and fingerprint
+ */
+function currentEvidenceQuery(alias) {
+  return `(
+    SELECT
+      COUNT(*) AS evidence_count,
+      md5(COALESCE(string_agg(fm.id::text, ',' ORDER BY fm.id), '')) AS fingerprint
+    FROM feature_mappings fm
+    JOIN pain_points pp ON pp.id = fm.pain_point_id
+    JOIN transcripts t ON t.id = pp.transcript_id
+    WHERE fm.feature_id = ${alias}.id
+      AND t.workspace_id = ${alias}.workspace_id
+      AND fm.deleted_at IS NULL AND t.deleted_at IS NULL
+      AND fm.review_status IS DISTINCT FROM 'pending'
+      AND ${customerEvidenceCondition('pp')}
+  )`;
+}
+
+/**
+ * Get a feature and every pain point mapped to it, for synthesis
+ * @param {number} featureId - Feature ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} { feature: { id, name, description }, evidence, fingerprint }, or null when the feature is not found
+ */
+async function getSynthesisEvidence(featureId, workspaceId = 'default') {
+  try {
+    const featureResult = await pool.query(
+      'SELECT id, feature_name, description FROM features WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [featureId, workspaceId]
+    );
+
+    if (featureResult.rows.length === 0) {
+      return null;
+    }
+
+    const feature = featureResult.rows[0];
+    const evidenceResult = await pool.query(`
+      SELECT
+        fm.id as mapping_id,
+        pp.id as pain_point_id,
+        pp.pain_point,
+        pp.quote,
+        pp.severity,
+        pp.frequency,
+        t.id as transcript_id,
+        COALESCE(t.title, t.summary) as transcript_name,
+        COALESCE((
+          SELECT json_agg(json_build_object('name', tp.name, 'title', tp.title, 'company', tp.company) ORDER BY tp.id)
+          FROM pain_point_participants ppp
+          JOIN transcript_participants tp ON tp.id = ppp.participant_id
+          WHERE ppp.pain_point_id = pp.id AND tp.role IS DISTINCT FROM 'interviewer'
+        ), '[]') as raised_by
+      FROM feature_mappings fm
+      JOIN pain_points pp ON pp.id = fm.pain_point_id
+      JOIN transcripts t ON t.id = pp.transcript_id
+      WHERE fm.feature_id = $1
+        AND t.workspace_id = $2
+        AND fm.deleted_at IS NULL AND t.deleted_at IS NULL
+        AND fm.review_status IS DISTINCT FROM 'pending'
+        AND ${customerEvidenceCondition('pp')}
+      ORDER BY fm.id ASC
+    `, [feature.id, workspaceId]);
+
+    // Same fingerprint as currentEvidenceQuery computes in SQL
+    const fingerprint = crypto.createHash('md5')
+      .update(evidenceResult.rows.map(row => row.mapping_id).join(','))
+      .digest('hex');
+
+    return {
+      feature: { id: feature.id, name: feature.feature_name, description: feature.description },
+      evidence: evidenceResult.rows.map(row => ({
+        painPointId: row.pain_point_id,
+        painPoint: row.pain_point,
+        quote: row.quote,
+        severity: row.severity,
+        frequency: row.frequency,
+        transcriptId: row.transcript_id,
+        transcriptName: row.transcript_name || `Transcript #${row.transcript_id}`,
+        raisedBy: row.raised_by
+      })),
+      fingerprint
+    };
+  } catch (error) {
+    console.error('Error getting synthesis evidence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a feature's stored synthesis and whether the evidence has changed since it was generated
+ * @param {number} featureId - Feature ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} { synthesis, evidenceCount, currentEvidenceCount, stale, model, error, generatedAt }
+ *   (synthesis is null when none has been generated), or null when the feature is not found
+ */
+async function getFeatureSynthesis(featureId, workspaceId = 'default') {
+  try {
+    const result = await pool.query(`
+      SELECT
+        fs.synthesis,
+        fs.evidence_count,
+        fs.evidence_fingerprint,
+        fs.model,
+        fs.error,
+        fs.generated_at,
+        current.evidence_count as current_evidence_count,
+        current.fingerprint as current_fingerprint
+      FROM features f
+      CROSS JOIN LATERAL ${currentEvidenceQuery('f')} current
+      LEFT JOIN feature_syntheses fs ON fs.feature_id = f.id
+      WHERE f.id = $1 AND f.workspace_id = $2 AND f.deleted_at IS NULL
+    `, [featureId, workspaceId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      synthesis: row.synthesis,
+      evidenceCount: row.synthesis ? row.evidence_count : 0,
+      currentEvidenceCount: parseInt(row.current_evidence_count),
+      stale: row.synthesis ? row.evidence_fingerprint !== row.current_fingerprint : false,
+      model: row.model,
+      error: row.error,
+      generatedAt: row.generated_at
+    };
+  } catch (error) {
+    console.error('Error getting feature synthesis:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a newly generated synthesis (replacing the previous one)
+ * @param {number} featureId - Feature ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} entry - { synthesis, evidenceCount, fingerprint, model }
+ */
+async function saveFeatureSynthesis(featureId, workspaceId, { synthesis, evidenceCount, fingerprint, model }) {
+  try {
+    await pool.query(
+      `INSERT INTO feature_syntheses (feature_id, workspace_id, synthesis, evidence_count, evidence_fingerprint, attempted_fingerprint, model, error, generated_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $5, $6, NULL, NOW(), NOW())
+       ON CONFLICT (feature_id) DO UPDATE SET
+         synthesis = EXCLUDED.synthesis,
+         evidence_count = EXCLUDED.evidence_count,
+         evidence_fingerprint = EXCLUDED.evidence_fingerprint,
+         attempted_fingerprint = EXCLUDED.attempted_fingerprint,
+         model = EXCLUDED.model,
+         error = NULL,
+         generated_at = NOW(),
+         updated_at = NOW()`,
+      [featureId, workspaceId, JSON.stringify(synthesis), evidenceCount, fingerprint, model]
+    );
+  } catch (error) {
+    console.error('Error saving feature synthesis:', error);
+    throw error;
+  }
+}
+
+/**
+ * Note a failed refresh on an existing synthesis (which is kept). The automatic refresh
+ * does not try the same evidence again unless attemptedFingerprint is null.
+ * @param {number} featureId - Feature ID
+ * @param {string|null} attemptedFingerprint - Fingerprint of the evidence that failed
+ * @param {string} message - Error message
+ */
+async function recordSynthesisFailure(featureId, attemptedFingerprint, message) {
+  try {
+    await pool.query(
+      `UPDATE feature_syntheses
+       SET error = $2, attempted_fingerprint = COALESCE($3, attempted_fingerprint), updated_at = NOW()
+       WHERE feature_id = $1`,
+      [featureId, message, attemptedFingerprint]
+    );
+  } catch (error) {
+    console.error('Error recording synthesis failure:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find syntheses whose evidence has changed and that have not already failed on that evidence
+ * @param {number} limit - Maximum number of syntheses to return
+ * @returns {Promise<Array<{featureId: number, workspaceId: string}>>} Oldest first
+ */
+async function getStaleSyntheses(limit = 10) {
+  try {
+    const result = await pool.query(`
+      SELECT fs.feature_id, fs.workspace_id
+      FROM feature_syntheses fs
+      JOIN features f ON f.id = fs.feature_id
+      CROSS JOIN LATERAL ${currentEvidenceQuery('f')} current
+      WHERE f.status = 'active' AND f.deleted_at IS NULL
+        AND current.evidence_count > 0
+        AND current.fingerprint <> fs.evidence_fingerprint
+        AND current.fingerprint IS DISTINCT FROM fs.attempted_fingerprint
+      ORDER BY fs.generated_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(row => ({ featureId: row.feature_id, workspaceId: row.workspace_id }));
+  } catch (error) {
+    console.error('Error getting stale syntheses:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getSynthesisEvidence,
+  getFeatureSynthesis,
+  saveFeatureSynthesis,
+  recordSynthesisFailure,
+  getStaleSyntheses
+};
@@ -1,95 +1,317 @@
 const pool = require('./pool');
+const { createQuoteVerifier } = require('../services/quoteVerifier');
+const { findQuoteTimestamp } = require('../services/importers');
+const { listSpeakers, combineParticipants, createSpeakerResolver } = require('../services/participants');
+const { insertParticipants, linkPainPointParticipants } = require('./participants');
+const { linkUsageToTranscript } = require('./usage');
+const { createRedactionSession, transformAnalysis, redactWithSource, sealEntries } = require('../services/redaction');
+const { normalizePainPointScores } = require('../services/painPointScores');
+const { MAX_TITLE_LENGTH, MAX_KEY_TAKEAWAYS } = require('../services/analysisSchema');
+const { findSimilarFeatures, getSimilarityThresholds } = require('../services/similarity');
+const { getFeatureIdsByName, moveFeatureMappings } = require('./features');
+const { recordAudit, changedValues } = require('./audit');
+
+/**
+ * Insert a pain point, verifying its quote against the transcript first
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} transcriptId - Transcript ID
+ * @param {Object} quoteObj - Quote object ({ quote, painPoint } and optional scores, see normalizePainPointScores)
+ * @param {Function} verifyQuote - Verifier bound to the transcript text
+ * @param {Function} resolveSpeakers - Speaker resolver bound to the transcript text (optional);
+ *   when given, the pain point is attributed to the participants its quote covers
+ * @returns {Promise<number>} Pain point ID
+ */
+async function insertPainPoint(client, transcriptId, quoteObj, verifyQuote, resolveSpeakers = null) {
+  const verification = verifyQuote(quoteObj.quote);
+  const scores = normalizePainPointScores(quoteObj);
+
+  const result = await client.query(
+    `INSERT INTO pain_points (transcript_id, pain_point, quote, verification_status, quote_segments, original_quote,
+       severity, severity_rationale, sentiment, frequency, category)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+    [
+      transcriptId,
+      quoteObj.painPoint,
+      verification.quote,
+      verification.status,
+      JSON.stringify(verification.segments),
+      quoteObj.originalQuote || verification.originalQuote,
+      scores.severity,
+      scores.severityRationale,
+      scores.sentiment,
+      scores.frequency,
+      scores.category
+    ]
+  );
+  const painPointId = result.rows[0].id;
+
+  if (resolveSpeakers) {
+    await linkPainPointParticipants(client, painPointId, transcriptId, resolveSpeakers(verification.segments, verification.quote));
+  }
+
+  return painPointId;
+}
+
+/**
+ * Clean an analysis overview for storage
+ * @param {Object} overview - { title, executiveSummary, keyTakeaways } (any may be missing)
+ * @returns {{title: string|null, executiveSummary: string|null, keyTakeaways: Array<string>}} Overview
+ */
+function normalizeOverview(overview = {}) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const { title, executiveSummary, keyTakeaways } = overview || {};
+
+  return {
+    title: text(title) ? text(title).slice(0, MAX_TITLE_LENGTH) : null,
+    executiveSummary: text(executiveSummary),
+    keyTakeaways: Array.isArray(keyTakeaways)
+      ? keyTakeaways.map(text).filter(Boolean).slice(0, MAX_KEY_TAKEAWAYS)
+      : []
+  };
+}
+
+/**
+ * Find the feature an analysis mapped evidence to: by the featureId of the listed feature when
+ * it has one (so a feature renamed while its job was queued keeps its evidence), otherwise by
+ * name. A feature the workspace no longer has (e.g. deleted while its job was queued, or a name
+ * sent by an API client) is saved as a new pending suggestion, so its evidence can still be reviewed.
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Map<string, number>} featureIds - The workspace's features by name (see getFeatureIdsByName); new suggestions are added to it
+ * @param {string} workspaceId - Workspace ID
+ * @param {number} transcriptId - Transcript the evidence comes from
+ * @param {Object} feature - { featureId, featureName, aiSummary }
+ * @returns {Promise<number>} Feature ID
+ */
+async function resolveFeatureId(client, featureIds, workspaceId, transcriptId, feature) {
+  if (Number.isInteger(feature.featureId)) {
+    const result = await client.query(
+      'SELECT id FROM features WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [feature.featureId, workspaceId]
+    );
+    if (result.rows.length > 0) {
+      return result.rows[0].id;
+    }
+  }
+
+  if (featureIds.has(feature.featureName)) {
+    return featureIds.get(feature.featureName);
+  }
+
+  const result = await client.query(
+    `INSERT INTO features (workspace_id, feature_name, description, status, is_suggestion, transcript_id, pain_points_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+    [workspaceId, feature.featureName, feature.aiSummary || null, 'pending', true, transcriptId, 1]
+  );
+  featureIds.set(feature.featureName, result.rows[0].id);
+
+  console.log(`"${feature.featureName}" is not one of the workspace's features; saved its evidence as a suggestion`);
+  return result.rows[0].id;
+}
 
 /**
  * Save a transcript with its feature mappings and summaries
+ * options: { promptVersionId, model, source, participants, overview, redaction, redactionEntries, usageId } - the prompt
+ * version (null for the built-in prompt) and model used, the imported file the transcript came from
+ * (see sanitizeSource), the participants and overview ({ title, executiveSummary, keyTakeaways }) reported
+ * by the analysis and the workspace's redaction settings;
+ * in 'storage' mode everything is redacted before it is written, continuing from redactionEntries
+ * (the mapping of a transcript that was already redacted, e.g. when its job was queued);
+ * usageId is the recorded usage of the analysis the transcript came from;
+ * actorId is the user saving it (for the audit log)
  */
-async function saveTranscript(userId, transcriptText, summary, features, newFeatureSuggestions = []) {
+async function saveTranscript(workspaceId, transcriptText, summary, features, newFeatureSuggestions = [], options = {}) {
+  let participants = options.participants;
+  let overview = normalizeOverview(options.overview);
+  let redactionMode = null;
+  let redactionCount = 0;
+  let redactionMap = null;
+  let source = options.source || null;
+
+  if (options.redaction && options.redaction.mode === 'storage') {
+    // The transcript goes first so placeholders are numbered as they were for the analysis
+    const session = createRedactionSession(options.redaction, options.redactionEntries || []);
+    ({ text: transcriptText, source } = redactWithSource(session, transcriptText, source));
+    summary = session.redact(summary);
+    const redacted = transformAnalysis({ ...overview, features, newFeatureSuggestions, participants }, session.redact);
+    features = redacted.features;
+    newFeatureSuggestions = redacted.newFeatureSuggestions;
+    participants = redacted.participants;
+    overview = { title: redacted.title, executiveSummary: redacted.executiveSummary, keyTakeaways: redacted.keyTakeaways };
+
+    redactionMode = 'storage';
+    redactionCount = session.entries.length;
+    redactionMap = sealEntries(session.entries);
+  }
+
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
+    // Record the version number alongside the ID, but only for the workspace's own prompt versions
+    let promptVersionId = null;
+    let promptVersion = null;
+    if (options.promptVersionId) {
+      const promptResult = await client.query(
+        'SELECT id, version FROM prompt_templates WHERE id = $1 AND workspace_id = $2',
+        [options.promptVersionId, workspaceId]
+      );
+      if (promptResult.rows.length > 0) {
+        promptVersionId = promptResult.rows[0].id;
+        promptVersion = promptResult.rows[0].version;
+      }
+    }
+
     // Insert transcript
     const transcriptResult = await client.query(
-      'INSERT INTO transcripts (user_id, transcript_text, summary) VALUES ($1, $2, $3) RETURNING id',
-      [userId, transcriptText, summary]
+      `INSERT INTO transcripts (workspace_id, transcript_text, summary, prompt_version_id, prompt_version, model, source, redaction_mode, redaction_count, redaction_map,
+                                title, executive_summary, key_takeaways)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id`,
+      [
+        workspaceId,
+        transcriptText,
+        summary,
+        promptVersionId,
+        promptVersion,
+        options.model || null,
+        source ? JSON.stringify(source) : null,
+        redactionMode,
+        redactionCount,
+        redactionMap,
+        overview.title,
+        overview.executiveSummary,
+        overview.keyTakeaways.length > 0 ? JSON.stringify(overview.keyTakeaways) : null
+      ]
     );
     const transcriptId = transcriptResult.rows[0].id;
 
+    await recordAudit(client, {
+      workspaceId,
+      actorId: options.actorId,
+      action: 'transcript.create',
+      entityType: 'transcript',
+      entityId: transcriptId,
+      transcriptId,
+      after: { title: overview.title, summary, model: options.model || null }
+    });
+
+    if (options.usageId) {
+      await linkUsageToTranscript(client, options.usageId, transcriptId, workspaceId);
+    }
+
+    // Speakers labelled in the transcript, described by the analysis where it could
+    await insertParticipants(client, transcriptId, combineParticipants(participants, listSpeakers(transcriptText)));
+
+    // Quotes are checked against the transcript text that is actually stored
+    const verifyQuote = createQuoteVerifier(transcriptText);
+    const resolveSpeakers = createSpeakerResolver(transcriptText);
+
+    // Evidence without a featureId is matched by name; an analysis run against a feature list
+    // from before a merge may still use the merged feature's old name
+    const featureIds = await getFeatureIdsByName(workspaceId, client);
+    const summarizedFeatures = new Set();
+
     // Insert features, their summaries, pain points, and mappings
     for (const feature of features) {
+      const featureId = await resolveFeatureId(client, featureIds, workspaceId, transcriptId, feature);
+
       // Insert the AI summary for this feature
-      await client.query(
-        'INSERT INTO transcript_feature_summaries (transcript_id, feature_name, ai_summary) VALUES ($1, $2, $3)',
-        [transcriptId, feature.featureName, feature.aiSummary]
-      );
+      if (!summarizedFeatures.has(featureId)) {
+        await client.query(
+          'INSERT INTO transcript_feature_summaries (transcript_id, feature_id, ai_summary) VALUES ($1, $2, $3)',
+          [transcriptId, featureId, feature.aiSummary]
+        );
+        summarizedFeatures.add(featureId);
+      }
 
       // Insert pain points and feature mappings for each quote
       for (const quoteObj of feature.quotes) {
-        const painPointResult = await client.query(
-          'INSERT INTO pain_points (transcript_id, pain_point, quote) VALUES ($1, $2, $3) RETURNING id',
-          [transcriptId, quoteObj.painPoint, quoteObj.quote]
-        );
-        const painPointId = painPointResult.rows[0].id;
+        const painPointId = await insertPainPoint(client, transcriptId, quoteObj, verifyQuote, resolveSpeakers);
 
         // Insert feature mapping
         await client.query(
-          'INSERT INTO feature_mappings (pain_point_id, feature_name) VALUES ($1, $2)',
-          [painPointId, feature.featureName]
+          'INSERT INTO feature_mappings (pain_point_id, feature_id) VALUES ($1, $2)',
+          [painPointId, featureId]
         );
       }
     }
 
-    // Insert new feature suggestions directly into features table with 'pending' status
+    // Insert new feature suggestions directly into features table with 'pending' status.
+    // A suggestion very similar to an earlier suggestion (pending or archived) is merged into it;
+    // one that resembles any feature, including active ones, is saved with a "possible duplicate"
+    // link for someone to review rather than merged into curated evidence automatically.
+    const thresholds = getSimilarityThresholds();
+    const existingFeatures = (await client.query(
+      'SELECT id, feature_name AS name, description, status FROM features WHERE workspace_id = $1 AND status IN ($2, $3, $4) AND deleted_at IS NULL',
+      [workspaceId, 'active', 'pending', 'archived']
+    )).rows;
+
     for (const suggestion of newFeatureSuggestions) {
-      // Check if similar suggestion already exists for this user (pending or archived)
-      const similarSuggestions = await client.query(`
-        SELECT id, pain_points_count, status
-        FROM features
-        WHERE user_id = $1
-        AND LOWER(feature_name) = LOWER($2)
-        AND status IN ('pending', 'archived')
-        ORDER BY created_at DESC
-        LIMIT 1
-      `, [userId, suggestion.featureName]);
+      const matches = findSimilarFeatures(
+        { name: suggestion.featureName, description: suggestion.aiSummary },
+        existingFeatures
+      );
+      const mergeMatch = matches.find(match => match.feature.status !== 'active' && match.score >= thresholds.merge);
+      const mergeTarget = mergeMatch ? mergeMatch.feature : null;
 
       let featureId;
-      let painPointsCount;
 
-      if (similarSuggestions.rows.length > 0) {
+      if (mergeTarget) {
         // Update existing suggestion (pending or archived) with incremented count
         // Keep the same status - archived features stay archived
-        const existingId = similarSuggestions.rows[0].id;
-        painPointsCount = similarSuggestions.rows[0].pain_points_count + 1;
-
-        const updateResult = await client.query(
-          'UPDATE features SET pain_points_count = $1, updated_at = NOW() WHERE id = $2 RETURNING id',
-          [painPointsCount, existingId]
+        await client.query(
+          'UPDATE features SET pain_points_count = COALESCE(pain_points_count, 0) + 1, updated_at = NOW() WHERE id = $1',
+          [mergeTarget.id]
         );
-        featureId = updateResult.rows[0].id;
+        featureId = mergeTarget.id;
+
+        if (mergeMatch.score < 1) {
+          console.log(`Merged suggestion "${suggestion.featureName}" into similar suggestion "${mergeTarget.name}" (score ${mergeMatch.score})`);
+        }
       } else {
         // Insert new pending feature suggestion
-        painPointsCount = 1;
+        const duplicate = matches.length > 0 && matches[0].score >= thresholds.duplicate ? matches[0] : null;
 
         const insertResult = await client.query(
-          'INSERT INTO features (user_id, feature_name, description, status, is_suggestion, transcript_id, pain_points_count) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
-          [userId, suggestion.featureName, suggestion.aiSummary, 'pending', true, transcriptId, painPointsCount]
+          `INSERT INTO features (workspace_id, feature_name, description, status, is_suggestion, transcript_id, pain_points_count, duplicate_of_feature_id, duplicate_score)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+          [
+            workspaceId,
+            suggestion.featureName,
+            suggestion.aiSummary,
+            'pending',
+            true,
+            transcriptId,
+            1,
+            duplicate ? duplicate.feature.id : null,
+            duplicate ? duplicate.score : null
+          ]
         );
         featureId = insertResult.rows[0].id;
+
+        await recordAudit(client, {
+          workspaceId,
+          actorId: options.actorId,
+          action: 'feature.suggest',
+          entityType: 'feature',
+          entityId: featureId,
+          featureId,
+          transcriptId,
+          after: { feature_name: suggestion.featureName, description: suggestion.aiSummary, status: 'pending' }
+        });
+
+        // Later suggestions in this analysis are compared with this one too
+        existingFeatures.push({ id: featureId, name: suggestion.featureName, description: suggestion.aiSummary, status: 'pending' });
       }
 
       // Insert pain points and feature mappings for each quote
       for (const quoteObj of suggestion.quotes) {
-        const painPointResult = await client.query(
-          'INSERT INTO pain_points (transcript_id, pain_point, quote) VALUES ($1, $2, $3) RETURNING id',
-          [transcriptId, quoteObj.painPoint, quoteObj.quote]
-        );
-        const painPointId = painPointResult.rows[0].id;
+        const painPointId = await insertPainPoint(client, transcriptId, quoteObj, verifyQuote, resolveSpeakers);
 
         // Insert feature mapping
         await client.query(
-          'INSERT INTO feature_mappings (pain_point_id, feature_name) VALUES ($1, $2)',
-          [painPointId, suggestion.featureName]
+          'INSERT INTO feature_mappings (pain_point_id, feature_id) VALUES ($1, $2)',
+          [painPointId, featureId]
         );
       }
     }
@@ -105,30 +327,56 @@ async function saveTranscript(userId, transcriptText, summary, features, newFeat
 }
 
 /**
- * Get all transcripts for a user
+ * Format a pain point row as a quote object with its scores and verification result
+ * (and, for imported transcripts, the recording time the quote starts at)
+ */
+function formatQuote(row, timeIndex = null) {
+  const segments = row.quote_segments || [];
+
+  return {
+    quote: row.quote,
+    painPoint: row.pain_point,
+    originalQuote: row.original_quote || null,
+    severity: row.severity,
+    severityRationale: row.severity_rationale,
+    sentiment: row.sentiment,
+    frequency: row.frequency,
+    category: row.category,
+    verification: {
+      // Rows saved before verification existed have no status
+      status: row.verification_status || 'unchecked',
+      segments
+    },
+    timestamp: findQuoteTimestamp(timeIndex, segments)
+  };
+}
+
+/**
+ * Get all transcripts for a workspace
  */
-async function getTranscripts(userId = 'default') {
+async function getTranscripts(workspaceId = 'default') {
   const result = await pool.query(
-    `SELECT id, summary, created_at
+    `SELECT id, summary, title, created_at
      FROM transcripts
-     WHERE user_id = $1
+     WHERE workspace_id = $1 AND deleted_at IS NULL
      ORDER BY created_at DESC`,
-    [userId]
+    [workspaceId]
   );
   return result.rows;
 }
 
 /**
  * Get a single transcript with all its features, summaries, and quotes
+ * (only the workspace's own transcripts are found)
  */
-async function getTranscriptById(transcriptId) {
+async function getTranscriptById(transcriptId, workspaceId = 'default') {
   const client = await pool.connect();
 
   try {
     // Get transcript
     const transcriptResult = await client.query(
-      'SELECT * FROM transcripts WHERE id = $1',
-      [transcriptId]
+      'SELECT * FROM transcripts WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [transcriptId, workspaceId]
     );
 
     if (transcriptResult.rows.length === 0) {
@@ -136,74 +384,76 @@ async function getTranscriptById(transcriptId) {
     }
 
     const transcript = transcriptResult.rows[0];
+    const timeIndex = transcript.source ? transcript.source.timeIndex : null;
 
     // Get feature summaries for this transcript
     const summariesResult = await client.query(
-      'SELECT feature_name, ai_summary FROM transcript_feature_summaries WHERE transcript_id = $1',
+      'SELECT feature_id, ai_summary FROM transcript_feature_summaries WHERE transcript_id = $1',
       [transcriptId]
     );
 
-    // Build a map of feature_name to ai_summary
+    // Build a map of feature ID to ai_summary
     const summariesMap = {};
     summariesResult.rows.forEach(row => {
-      summariesMap[row.feature_name] = row.ai_summary;
+      summariesMap[row.feature_id] = row.ai_summary;
     });
 
     // Get pain points with their feature mappings
     const painPointsResult = await client.query(`
-      SELECT pp.id, pp.pain_point, pp.quote, fm.feature_name
+      SELECT pp.id, pp.pain_point, pp.quote, pp.verification_status, pp.quote_segments, pp.original_quote,
+        pp.severity, pp.severity_rationale, pp.sentiment, pp.frequency, pp.category, f.id AS feature_id, f.feature_name
       FROM pain_points pp
       JOIN feature_mappings fm ON pp.id = fm.pain_point_id
-      WHERE pp.transcript_id = $1
-      ORDER BY fm.feature_name, pp.id
-    `, [transcriptId]);
+      JOIN features f ON f.id = fm.feature_id
+      WHERE pp.transcript_id = $1 AND f.workspace_id = $2 AND fm.deleted_at IS NULL AND f.deleted_at IS NULL
+      ORDER BY f.feature_name, f.id, pp.id
+    `, [transcriptId, workspaceId]);
 
-    // Group quotes by feature
-    const featuresMap = {};
+    // Group quotes by feature (in query order)
+    const featuresMap = new Map();
     painPointsResult.rows.forEach(row => {
-      if (!featuresMap[row.feature_name]) {
-        featuresMap[row.feature_name] = {
+      if (!featuresMap.has(row.feature_id)) {
+        featuresMap.set(row.feature_id, {
           featureName: row.feature_name,
-          aiSummary: summariesMap[row.feature_name] || '',
+          aiSummary: summariesMap[row.feature_id] || '',
           quotes: []
-        };
+        });
       }
-      featuresMap[row.feature_name].quotes.push({
-        quote: row.quote,
-        painPoint: row.pain_point
-      });
+      featuresMap.get(row.feature_id).quotes.push(formatQuote(row, timeIndex));
     });
 
     // Get feature suggestions for this transcript (pending and archived - both can be approved)
     const suggestionsResult = await client.query(
-      'SELECT id, feature_name, description, status, pain_points_count FROM features WHERE transcript_id = $1 AND status IN ($2, $3)',
-      [transcriptId, 'pending', 'archived']
+      `SELECT f.id, f.feature_name, f.description, f.status, f.pain_points_count, f.duplicate_score,
+         d.id AS duplicate_id, d.feature_name AS duplicate_name, d.status AS duplicate_status
+       FROM features f
+       LEFT JOIN features d ON d.id = f.duplicate_of_feature_id
+       WHERE f.transcript_id = $1 AND f.workspace_id = $2 AND f.status IN ($3, $4) AND f.deleted_at IS NULL`,
+      [transcriptId, workspaceId, 'pending', 'archived']
     );
 
     // Get quotes/pain points for all suggestions via feature_mappings
-    const suggestionNames = suggestionsResult.rows.map(row => row.feature_name);
+    const suggestionIds = suggestionsResult.rows.map(row => row.id);
     let suggestionQuotesResult = { rows: [] };
 
-    if (suggestionNames.length > 0) {
+    if (suggestionIds.length > 0) {
       suggestionQuotesResult = await client.query(`
-        SELECT fm.feature_name, pp.quote, pp.pain_point
+        SELECT fm.feature_id, pp.id, pp.quote, pp.pain_point, pp.verification_status, pp.quote_segments, pp.original_quote,
+          pp.severity, pp.severity_rationale, pp.sentiment, pp.frequency, pp.category
         FROM feature_mappings fm
         JOIN pain_points pp ON fm.pain_point_id = pp.id
-        WHERE fm.feature_name = ANY($1) AND pp.transcript_id = $2
-        ORDER BY fm.feature_name, pp.id
-      `, [suggestionNames, transcriptId]);
+        WHERE fm.feature_id = ANY($1) AND pp.transcript_id = $2 AND fm.deleted_at IS NULL
+        ORDER BY fm.feature_id, pp.id
+      `, [suggestionIds, transcriptId]);
     }
 
-    // Build a map of feature_name to quotes
+    // Build a map of feature ID to quotes
     const suggestionQuotesMap = {};
     suggestionQuotesResult.rows.forEach(row => {
-      if (!suggestionQuotesMap[row.feature_name]) {
-        suggestionQuotesMap[row.feature_name] = [];
+      if (!suggestionQuotesMap[row.feature_id]) {
+        suggestionQuotesMap[row.feature_id] = [];
       }
-      suggestionQuotesMap[row.feature_name].push({
-        quote: row.quote,
-        painPoint: row.pain_point
-      });
+      suggestionQuotesMap[row.feature_id].push(formatQuote(row, timeIndex));
     });
 
     // Build new feature suggestions array
@@ -213,16 +463,74 @@ async function getTranscriptById(transcriptId) {
       aiSummary: row.description,
       status: row.status,
       painPointsCount: row.pain_points_count,
-      quotes: suggestionQuotesMap[row.feature_name] || []
+      possibleDuplicateOf: row.duplicate_id
+        ? { id: row.duplicate_id, featureName: row.duplicate_name, status: row.duplicate_status, score: row.duplicate_score }
+        : null,
+      quotes: suggestionQuotesMap[row.id] || []
     }));
 
+    // Summarize quote verification across the whole transcript, counting each pain point once
+    // (suggestions are also listed under features, and a pain point can be mapped to several)
+    const verificationByPainPoint = new Map();
+    [...painPointsResult.rows, ...suggestionQuotesResult.rows].forEach(row => {
+      verificationByPainPoint.set(row.id, row.verification_status || 'unchecked');
+    });
+    const quoteVerification = { verified: 0, repaired: 0, unverified: 0, unchecked: 0 };
+    verificationByPainPoint.forEach(status => {
+      quoteVerification[status]++;
+    });
+
+    const participantsResult = await client.query(
+      'SELECT id, name, role, title, company FROM transcript_participants WHERE transcript_id = $1 ORDER BY id',
+      [transcriptId]
+    );
+
+    // Tokens and cost of every analysis of this transcript (the first one and any re-analyses)
+    const usageResult = await client.query(
+      `SELECT COUNT(*) AS analyses,
+              COALESCE(SUM(input_tokens), 0) AS input_tokens,
+              COALESCE(SUM(output_tokens), 0) AS output_tokens,
+              SUM(estimated_cost) AS estimated_cost
+       FROM analysis_usage WHERE transcript_id = $1`,
+      [transcriptId]
+    );
+    const usageRow = usageResult.rows[0];
+
+    // The time index is only needed to place quotes, so it is not sent to clients
+    let source = null;
+    if (transcript.source) {
+      source = { ...transcript.source };
+      delete source.timeIndex;
+    }
+
     return {
       id: transcript.id,
       transcriptText: transcript.transcript_text,
       summary: transcript.summary,
+      title: transcript.title,
+      executiveSummary: transcript.executive_summary,
+      keyTakeaways: transcript.key_takeaways || [],
       createdAt: transcript.created_at,
-      features: Object.values(featuresMap),
-      newFeatureSuggestions: newFeatureSuggestions
+      promptVersionId: transcript.prompt_version_id,
+      promptVersion: transcript.prompt_version,
+      model: transcript.model,
+      source,
+      // The mapping itself is only returned by the reveal endpoint
+      redaction: transcript.redaction_mode
+        ? { mode: transcript.redaction_mode, count: transcript.redaction_count, reversible: Boolean(transcript.redaction_map) }
+        : null,
+      usage: parseInt(usageRow.analyses) > 0
+        ? {
+          analyses: parseInt(usageRow.analyses),
+          inputTokens: parseInt(usageRow.input_tokens),
+          outputTokens: parseInt(usageRow.output_tokens),
+          estimatedCost: usageRow.estimated_cost === null ? null : parseFloat(usageRow.estimated_cost)
+        }
+        : null,
+      participants: participantsResult.rows,
+      features: [...featuresMap.values()],
+      newFeatureSuggestions: newFeatureSuggestions,
+      quoteVerification
     };
   } finally {
     client.release();
@@ -230,35 +538,307 @@ async function getTranscriptById(transcriptId) {
 }
 
 /**
- * Delete a transcript and all associated data
+ * Get a transcript's stored feature mappings and summaries (for re-analysis)
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID (only the workspace's own transcripts are found)
+ * @returns {Promise<Object|null>} { transcript, mappings, summaries } or null if not found;
+ *   summaries are keyed by feature ID ({ featureId: { featureName, aiSummary } })
  */
-async function deleteTranscript(transcriptId) {
-  await pool.query('DELETE FROM transcripts WHERE id = $1', [transcriptId]);
+async function getTranscriptMappings(transcriptId, workspaceId = 'default') {
+  try {
+    const transcriptResult = await pool.query(
+      'SELECT id, workspace_id, transcript_text, redaction_mode, redaction_map FROM transcripts WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [transcriptId, workspaceId]
+    );
+
+    if (transcriptResult.rows.length === 0) {
+      return null;
+    }
+
+    const mappingsResult = await pool.query(`
+      SELECT fm.id AS mapping_id, pp.id AS pain_point_id, fm.feature_id, f.feature_name, pp.quote, pp.pain_point, pp.quote_segments
+      FROM pain_points pp
+      JOIN feature_mappings fm ON pp.id = fm.pain_point_id
+      JOIN features f ON f.id = fm.feature_id
+      WHERE pp.transcript_id = $1 AND f.workspace_id = $2 AND fm.deleted_at IS NULL AND f.deleted_at IS NULL
+      ORDER BY fm.id
+    `, [transcriptId, workspaceId]);
+
+    const summariesResult = await pool.query(
+      `SELECT tfs.feature_id, f.feature_name, tfs.ai_summary
+       FROM transcript_feature_summaries tfs
+       JOIN features f ON f.id = tfs.feature_id
+       WHERE tfs.transcript_id = $1 AND f.workspace_id = $2 AND f.deleted_at IS NULL
+       ORDER BY tfs.id`,
+      [transcriptId, workspaceId]
+    );
+
+    const summaries = {};
+    summariesResult.rows.forEach(row => {
+      summaries[row.feature_id] = { featureName: row.feature_name, aiSummary: row.ai_summary };
+    });
+
+    return {
+      transcript: transcriptResult.rows[0],
+      mappings: mappingsResult.rows.map(row => ({
+        mappingId: row.mapping_id,
+        painPointId: row.pain_point_id,
+        featureId: row.feature_id,
+        featureName: row.feature_name,
+        quote: row.quote,
+        painPoint: row.pain_point,
+        segments: row.quote_segments || []
+      })),
+      summaries
+    };
+  } catch (error) {
+    console.error('Error getting transcript mappings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rename a transcript
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID (only the workspace's own transcripts can be renamed)
+ * @param {string} title - New title
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<boolean>} True when the transcript was found and renamed
+ */
+async function updateTranscriptTitle(transcriptId, workspaceId, title, actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      'SELECT title FROM transcripts WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [transcriptId, workspaceId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query(
+      'UPDATE transcripts SET title = $3 WHERE id = $1 AND workspace_id = $2',
+      [transcriptId, workspaceId, title]
+    );
+
+    const changes = changedValues(currentResult.rows[0], { title });
+    if (changes) {
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'transcript.update',
+        entityType: 'transcript',
+        entityId: transcriptId,
+        transcriptId,
+        ...changes
+      });
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating transcript title:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move a transcript to the trash (only the workspace's own transcripts). Its pain points,
+ * mappings and summaries stay, hidden until it is restored or purged (see db/trash.js).
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<boolean>} True if the transcript was deleted
+ */
+async function deleteTranscript(transcriptId, workspaceId = 'default', actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE transcripts SET deleted_at = NOW(), deleted_by = $3
+       WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL
+       RETURNING title, summary, created_at`,
+      [transcriptId, workspaceId, actorId]
+    );
+
+    if (result.rows.length > 0) {
+      const transcript = result.rows[0];
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'transcript.delete',
+        entityType: 'transcript',
+        entityId: transcriptId,
+        transcriptId,
+        before: { title: transcript.title, summary: transcript.summary, created_at: transcript.created_at }
+      });
+    }
+
+    await client.query('COMMIT');
+    return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
 /**
  * Approve a feature suggestion (change status from 'pending' or 'archived' to 'active')
+ * @param {string|null} actorId - User making the change (for the audit log)
  */
-async function approveSuggestion(suggestionId, userId) {
+async function approveSuggestion(suggestionId, workspaceId, actorId = null) {
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
+    const currentResult = await client.query(
+      'SELECT status FROM features WHERE id = $1 AND workspace_id = $2 AND status IN ($3, $4) AND deleted_at IS NULL FOR UPDATE',
+      [suggestionId, workspaceId, 'pending', 'archived']
+    );
+
+    if (currentResult.rows.length === 0) {
+      throw new Error('Suggestion not found or already active');
+    }
+
     // Update the feature status to 'active' (works for both pending and archived)
+    await client.query(
+      'UPDATE features SET status = $1, updated_at = NOW() WHERE id = $2 AND workspace_id = $3',
+      ['active', suggestionId, workspaceId]
+    );
+
+    await recordAudit(client, {
+      workspaceId,
+      actorId,
+      action: 'feature.approve',
+      entityType: 'feature',
+      entityId: suggestionId,
+      featureId: suggestionId,
+      before: { status: currentResult.rows[0].status },
+      after: { status: 'active' }
+    });
+
+    await client.query('COMMIT');
+    return { success: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Resolve a suggestion flagged as a possible duplicate: merge it into the feature it resembles
+ * (its pain points move to that feature) or dismiss the flag and keep it as a separate suggestion
+ * @param {number} suggestionId - Suggestion ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} action - 'merge' or 'dismiss'
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<Object|null>} { featureName } of the feature kept, or null when no flagged suggestion was found
+ */
+async function resolveDuplicateSuggestion(suggestionId, workspaceId, action, actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
     const result = await client.query(
-      'UPDATE features SET status = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 AND status IN ($4, $5) RETURNING *',
-      ['active', suggestionId, userId, 'pending', 'archived']
+      `SELECT s.id, s.feature_name, s.description, s.pain_points_count, d.id AS target_id, d.feature_name AS target_name, d.status AS target_status
+       FROM features s
+       JOIN features d ON d.id = s.duplicate_of_feature_id AND d.workspace_id = s.workspace_id AND d.deleted_at IS NULL
+       WHERE s.id = $1 AND s.workspace_id = $2 AND s.status IN ('pending', 'archived') AND s.deleted_at IS NULL
+       FOR UPDATE OF s`,
+      [suggestionId, workspaceId]
     );
 
     if (result.rows.length === 0) {
-      throw new Error('Suggestion not found or already active');
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const suggestion = result.rows[0];
+
+    if (action === 'dismiss') {
+      await client.query(
+        'UPDATE features SET duplicate_of_feature_id = NULL, duplicate_score = NULL, updated_at = NOW() WHERE id = $1',
+        [suggestion.id]
+      );
+      await recordAudit(client, {
+        workspaceId,
+        actorId,
+        action: 'feature.dismiss_duplicate',
+        entityType: 'feature',
+        entityId: suggestion.id,
+        featureId: suggestion.id,
+        before: { duplicate_of_feature_id: suggestion.target_id, duplicate_of: suggestion.target_name },
+        after: { duplicate_of_feature_id: null }
+      });
+      await client.query('COMMIT');
+      return { featureName: suggestion.feature_name };
     }
 
+    // The suggestion's summary stands in for the feature's in transcripts that had none for it
+    await client.query(
+      `INSERT INTO transcript_feature_summaries (transcript_id, feature_id, ai_summary)
+       SELECT DISTINCT pp.transcript_id, $1::int, $2
+       FROM feature_mappings fm
+       JOIN pain_points pp ON pp.id = fm.pain_point_id
+       WHERE fm.feature_id = $3 AND fm.deleted_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM transcript_feature_summaries tfs
+           WHERE tfs.transcript_id = pp.transcript_id AND tfs.feature_id = $1
+         )`,
+      [suggestion.target_id, suggestion.description, suggestion.id]
+    );
+
+    // Move the suggestion's pain points to the feature it duplicates (a pain point already
+    // mapped to that feature keeps its mapping; the suggestion's goes to the trash)
+    await moveFeatureMappings(client, suggestion, suggestion.target_id, workspaceId, actorId);
+
+    // Suggestions count the transcripts they were suggested in; active features don't use the count
+    if (suggestion.target_status !== 'active') {
+      await client.query(
+        'UPDATE features SET pain_points_count = COALESCE(pain_points_count, 0) + $1, updated_at = NOW() WHERE id = $2',
+        [suggestion.pain_points_count || 0, suggestion.target_id]
+      );
+    }
+
+    // Suggestions flagged as duplicates of this one now point at the feature it was merged into
+    await client.query(
+      'UPDATE features SET duplicate_of_feature_id = $1 WHERE duplicate_of_feature_id = $2',
+      [suggestion.target_id, suggestion.id]
+    );
+
+    await client.query('DELETE FROM features WHERE id = $1', [suggestion.id]);
+
+    await recordAudit(client, {
+      workspaceId,
+      actorId,
+      action: 'feature.merge',
+      entityType: 'feature',
+      entityId: suggestion.id,
+      featureId: suggestion.target_id,
+      before: { feature_name: suggestion.feature_name },
+      after: { feature_name: suggestion.target_name }
+    });
+
     await client.query('COMMIT');
-    return { success: true };
+    console.log(`Merged suggestion "${suggestion.feature_name}" into "${suggestion.target_name}"`);
+    return { featureName: suggestion.target_name };
   } catch (error) {
     await client.query('ROLLBACK');
+    console.error('Error resolving duplicate suggestion:', error);
     throw error;
   } finally {
     client.release();
@@ -266,9 +846,14 @@ async function approveSuggestion(suggestionId, userId) {
 }
 
 module.exports = {
+  insertPainPoint,
+  resolveFeatureId,
   saveTranscript,
   getTranscripts,
   getTranscriptById,
+  getTranscriptMappings,
+  updateTranscriptTitle,
   deleteTranscript,
-  approveSuggestion
+  approveSuggestion,
+  resolveDuplicateSuggestion
 };
@@ -0,0 +1,324 @@
+const pool = require('./pool');
+const { recordAudit } = require('./audit');
+const { TrashError } = require('../services/trash');
+
+// How each type of item is permanently deleted. Dependent rows go with it (ON DELETE CASCADE):
+// a transcript's pain points, mappings, summaries and participants, a feature's mappings,
+// summaries and synthesis.
+const PURGE_QUERIES = {
+  transcript: {
+    alias: 't',
+    workspaceAlias: 't',
+    query: condition => `
+      DELETE FROM transcripts t
+      WHERE t.deleted_at IS NOT NULL AND ${condition}
+      RETURNING t.id, t.workspace_id, NULL::int AS feature_id, t.id AS transcript_id,
+        json_build_object('title', t.title, 'summary', t.summary) AS before`
+  },
+  feature: {
+    alias: 'f',
+    workspaceAlias: 'f',
+    query: condition => `
+      DELETE FROM features f
+      WHERE f.deleted_at IS NOT NULL AND ${condition}
+      RETURNING f.id, f.workspace_id, f.id AS feature_id, NULL::int AS transcript_id,
+        json_build_object('feature_name', f.feature_name, 'status', f.status) AS before`
+  },
+  mapping: {
+    alias: 'fm',
+    workspaceAlias: 'f',
+    query: condition => `
+      DELETE FROM feature_mappings fm
+      USING features f, pain_points pp
+      WHERE f.id = fm.feature_id AND pp.id = fm.pain_point_id
+        AND fm.deleted_at IS NOT NULL AND ${condition}
+      RETURNING fm.id, f.workspace_id, fm.feature_id, pp.transcript_id,
+        json_build_object('feature_name', f.feature_name, 'pain_point', pp.pain_point) AS before`
+  }
+};
+
+/**
+ * Get everything in a workspace's trash, most recently deleted first
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { transcripts, features, mappings }, each item with deleted_at and
+ *   the email and name of the user who deleted it; mappings say whether their feature or
+ *   transcript is in the trash too (restore that first)
+ */
+async function getTrash(workspaceId = 'default') {
+  try {
+    const transcriptsResult = await pool.query(
+      `SELECT t.id, COALESCE(t.title, t.summary) AS name, t.created_at, t.deleted_at, t.deleted_by,
+         u.email AS deleted_by_email, u.name AS deleted_by_name,
+         (SELECT COUNT(*) FROM pain_points pp WHERE pp.transcript_id = t.id) AS pain_point_count
+       FROM transcripts t
+       LEFT JOIN users u ON u.id = t.deleted_by
+       WHERE t.workspace_id = $1 AND t.deleted_at IS NOT NULL
+       ORDER BY t.deleted_at DESC, t.id DESC`,
+      [workspaceId]
+    );
+
+    const featuresResult = await pool.query(
+      `SELECT f.id, f.feature_name AS name, f.status, f.created_at, f.deleted_at, f.deleted_by,
+         u.email AS deleted_by_email, u.name AS deleted_by_name,
+         (SELECT COUNT(*) FROM feature_mappings fm WHERE fm.feature_id = f.id AND fm.deleted_at IS NULL) AS mapping_count
+       FROM features f
+       LEFT JOIN users u ON u.id = f.deleted_by
+       WHERE f.workspace_id = $1 AND f.deleted_at IS NOT NULL
+       ORDER BY f.deleted_at DESC, f.id DESC`,
+      [workspaceId]
+    );
+
+    const mappingsResult = await pool.query(
+      `SELECT fm.id, fm.feature_id, f.feature_name, pp.transcript_id, COALESCE(t.title, t.summary) AS transcript_name,
+         pp.pain_point, pp.quote, fm.deleted_at, fm.deleted_by,
+         u.email AS deleted_by_email, u.name AS deleted_by_name,
+         f.deleted_at IS NOT NULL AS feature_deleted, t.deleted_at IS NOT NULL AS transcript_deleted
+       FROM feature_mappings fm
+       JOIN features f ON f.id = fm.feature_id
+       JOIN pain_points pp ON pp.id = fm.pain_point_id
+       JOIN transcripts t ON t.id = pp.transcript_id
+       LEFT JOIN users u ON u.id = fm.deleted_by
+       WHERE f.workspace_id = $1 AND fm.deleted_at IS NOT NULL
+       ORDER BY fm.deleted_at DESC, fm.id DESC`,
+      [workspaceId]
+    );
+
+    return {
+      transcripts: transcriptsResult.rows.map(row => ({ ...row, pain_point_count: parseInt(row.pain_point_count) })),
+      features: featuresResult.rows.map(row => ({ ...row, mapping_count: parseInt(row.mapping_count) })),
+      mappings: mappingsResult.rows
+    };
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lock a trashed item for restoring
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} type - 'transcript', 'feature' or 'mapping'
+ * @param {number} id - Item ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} { name, deleted_at, feature_id, transcript_id }, or null when not in the trash
+ * @throws {TrashError} When a mapping's feature or transcript is still in the trash, its pain
+ *   point is mapped to the feature again (e.g. after a merge), or a feature's name is in use again
+ */
+async function lockTrashedItem(client, type, id, workspaceId) {
+  if (type === 'transcript') {
+    const result = await client.query(
+      `SELECT COALESCE(title, summary) AS name, deleted_at, NULL::int AS feature_id, id AS transcript_id
+       FROM transcripts
+       WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NOT NULL
+       FOR UPDATE`,
+      [id, workspaceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  if (type === 'feature') {
+    const result = await client.query(
+      `SELECT f.feature_name AS name, f.deleted_at, f.id AS feature_id, NULL::int AS transcript_id,
+         EXISTS (
+           SELECT 1 FROM features other
+           WHERE other.workspace_id = f.workspace_id AND other.feature_name = f.feature_name
+             AND other.id <> f.id AND other.deleted_at IS NULL
+         ) AS name_taken
+       FROM features f
+       WHERE f.id = $1 AND f.workspace_id = $2 AND f.deleted_at IS NOT NULL
+       FOR UPDATE OF f`,
+      [id, workspaceId]
+    );
+
+    const feature = result.rows[0];
+    if (feature && feature.name_taken) {
+      throw new TrashError(`A feature named "${feature.name}" already exists; merge or rename it`);
+    }
+    return feature || null;
+  }
+
+  const result = await client.query(
+    `SELECT f.feature_name AS name, fm.deleted_at, fm.feature_id, pp.transcript_id,
+       f.deleted_at AS feature_deleted_at, t.deleted_at AS transcript_deleted_at,
+       EXISTS (
+         SELECT 1 FROM feature_mappings other
+         WHERE other.pain_point_id = fm.pain_point_id AND other.feature_id = fm.feature_id AND other.deleted_at IS NULL
+       ) AS already_mapped
+     FROM feature_mappings fm
+     JOIN features f ON f.id = fm.feature_id
+     JOIN pain_points pp ON pp.id = fm.pain_point_id
+     JOIN transcripts t ON t.id = pp.transcript_id
+     WHERE fm.id = $1 AND f.workspace_id = $2 AND fm.deleted_at IS NOT NULL
+     FOR UPDATE OF fm`,
+    [id, workspaceId]
+  );
+
+  const mapping = result.rows[0];
+  if (mapping && mapping.feature_deleted_at) {
+    throw new TrashError(`Its feature "${mapping.name}" is in the trash; restore the feature first`);
+  }
+  if (mapping && mapping.transcript_deleted_at) {
+    throw new TrashError('Its transcript is in the trash; restore the transcript first');
+  }
+  if (mapping && mapping.already_mapped) {
+    throw new TrashError(`The pain point is already mapped to "${mapping.name}"`);
+  }
+  return mapping || null;
+}
+
+/**
+ * Restore an item from the trash. Everything hidden with it (a transcript's pain points,
+ * a feature's evidence) comes back as it was; mappings deleted on their own stay in the trash.
+ * @param {string} type - 'transcript', 'feature' or 'mapping'
+ * @param {number} id - Item ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<Object|null>} { type, id, name }, or null when the item is not in the trash
+ * @throws {TrashError} When a mapping's feature or transcript is still in the trash, its pain
+ *   point is mapped to the feature again, or another feature has the name of the one being restored
+ */
+async function restoreItem(type, id, workspaceId, actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const item = await lockTrashedItem(client, type, id, workspaceId);
+    if (!item) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const table = { transcript: 'transcripts', feature: 'features', mapping: 'feature_mappings' }[type];
+    await client.query(
+      `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1`,
+      [id]
+    );
+
+    await recordAudit(client, {
+      workspaceId,
+      actorId,
+      action: `${type}.restore`,
+      entityType: type,
+      entityId: id,
+      featureId: item.feature_id,
+      transcriptId: item.transcript_id,
+      before: { deleted_at: item.deleted_at },
+      after: { deleted_at: null }
+    });
+
+    await client.query('COMMIT');
+    return { type, id, name: item.name };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!(error instanceof TrashError)) {
+      console.error('Error restoring from trash:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Permanently delete purged items and record them in the audit log
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} type - 'transcript', 'feature' or 'mapping'
+ * @param {string} condition - SQL condition picking the items
+ * @param {Array} params - Query parameters of the condition
+ * @param {string|null} actorId - User purging them (null when purged automatically)
+ * @returns {Promise<Array>} Purged items ({ id, workspace_id, feature_id, transcript_id, before })
+ */
+async function purgeRows(client, type, condition, params, actorId) {
+  const result = await client.query(PURGE_QUERIES[type].query(condition), params);
+
+  for (const row of result.rows) {
+    await recordAudit(client, {
+      workspaceId: row.workspace_id,
+      actorId,
+      action: `${type}.purge`,
+      entityType: type,
+      entityId: row.id,
+      featureId: row.feature_id,
+      transcriptId: row.transcript_id,
+      before: row.before
+    });
+  }
+  return result.rows;
+}
+
+/**
+ * Permanently delete an item in the trash, with everything that depends on it
+ * @param {string} type - 'transcript', 'feature' or 'mapping'
+ * @param {number} id - Item ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string|null} actorId - User making the change (for the audit log)
+ * @returns {Promise<boolean>} True if the item was purged (false when it is not in the trash)
+ */
+async function purgeItem(type, id, workspaceId, actorId = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { alias, workspaceAlias } = PURGE_QUERIES[type];
+    const purged = await purgeRows(
+      client,
+      type,
+      `${alias}.id = $1 AND ${workspaceAlias}.workspace_id = $2`,
+      [id, workspaceId],
+      actorId
+    );
+
+    await client.query('COMMIT');
+    return purged.length > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error purging from trash:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period,
+ * in every workspace
+ * @param {number} retentionDays - Days items are kept in the trash
+ * @returns {Promise<Object>} Number of purged { transcripts, features, mappings }
+ */
+async function purgeExpired(retentionDays) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const counts = {};
+    for (const type of ['mapping', 'feature', 'transcript']) {
+      const purged = await purgeRows(
+        client,
+        type,
+        `${PURGE_QUERIES[type].alias}.deleted_at < NOW() - $1::float8 * INTERVAL '1 day'`,
+        [retentionDays],
+        null
+      );
+      counts[`${type}s`] = purged.length;
+    }
+
+    await client.query('COMMIT');
+    return counts;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error purging expired trash:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired
+};
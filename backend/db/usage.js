@@ -0,0 +1,296 @@
+const pool = require('./pool');
+const { BudgetExceededError, estimateCost, getBudgetPeriod } = require('../services/usage');
+
+// Reservations left behind by a process that stopped mid-call stop counting against the budget after this
+const RESERVATION_TIMEOUT = '1 hour';
+
+// This month's spend: recorded calls plus the estimates reserved by calls still running
+const SPENT_THIS_MONTH = `
+  SELECT COALESCE(SUM(estimated_cost), 0) AS spent
+  FROM analysis_usage
+  WHERE workspace_id = $1 AND created_at >= date_trunc('month', NOW())
+    AND (NOT reserved OR created_at > NOW() - INTERVAL '${RESERVATION_TIMEOUT}')`;
+
+/**
+ * Record the tokens and estimated cost of one analysis
+ * @param {Object} entry - { workspaceId, transcriptId, kind, model, usage, promptVersionId, createdBy, reservationId }
+ *   kind: 'analysis', 'job', 'reanalysis', 'backfill' or 'synthesis'; transcriptId may be null until the transcript is saved;
+ *   createdBy is the user the call was made for (null when nobody asked for it); reservationId is the
+ *   reservation made before the call (see reserveUsage), which becomes the record
+ * @param {Object} db - Pool or client (inside a transaction)
+ * @returns {Promise<Object>} { id, estimatedCost }
+ */
+async function recordUsage({ workspaceId = 'default', transcriptId = null, kind, model, usage, promptVersionId = null, createdBy = null, reservationId = null }, db = pool) {
+  try {
+    const estimatedCost = estimateCost(model, usage);
+
+    if (reservationId) {
+      const updateResult = await db.query(
+        `UPDATE analysis_usage
+         SET transcript_id = $2, kind = $3, model = $4, prompt_version_id = $5, input_tokens = $6, output_tokens = $7,
+             estimated_cost = $8, created_by = $9, reserved = FALSE
+         WHERE id = $1 AND reserved
+         RETURNING id`,
+        [reservationId, transcriptId, kind, model, promptVersionId, usage.inputTokens || 0, usage.outputTokens || 0, estimatedCost, createdBy]
+      );
+      if (updateResult.rows.length > 0) {
+        return { id: updateResult.rows[0].id, estimatedCost };
+      }
+    }
+
+    const result = await db.query(
+      `INSERT INTO analysis_usage (workspace_id, transcript_id, kind, model, prompt_version_id, input_tokens, output_tokens, estimated_cost, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [workspaceId, transcriptId, kind, model, promptVersionId, usage.inputTokens || 0, usage.outputTokens || 0, estimatedCost, createdBy]
+    );
+    return { id: result.rows[0].id, estimatedCost };
+  } catch (error) {
+    console.error('Error recording usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reserve a model call's estimated cost before making it, refusing the call when the workspace's
+ * monthly budget is used up. Reservations count as spent, so calls started at the same time cannot
+ * all pass the check and then overspend together. Record the call's usage with the reservation ID
+ * afterwards, or release the reservation when the call fails.
+ * @param {Object} entry - { workspaceId, transcriptId, kind, model, estimatedCost, createdBy } (see recordUsage;
+ *   estimatedCost is the most the call can cost, e.g. from estimateAnalysisCost)
+ * @returns {Promise<number>} Reservation ID
+ * @throws {BudgetExceededError} When this month's spend has reached the budget
+ */
+async function reserveUsage({ workspaceId = 'default', transcriptId = null, kind, model, estimatedCost = null, createdBy = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // One reservation at a time per workspace, so each sees the ones made before it
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`analysis_usage:${workspaceId}`]);
+
+    const budgetResult = await client.query(
+      'SELECT monthly_limit FROM usage_budgets WHERE workspace_id = $1',
+      [workspaceId]
+    );
+    const monthlyLimit = budgetResult.rows.length > 0 && budgetResult.rows[0].monthly_limit !== null
+      ? parseFloat(budgetResult.rows[0].monthly_limit)
+      : null;
+
+    if (monthlyLimit !== null) {
+      const spentResult = await client.query(SPENT_THIS_MONTH, [workspaceId]);
+      const spent = parseFloat(spentResult.rows[0].spent) || 0;
+      if (spent >= monthlyLimit) {
+        throw new BudgetExceededError(spent, monthlyLimit, getBudgetPeriod().resetsAt);
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO analysis_usage (workspace_id, transcript_id, kind, model, estimated_cost, created_by, reserved)
+       VALUES ($1, $2, $3, $4, $5, $6, TRUE) RETURNING id`,
+      [workspaceId, transcriptId, kind, model, estimatedCost, createdBy]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0].id;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!(error instanceof BudgetExceededError)) {
+      console.error('Error reserving usage:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Release the reservation of a model call that failed
+ * @param {number} reservationId - Reservation ID (see reserveUsage)
+ */
+async function releaseUsage(reservationId) {
+  try {
+    await pool.query('DELETE FROM analysis_usage WHERE id = $1 AND reserved', [reservationId]);
+  } catch (error) {
+    console.error('Error releasing usage reservation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Settle the reservation of an analysis that failed: the tokens it had already used (error.usage,
+ * see analyzeTranscript) are recorded in its place, or the reservation is released when it used none.
+ * Never throws, so it can be called while handling the failure.
+ * @param {Object} entry - { workspaceId, transcriptId, kind, promptVersionId, createdBy, reservationId } (see recordUsage)
+ * @param {Error} error - Error the analysis failed with
+ */
+async function recordFailedUsage(entry, error) {
+  const usage = error && error.usage;
+
+  try {
+    if (usage && (usage.inputTokens > 0 || usage.outputTokens > 0)) {
+      await recordUsage({ ...entry, model: error.model, usage });
+      return;
+    }
+  } catch (recordError) {
+    // Logged by recordUsage; fall through and release the reservation instead
+  }
+
+  if (entry.reservationId) {
+    await releaseUsage(entry.reservationId).catch(() => {});
+  }
+}
+
+/**
+ * Attach a recorded analysis to the transcript saved from it
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} usageId - Usage record ID
+ * @param {number} transcriptId - Transcript ID
+ * @param {string} workspaceId - Workspace ID (only the workspace's own records are linked)
+ */
+async function linkUsageToTranscript(client, usageId, transcriptId, workspaceId) {
+  await client.query(
+    'UPDATE analysis_usage SET transcript_id = $1 WHERE id = $2 AND workspace_id = $3 AND transcript_id IS NULL',
+    [transcriptId, usageId, workspaceId]
+  );
+}
+
+/**
+ * Get a workspace's monthly budget and what has been spent this month (including the estimates
+ * reserved by model calls still running)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { monthlyLimit, spent, remaining, resetsAt } - monthlyLimit and remaining are null without a budget
+ */
+async function getBudget(workspaceId = 'default') {
+  try {
+    const budgetResult = await pool.query(
+      'SELECT monthly_limit FROM usage_budgets WHERE workspace_id = $1',
+      [workspaceId]
+    );
+    const spentResult = await pool.query(SPENT_THIS_MONTH, [workspaceId]);
+
+    const monthlyLimit = budgetResult.rows.length > 0 && budgetResult.rows[0].monthly_limit !== null
+      ? parseFloat(budgetResult.rows[0].monthly_limit)
+      : null;
+    const spent = parseFloat(spentResult.rows[0].spent) || 0;
+
+    return {
+      monthlyLimit,
+      spent,
+      remaining: monthlyLimit === null ? null : Math.max(0, monthlyLimit - spent),
+      resetsAt: getBudgetPeriod().resetsAt
+    };
+  } catch (error) {
+    console.error('Error getting budget:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set or remove a workspace's monthly budget
+ * @param {string} workspaceId - Workspace ID
+ * @param {number|null} monthlyLimit - Budget in USD, or null for no budget
+ * @returns {Promise<Object>} Budget (see getBudget)
+ */
+async function setBudget(workspaceId = 'default', monthlyLimit) {
+  try {
+    if (monthlyLimit === null) {
+      await pool.query('DELETE FROM usage_budgets WHERE workspace_id = $1', [workspaceId]);
+    } else {
+      await pool.query(
+        `INSERT INTO usage_budgets (workspace_id, monthly_limit, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (workspace_id) DO UPDATE SET monthly_limit = EXCLUDED.monthly_limit, updated_at = NOW()`,
+        [workspaceId, monthlyLimit]
+      );
+    }
+    return getBudget(workspaceId);
+  } catch (error) {
+    console.error('Error setting budget:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop queueing new work when the workspace's monthly budget is used up (each model call
+ * checks again when it reserves its cost, see reserveUsage)
+ * @param {string} workspaceId - Workspace ID
+ * @throws {BudgetExceededError} When this month's spend has reached the budget
+ */
+async function assertWithinBudget(workspaceId = 'default') {
+  const budget = await getBudget(workspaceId);
+  if (budget.monthlyLimit !== null && budget.spent >= budget.monthlyLimit) {
+    throw new BudgetExceededError(budget.spent, budget.monthlyLimit, budget.resetsAt);
+  }
+}
+
+/**
+ * Summarize a workspace's recorded usage by day, user and model
+ * @param {Object} filters - { from, to, workspaceId, model } - from/to are dates (YYYY-MM-DD, inclusive);
+ *   model is optional
+ * @returns {Promise<Object>} { rows: [{ day, userId, userName, userEmail, model, analyses, inputTokens, outputTokens, estimatedCost }], totals }
+ *   - userId is null for calls nobody asked for (automatic syntheses, usage recorded before users)
+ */
+async function getUsageReport({ from, to, workspaceId, model = null }) {
+  try {
+    const result = await pool.query(
+      `SELECT
+         to_char(date_trunc('day', au.created_at), 'YYYY-MM-DD') AS day,
+         au.created_by,
+         MAX(u.name) AS user_name,
+         MAX(u.email) AS user_email,
+         au.model,
+         COUNT(*) AS analyses,
+         SUM(au.input_tokens) AS input_tokens,
+         SUM(au.output_tokens) AS output_tokens,
+         SUM(au.estimated_cost) AS estimated_cost,
+         COUNT(*) FILTER (WHERE au.estimated_cost IS NULL) AS unpriced
+       FROM analysis_usage au
+       LEFT JOIN users u ON u.id = au.created_by
+       WHERE au.created_at >= $1::date AND au.created_at < $2::date + 1
+         AND au.workspace_id = $3 AND NOT au.reserved
+         AND ($4::text IS NULL OR au.model = $4)
+       GROUP BY 1, 2, 5
+       ORDER BY 1 DESC, 4, 2, 5`,
+      [from, to, workspaceId, model]
+    );
+
+    const rows = result.rows.map(row => ({
+      day: row.day,
+      userId: row.created_by,
+      userName: row.user_name,
+      userEmail: row.user_email,
+      model: row.model,
+      analyses: parseInt(row.analyses),
+      inputTokens: parseInt(row.input_tokens) || 0,
+      outputTokens: parseInt(row.output_tokens) || 0,
+      // Null when none of the day's calls could be priced
+      estimatedCost: row.estimated_cost === null ? null : parseFloat(row.estimated_cost),
+      unpricedAnalyses: parseInt(row.unpriced)
+    }));
+
+    const totals = rows.reduce((sum, row) => ({
+      analyses: sum.analyses + row.analyses,
+      inputTokens: sum.inputTokens + row.inputTokens,
+      outputTokens: sum.outputTokens + row.outputTokens,
+      estimatedCost: sum.estimatedCost + (row.estimatedCost || 0)
+    }), { analyses: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0 });
+
+    return { rows, totals };
+  } catch (error) {
+    console.error('Error getting usage report:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  recordUsage,
+  reserveUsage,
+  releaseUsage,
+  recordFailedUsage,
+  linkUsageToTranscript,
+  getBudget,
+  setBudget,
+  assertWithinBudget,
+  getUsageReport
+};
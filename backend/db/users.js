@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const pool = require('./pool');
+
+const USER_COLUMNS = 'id, email, name, created_at';
+const TOKEN_COLUMNS = 'id, name, token_prefix, created_at, last_used_at';
+
+/**
+ * Check whether any account exists
+ * @returns {Promise<boolean>} True when at least one user has registered
+ */
+async function hasUsers() {
+  try {
+    const result = await pool.query('SELECT EXISTS (SELECT 1 FROM users) AS found');
+    return result.rows[0].found;
+  } catch (error) {
+    console.error('Error checking for users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an account and its personal workspace (with the same ID). The first
+ * account takes the ID 'default', so the workspace holding data saved before
+ * accounts existed becomes its personal workspace.
+ * @param {string} email - Email address (unique, case-insensitive)
+ * @param {string|null} name - Display name
+ * @param {string} passwordHash - Hash from hashPassword
+ * @returns {Promise<Object|null>} Created user, or null if the email is already registered
+ */
+async function createUser(email, name, passwordHash) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize registrations so only one can become the first account
+    await client.query('LOCK TABLE users IN EXCLUSIVE MODE');
+
+    const existing = await client.query(
+      'SELECT id FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const countResult = await client.query('SELECT COUNT(*) AS count FROM users');
+    const userId = parseInt(countResult.rows[0].count) === 0 ? 'default' : crypto.randomUUID();
+
+    const result = await client.query(
+      `INSERT INTO users (id, email, name, password_hash)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${USER_COLUMNS}`,
+      [userId, email, name, passwordHash]
+    );
+
+    await client.query(
+      `INSERT INTO workspaces (id, name) VALUES ($1, $2)
+       ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, updated_at = NOW()`,
+      [userId, `${name || email}'s workspace`]
+    );
+
+    await client.query(
+      "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $1, 'admin')",
+      [userId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating user:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a user by email, with their password hash (for signing in)
+ * @param {string} email - Email address (case-insensitive)
+ * @returns {Promise<Object|null>} User with password_hash, or null
+ */
+async function getUserByEmail(email) {
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a session, removing the user's expired sessions
+ * @param {string} userId - User identifier
+ * @param {string} tokenHash - Hash of the session cookie value
+ * @param {Date} expiresAt - When the session ends
+ */
+async function createSession(userId, tokenHash, expiresAt) {
+  try {
+    await pool.query('DELETE FROM user_sessions WHERE user_id = $1 AND expires_at < NOW()', [userId]);
+    await pool.query(
+      'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+      [tokenHash, userId, expiresAt]
+    );
+  } catch (error) {
+    console.error('Error creating session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user of an unexpired session
+ * @param {string} tokenHash - Hash of the session cookie value
+ * @returns {Promise<Object|null>} User or null
+ */
+async function getSessionUser(tokenHash) {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.name, u.created_at
+       FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting session:', error);
+    throw error;
+  }
+}
+
+/**
+ * End a session
+ * @param {string} tokenHash - Hash of the session cookie value
+ */
+async function deleteSession(tokenHash) {
+  try {
+    await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [tokenHash]);
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's API tokens (without the tokens themselves)
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Tokens, newest first
+ */
+async function getApiTokens(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting API tokens:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a new API token
+ * @param {string} userId - User identifier
+ * @param {string} name - What the token is for
+ * @param {string} tokenHash - Hash of the token
+ * @param {string} tokenPrefix - Start of the token, shown so the user can tell tokens apart
+ * @returns {Promise<Object>} Created token (without the token itself)
+ */
+async function createApiToken(userId, name, tokenHash, tokenPrefix) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${TOKEN_COLUMNS}`,
+      [userId, name, tokenHash, tokenPrefix]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke one of the user's API tokens
+ * @param {number} tokenId - Token ID
+ * @param {string} userId - User identifier
+ * @returns {Promise<boolean>} True if the token was revoked
+ */
+async function deleteApiToken(tokenId, userId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM api_tokens WHERE id = $1 AND user_id = $2',
+      [tokenId, userId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting API token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user of an API token and record that the token was used
+ * @param {string} tokenHash - Hash of the token
+ * @returns {Promise<Object|null>} User or null
+ */
+async function getApiTokenUser(tokenHash) {
+  try {
+    const result = await pool.query(
+      `WITH token AS (
+         UPDATE api_tokens SET last_used_at = NOW()
+         WHERE token_hash = $1
+         RETURNING user_id
+       )
+       SELECT u.id, u.email, u.name, u.created_at
+       FROM token JOIN users u ON u.id = token.user_id`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting API token:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  hasUsers,
+  createUser,
+  getUserByEmail,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  getApiTokens,
+  createApiToken,
+  deleteApiToken,
+  getApiTokenUser
+};
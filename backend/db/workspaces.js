@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const pool = require('./pool');
+const { MembershipError } = require('../services/workspaces');
+
+/**
+ * Get the workspaces a user belongs to, their personal workspace first
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} [{ id, name, role, member_count, created_at }]
+ */
+async function getUserWorkspaces(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT w.id, w.name, m.role, w.created_at,
+         (SELECT COUNT(*) FROM workspace_members all_members WHERE all_members.workspace_id = w.id) AS member_count
+       FROM workspace_members m
+       JOIN workspaces w ON w.id = m.workspace_id
+       WHERE m.user_id = $1
+       ORDER BY w.id = $1 DESC, LOWER(w.name), w.created_at`,
+      [userId]
+    );
+    return result.rows.map(row => ({ ...row, member_count: parseInt(row.member_count) }));
+  } catch (error) {
+    console.error('Error getting workspaces:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's membership of a workspace
+ * @param {string} workspaceId - Workspace ID, or null for the user's first workspace
+ *   (their personal one, or the oldest they were added to)
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object|null>} { id, name, role }, or null when the user is not a member
+ */
+async function getMembership(workspaceId, userId) {
+  try {
+    const result = await pool.query(
+      `SELECT w.id, w.name, m.role
+       FROM workspace_members m
+       JOIN workspaces w ON w.id = m.workspace_id
+       WHERE m.user_id = $2 AND ($1::text IS NULL OR m.workspace_id = $1)
+       ORDER BY w.id = $2 DESC, m.created_at
+       LIMIT 1`,
+      [workspaceId, userId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting workspace membership:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a workspace with its creator as admin
+ * @param {string} name - Workspace name
+ * @param {string} userId - Creator
+ * @returns {Promise<Object>} { id, name, role, member_count, created_at }
+ */
+async function createWorkspace(name, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO workspaces (id, name) VALUES ($1, $2) RETURNING id, name, created_at',
+      [crypto.randomUUID(), name]
+    );
+    const workspace = result.rows[0];
+
+    await client.query(
+      "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'admin')",
+      [workspace.id, userId]
+    );
+
+    await client.query('COMMIT');
+    return { ...workspace, role: 'admin', member_count: 1 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating workspace:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Rename a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>} { id, name, created_at } or null if not found
+ */
+async function renameWorkspace(workspaceId, name) {
+  try {
+    const result = await pool.query(
+      'UPDATE workspaces SET name = $2, updated_at = NOW() WHERE id = $1 RETURNING id, name, created_at',
+      [workspaceId, name]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error renaming workspace:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a workspace's members
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} [{ user_id, email, name, role, created_at }], admins first
+ */
+async function getWorkspaceMembers(workspaceId) {
+  try {
+    const result = await pool.query(
+      `SELECT m.user_id, u.email, u.name, m.role, m.created_at
+       FROM workspace_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.workspace_id = $1
+       ORDER BY CASE m.role WHEN 'admin' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END, LOWER(u.email)`,
+      [workspaceId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting workspace members:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lock a workspace's memberships and check that a change leaves it an admin
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Member being changed
+ * @param {string|null} newRole - Their new role, or null when they are removed
+ * @returns {Promise<Object|null>} The member's current membership, or null if not a member
+ * @throws {MembershipError} When the change would leave the workspace without an admin
+ */
+async function lockMembership(client, workspaceId, userId, newRole) {
+  const result = await client.query(
+    'SELECT user_id, role FROM workspace_members WHERE workspace_id = $1 FOR UPDATE',
+    [workspaceId]
+  );
+
+  const member = result.rows.find(row => row.user_id === userId);
+  if (!member) {
+    return null;
+  }
+
+  const admins = result.rows.filter(row => row.role === 'admin');
+  if (member.role === 'admin' && newRole !== 'admin' && admins.length === 1) {
+    throw new MembershipError('A workspace needs at least one admin; make another member admin first', 409);
+  }
+  return member;
+}
+
+/**
+ * Add a registered user to a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} email - The user's email (case-insensitive)
+ * @param {string} role - 'admin', 'editor' or 'viewer'
+ * @returns {Promise<Object|null>} Added member, or null when no account has the email
+ * @throws {MembershipError} When the user is already a member
+ */
+async function addWorkspaceMember(workspaceId, email, role) {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, name FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+
+    if (userResult.rows.length === 0) {
+      return null;
+    }
+    const user = userResult.rows[0];
+
+    const result = await pool.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (workspace_id, user_id) DO NOTHING
+       RETURNING role, created_at`,
+      [workspaceId, user.id, role]
+    );
+
+    if (result.rows.length === 0) {
+      throw new MembershipError(`${user.email} is already a member of this workspace`, 409);
+    }
+
+    return { user_id: user.id, email: user.email, name: user.name, ...result.rows[0] };
+  } catch (error) {
+    if (!(error instanceof MembershipError)) {
+      console.error('Error adding workspace member:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change a member's role
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Member
+ * @param {string} role - 'admin', 'editor' or 'viewer'
+ * @returns {Promise<Object|null>} { user_id, role } or null if not a member
+ * @throws {MembershipError} When the last admin would lose the role
+ */
+async function updateWorkspaceMember(workspaceId, userId, role) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const member = await lockMembership(client, workspaceId, userId, role);
+    if (!member) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE workspace_members SET role = $3
+       WHERE workspace_id = $1 AND user_id = $2
+       RETURNING user_id, role`,
+      [workspaceId, userId, role]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!(error instanceof MembershipError)) {
+      console.error('Error updating workspace member:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a member from a workspace (their data stays with the workspace)
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Member
+ * @returns {Promise<boolean>} True if the member was removed
+ * @throws {MembershipError} When the last admin would be removed
+ */
+async function removeWorkspaceMember(workspaceId, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const member = await lockMembership(client, workspaceId, userId, null);
+    if (!member) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!(error instanceof MembershipError)) {
+      console.error('Error removing workspace member:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getUserWorkspaces,
+  getMembership,
+  createWorkspace,
+  renameWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  updateWorkspaceMember,
+  removeWorkspaceMember
+};
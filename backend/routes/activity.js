@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog } = require('../db/audit');
+
+const ENTITY_TYPES = ['feature', 'transcript', 'mapping'];
+
+/**
+ * GET /api/activity
+ * The workspace's audit log across all features, transcripts and mappings, newest first
+ * Query: ?entityType=feature|transcript|mapping, ?before=<entry ID>&limit=<n> to page back
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const { entityType } = req.query;
+
+    if (entityType && !ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({
+        success: false,
+        error: `entityType must be one of: ${ENTITY_TYPES.join(', ')}`
+      });
+    }
+
+    const activity = await getAuditLog(workspaceId, {
+      entityType: entityType || null,
+      beforeId: parseInt(req.query.before) || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      activity
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activity'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const {
+  hasUsers,
+  createUser,
+  getUserByEmail,
+  createSession,
+  deleteSession,
+  getApiTokens,
+  createApiToken,
+  deleteApiToken
+} = require('../db/users');
+const {
+  API_TOKEN_PREFIX,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateToken,
+  hashToken,
+  getSessionTtl,
+  sessionCookie,
+  readSessionCookie,
+  requireTrustedOrigin,
+  requireAuth
+} = require('../services/auth');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Start a session for a user and set the session cookie
+ * @param {Object} res - Express response
+ * @param {string} userId - User identifier
+ */
+async function startSession(res, userId) {
+  const token = generateToken();
+  const ttl = getSessionTtl();
+  await createSession(userId, hashToken(token), new Date(Date.now() + ttl));
+  res.set('Set-Cookie', sessionCookie(token, ttl));
+}
+
+/**
+ * User fields returned to the client
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name
+  };
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in. The first account takes over data saved before
+ * accounts existed. With AUTH_ALLOW_SIGNUP=false only the first account can register.
+ * Body: { email, password, name? }
+ */
+router.post('/register', requireTrustedOrigin, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (process.env.AUTH_ALLOW_SIGNUP === 'false' && await hasUsers()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Registration is closed'
+      });
+    }
+
+    const validationError = validateCredentials(email, password);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `name must be a string of at most ${MAX_NAME_LENGTH} characters`
+      });
+    }
+
+    const user = await createUser(email.trim(), (name || '').trim() || null, await hashPassword(password));
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    await startSession(res, user.id);
+    console.log(`Registered user ${user.id}`);
+
+    res.json({
+      success: true,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in and set the session cookie
+ * Body: { email, password }
+ */
+router.post('/login', requireTrustedOrigin, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'email and password are required'
+      });
+    }
+
+    const user = await getUserByEmail(email.trim());
+    const valid = await verifyPassword(password, user ? user.password_hash : null);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    await startSession(res, user.id);
+
+    res.json({
+      success: true,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign in'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session and clear the session cookie
+ */
+router.post('/logout', requireTrustedOrigin, async (req, res) => {
+  try {
+    const token = readSessionCookie(req);
+    if (token) {
+      await deleteSession(hashToken(token));
+    }
+
+    res.set('Set-Cookie', sessionCookie('', 0));
+    res.json({
+      success: true,
+      message: 'Signed out'
+    });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: formatUser(req.user)
+  });
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the user's API tokens (the tokens themselves are only shown when created)
+ */
+router.get('/tokens', requireAuth, async (req, res) => {
+  try {
+    const tokens = await getApiTokens(req.userId);
+
+    res.json({
+      success: true,
+      tokens
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API tokens'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a personal API token, sent by scripts as "Authorization: Bearer <token>"
+ * Body: { name }
+ */
+router.post('/tokens', requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `name is required and must be at most ${MAX_NAME_LENGTH} characters`
+      });
+    }
+
+    const token = generateToken(API_TOKEN_PREFIX);
+    const created = await createApiToken(req.userId, name.trim(), hashToken(token), token.slice(0, API_TOKEN_PREFIX.length + 6));
+
+    res.json({
+      success: true,
+      token: { ...created, token },
+      message: 'Copy the token now; it will not be shown again'
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API token'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/tokens/:id', requireAuth, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id);
+    const success = await deleteApiToken(tokenId, req.userId);
+
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API token'
+    });
+  }
+});
+
+module.exports = router;
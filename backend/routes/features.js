@@ -1,15 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { getFeatures, getFeatureNames, saveFeatures, deleteFeatures, getFeatureDetails, updateFeature, deleteFeatureMapping, getAllFeaturesWithCounts, archiveFeature, deleteFeatureById } = require('../db/features');
+const { requireRole } = require('../services/auth');
+const { getFeatures, getFeatureNames, getFeaturesForAnalysis, saveFeatures, deleteFeatures, getFeatureDetails, updateFeature, deleteFeatureMapping, getAllFeaturesWithCounts, archiveFeature, deleteFeatureById, mergeFeatures, FEATURE_SORTS } = require('../db/features');
+const { createBackfillRun, getLatestBackfillRun, setBackfillStatus, reviewBackfilledMappings } = require('../db/backfills');
+const { getConfigurationError, describeAnalysisError } = require('../services/analyzer');
+const { notifyBackfillQueued } = require('../services/backfillRunner');
+const { refreshFeatureSynthesis, SynthesisInProgressError } = require('../services/synthesisRunner');
+const { SynthesisError } = require('../services/featureSynthesis');
+const { getFeatureSynthesis } = require('../db/syntheses');
+const { BudgetExceededError } = require('../services/usage');
+const { assertWithinBudget } = require('../db/usage');
+const { getAuditLog } = require('../db/audit');
+
+// Status changes allowed on a backfill run: action -> [new status, statuses it applies to]
+const BACKFILL_ACTIONS = {
+  pause: ['paused', ['queued', 'running']],
+  resume: ['queued', ['paused', 'failed']],
+  cancel: ['cancelled', ['queued', 'running', 'paused', 'failed']]
+};
 
 /**
  * GET /api/features
- * Retrieve all saved features for a user
+ * Retrieve all saved features for a workspace
  */
 router.get('/', async (req, res) => {
   try {
-    const userId = req.query.userId || 'default';
-    const features = await getFeatures(userId);
+    const { workspaceId } = req;
+    const features = await getFeatures(workspaceId);
 
     res.json({
       success: true,
@@ -26,14 +43,39 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/features/for-analysis
+ * Active features with descriptions and example pain points, ready to send with an analysis
+ */
+router.get('/for-analysis', async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const features = await getFeaturesForAnalysis(workspaceId);
+
+    res.json({
+      success: true,
+      features,
+      count: features.length
+    });
+  } catch (error) {
+    console.error('Error retrieving features for analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve features',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/features
- * Save features for a user (replaces existing features)
- * Body: { features: ["Feature 1", "Feature 2", ...], userId: "optional" }
+ * Save features for a workspace (replaces existing features)
+ * Body: { features: ["Feature 1", "Feature 2", ...] }
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('editor'), async (req, res) => {
   try {
-    const { features, userId = 'default' } = req.body;
+    const { features } = req.body;
+    const { workspaceId } = req;
 
     if (!features || !Array.isArray(features)) {
       return res.status(400).json({
@@ -48,7 +90,7 @@ router.post('/', async (req, res) => {
       .filter(f => typeof f === 'string' && f.trim())
       .map(f => f.trim());
 
-    const count = await saveFeatures(userId, cleanedFeatures);
+    const count = await saveFeatures(workspaceId, cleanedFeatures, req.userId);
 
     res.json({
       success: true,
@@ -67,16 +109,16 @@ router.post('/', async (req, res) => {
 
 /**
  * DELETE /api/features
- * Delete all features for a user
+ * Move all of a workspace's features to the trash
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireRole('editor'), async (req, res) => {
   try {
-    const userId = req.query.userId || 'default';
-    const count = await deleteFeatures(userId);
+    const { workspaceId } = req;
+    const count = await deleteFeatures(workspaceId, req.userId);
 
     res.json({
       success: true,
-      message: 'Features deleted successfully',
+      message: 'Features moved to the trash',
       count
     });
   } catch (error) {
@@ -91,12 +133,22 @@ router.delete('/', async (req, res) => {
 
 /**
  * GET /api/features/details
- * Get all features with their pain point counts
+ * Get all features with their pain point counts and scores
+ * Query: ?sort=painPoints|impact|severity|recurring
  */
 router.get('/details', async (req, res) => {
   try {
-    const userId = req.query.userId || 'default';
-    const features = await getAllFeaturesWithCounts(userId);
+    const { workspaceId } = req;
+    const sort = req.query.sort || 'painPoints';
+
+    if (!Object.hasOwn(FEATURE_SORTS, sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${Object.keys(FEATURE_SORTS).join(', ')}`
+      });
+    }
+
+    const features = await getAllFeaturesWithCounts(workspaceId, 'active', sort);
 
     res.json({
       success: true,
@@ -114,15 +166,23 @@ router.get('/details', async (req, res) => {
 });
 
 /**
- * GET /api/features/details/:featureName
+ * GET /api/features/:featureId/details
  * Get detailed information about a feature including pain points
+ * (a merged feature's ID returns the feature it was merged into)
  */
-router.get('/details/:featureName', async (req, res) => {
+router.get('/:featureId/details', async (req, res) => {
   try {
-    const featureName = decodeURIComponent(req.params.featureName);
-    const userId = req.query.userId || 'default';
+    const featureId = parseInt(req.params.featureId);
+    const { workspaceId } = req;
+
+    if (isNaN(featureId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid feature ID'
+      });
+    }
 
-    const featureDetails = await getFeatureDetails(featureName, userId);
+    const featureDetails = await getFeatureDetails(featureId, workspaceId);
 
     if (!featureDetails) {
       return res.status(404).json({
@@ -149,10 +209,11 @@ router.get('/details/:featureName', async (req, res) => {
  * PUT /api/features/:featureId
  * Update a feature's title and description
  */
-router.put('/:featureId', async (req, res) => {
+router.put('/:featureId', requireRole('editor'), async (req, res) => {
   try {
     const featureId = parseInt(req.params.featureId);
-    const { featureName, description, userId = 'default' } = req.body;
+    const { featureName, description } = req.body;
+    const { workspaceId } = req;
 
     if (!featureName) {
       return res.status(400).json({
@@ -161,7 +222,7 @@ router.put('/:featureId', async (req, res) => {
       });
     }
 
-    const updatedFeature = await updateFeature(featureId, featureName, description, userId);
+    const updatedFeature = await updateFeature(featureId, featureName, description, workspaceId, req.userId);
 
     res.json({
       success: true,
@@ -182,12 +243,12 @@ router.put('/:featureId', async (req, res) => {
  * POST /api/features/:featureId/archive
  * Archive a feature (convert it back to a new feature suggestion)
  */
-router.post('/:featureId/archive', async (req, res) => {
+router.post('/:featureId/archive', requireRole('editor'), async (req, res) => {
   try {
     const featureId = parseInt(req.params.featureId);
-    const { userId = 'default' } = req.body;
+    const { workspaceId } = req;
 
-    const archivedFeature = await archiveFeature(featureId, userId);
+    const archivedFeature = await archiveFeature(featureId, workspaceId, req.userId);
 
     res.json({
       success: true,
@@ -206,14 +267,14 @@ router.post('/:featureId/archive', async (req, res) => {
 
 /**
  * DELETE /api/features/:featureId
- * Delete a single feature and all its mappings
+ * Move a single feature, with its evidence, to the trash
  */
-router.delete('/:featureId', async (req, res) => {
+router.delete('/:featureId', requireRole('editor'), async (req, res) => {
   try {
     const featureId = parseInt(req.params.featureId);
-    const userId = req.query.userId || 'default';
+    const { workspaceId } = req;
 
-    const success = await deleteFeatureById(featureId, userId);
+    const success = await deleteFeatureById(featureId, workspaceId, req.userId);
 
     if (!success) {
       return res.status(404).json({
@@ -224,7 +285,7 @@ router.delete('/:featureId', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Feature deleted successfully'
+      message: 'Feature moved to the trash'
     });
   } catch (error) {
     console.error('Error deleting feature:', error);
@@ -236,14 +297,367 @@ router.delete('/:featureId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/features/:featureId/merge
+ * Merge a feature into another one, moving all its evidence. The merged feature is deleted
+ * permanently, so a merge cannot be undone
+ * Body: { targetFeatureId }
+ */
+router.post('/:featureId/merge', requireRole('editor'), async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { targetFeatureId } = req.body;
+    const { workspaceId } = req;
+
+    if (!Number.isInteger(targetFeatureId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'targetFeatureId is required'
+      });
+    }
+
+    if (targetFeatureId === featureId) {
+      return res.status(400).json({
+        success: false,
+        error: 'A feature cannot be merged into itself'
+      });
+    }
+
+    const merge = await mergeFeatures(featureId, targetFeatureId, workspaceId, req.userId);
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feature not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Merged "${merge.mergedFrom}" into "${merge.feature.feature_name}". "${merge.mergedFrom}" was permanently deleted; this cannot be undone`,
+      feature: merge.feature,
+      mappingsMoved: merge.mappingsMoved,
+      summariesMoved: merge.summariesMoved
+    });
+  } catch (error) {
+    console.error('Error merging features:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge features',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/features/:featureId/backfill
+ * Search all previously saved transcripts for evidence of this feature
+ */
+router.post('/:featureId/backfill', requireRole('editor'), async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { workspaceId } = req;
+
+    const configurationError = getConfigurationError();
+    if (configurationError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        message: configurationError
+      });
+    }
+
+    await assertWithinBudget(workspaceId);
+
+    const result = await createBackfillRun(featureId, workspaceId, req.userId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feature not found'
+      });
+    }
+
+    if (result.created) {
+      notifyBackfillQueued();
+    }
+
+    res.status(result.created ? 202 : 200).json({
+      success: true,
+      created: result.created,
+      run: result.run
+    });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Monthly budget exceeded',
+        message: error.message
+      });
+    }
+
+    console.error('Error starting backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start backfill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/features/:featureId/backfill
+ * Progress of the feature's most recent backfill
+ */
+router.get('/:featureId/backfill', async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { workspaceId } = req;
+
+    const run = await getLatestBackfillRun(featureId, workspaceId);
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error('Error fetching backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backfill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/features/:featureId/synthesis
+ * The feature's evidence synthesis (null until one is generated) and whether it is out of date
+ */
+router.get('/:featureId/synthesis', async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { workspaceId } = req;
+
+    const synthesis = await getFeatureSynthesis(featureId, workspaceId);
+
+    if (!synthesis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feature not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      synthesis
+    });
+  } catch (error) {
+    console.error('Error fetching synthesis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch synthesis',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/features/:featureId/activity
+ * The feature's audit log, newest first (also for deleted features)
+ * Query: ?before=<entry ID>&limit=<n> to page back
+ */
+router.get('/:featureId/activity', async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { workspaceId } = req;
+
+    const activity = await getAuditLog(workspaceId, {
+      featureId,
+      beforeId: parseInt(req.query.before) || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      activity
+    });
+  } catch (error) {
+    console.error('Error fetching feature activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch feature activity'
+    });
+  }
+});
+
+/**
+ * POST /api/features/:featureId/synthesis
+ * Generate (or regenerate) the feature's evidence synthesis now
+ */
+router.post('/:featureId/synthesis', requireRole('editor'), async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { workspaceId } = req;
+
+    const configurationError = getConfigurationError();
+    if (configurationError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        message: configurationError
+      });
+    }
+
+    const synthesis = await refreshFeatureSynthesis(featureId, workspaceId, 'manual', req.userId);
+
+    if (!synthesis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feature not found'
+      });
+    }
+
+    if (!synthesis.synthesis) {
+      return res.status(400).json({
+        success: false,
+        error: 'This feature has no pain points to synthesize yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      synthesis
+    });
+  } catch (error) {
+    if (error instanceof SynthesisInProgressError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof SynthesisError) {
+      return res.status(502).json({
+        success: false,
+        error: 'Synthesis failed',
+        message: error.message
+      });
+    }
+
+    console.error('Error generating synthesis:', error);
+    const { status, body } = describeAnalysisError(error);
+    res.status(status).json({ success: false, ...body });
+  }
+});
+
+/**
+ * POST /api/features/backfill/:runId/:action
+ * Pause, resume or cancel a backfill (resuming continues from the last processed transcript)
+ */
+router.post('/backfill/:runId/:action', requireRole('editor'), async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId);
+    const { workspaceId } = req;
+    const transition = BACKFILL_ACTIONS[req.params.action];
+
+    if (!transition) {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be pause, resume or cancel'
+      });
+    }
+
+    const [status, fromStatuses] = transition;
+
+    // Resuming starts analyzing again, so it needs budget left
+    if (status === 'queued') {
+      await assertWithinBudget(workspaceId);
+    }
+
+    const updated = await setBackfillStatus(runId, status, fromStatuses, workspaceId);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot ${req.params.action} this backfill in its current state`
+      });
+    }
+
+    if (status === 'queued') {
+      notifyBackfillQueued();
+    }
+
+    res.json({
+      success: true,
+      message: `Backfill ${status}`
+    });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Monthly budget exceeded',
+        message: error.message
+      });
+    }
+
+    console.error('Error updating backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update backfill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/features/:featureId/backfill/review
+ * Approve or reject backfilled mappings awaiting review
+ * Body: { action: 'approve' | 'reject', mappingId? } - all of the feature's pending mappings when mappingId is omitted
+ */
+router.post('/:featureId/backfill/review', requireRole('editor'), async (req, res) => {
+  try {
+    const featureId = parseInt(req.params.featureId);
+    const { action, mappingId } = req.body;
+    const { workspaceId } = req;
+
+    if (action !== 'approve' && action !== 'reject') {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be approve or reject'
+      });
+    }
+
+    const reviewed = await reviewBackfilledMappings(
+      action,
+      mappingId ? { featureId, mappingId: parseInt(mappingId) } : { featureId },
+      workspaceId,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      reviewed
+    });
+  } catch (error) {
+    console.error('Error reviewing backfilled mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review backfilled mappings',
+      message: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/feature-mappings/:mappingId
- * Delete a feature mapping (pain point to feature connection)
+ * Move a feature mapping (pain point to feature connection) to the trash
  */
-router.delete('/mappings/:mappingId', async (req, res) => {
+router.delete('/mappings/:mappingId', requireRole('editor'), async (req, res) => {
   try {
     const mappingId = parseInt(req.params.mappingId);
-    const success = await deleteFeatureMapping(mappingId);
+    const { workspaceId } = req;
+    const success = await deleteFeatureMapping(mappingId, workspaceId, req.userId);
 
     if (!success) {
       return res.status(404).json({
@@ -254,7 +668,7 @@ router.delete('/mappings/:mappingId', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Feature mapping deleted successfully'
+      message: 'Feature mapping moved to the trash'
     });
   } catch (error) {
     console.error('Error deleting feature mapping:', error);
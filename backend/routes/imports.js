@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../services/auth');
+const { importTranscript, ImportError } = require('../services/importers');
+
+/**
+ * POST /api/transcripts/import
+ * Parse an uploaded transcript file (.vtt, .srt, .txt or .docx) into a
+ * normalized transcript. Nothing is stored; the client analyzes the returned
+ * text and saves the source (speakers and timestamps) along with it.
+ * Body: { filename, content } - content is the file encoded as base64
+ */
+router.post('/', requireRole('editor'), (req, res) => {
+  try {
+    const { filename, content } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'content is required (the file encoded as base64)'
+      });
+    }
+
+    const transcript = importTranscript(filename, Buffer.from(content, 'base64'));
+
+    console.log(`Imported ${transcript.format} transcript "${transcript.filename || 'untitled'}": ${transcript.utterances.length} utterance(s), ${transcript.speakers.length} speaker(s)`);
+
+    res.json({
+      success: true,
+      transcript
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Could not import transcript',
+        message: error.message
+      });
+    }
+
+    console.error('Error importing transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import transcript'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../services/auth');
+const { validateAnalysisInput, getConfigurationError } = require('../services/analyzer');
+const { sanitizeSource } = require('../services/importers');
+const { normalizeFeatureList } = require('../services/featureList');
+const { notifyJobQueued } = require('../services/jobRunner');
+const { createJob, getJobById, getJobs, cancelJob, deleteJob } = require('../db/jobs');
+const { getRedactionSettings } = require('../db/redaction');
+const { createRedactionSession, redactWithSource, sealEntries } = require('../services/redaction');
+const { BudgetExceededError } = require('../services/usage');
+const { assertWithinBudget } = require('../db/usage');
+
+/**
+ * POST /api/analyze/jobs
+ * Queue a transcript for background analysis
+ * Body: { transcript, features, summary?, source? }
+ */
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    const { transcript, features } = req.body;
+    const { workspaceId } = req;
+
+    const validationError = validateAnalysisInput(transcript, features);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: validationError
+      });
+    }
+
+    const configurationError = getConfigurationError();
+    if (configurationError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        message: configurationError
+      });
+    }
+
+    await assertWithinBudget(workspaceId);
+
+    let summary = req.body.summary ||
+      transcript.substring(0, 60) + (transcript.length > 60 ? '...' : '');
+    let source = sanitizeSource(req.body.source, transcript);
+
+    // In 'storage' mode the queued transcript and its source are already kept redacted
+    let queuedText = transcript;
+    let redactionMap = null;
+    const redaction = await getRedactionSettings(workspaceId);
+    if (redaction.mode === 'storage') {
+      const session = createRedactionSession(redaction);
+      ({ text: queuedText, source } = redactWithSource(session, transcript, source));
+      summary = session.redact(summary);
+      redactionMap = sealEntries(session.entries);
+    }
+
+    const job = await createJob(workspaceId, queuedText, JSON.stringify(normalizeFeatureList(features)), summary, source, redactionMap, req.userId);
+    notifyJobQueued();
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Monthly budget exceeded',
+        message: error.message
+      });
+    }
+
+    console.error('Error creating analysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create analysis job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyze/jobs
+ * List recent jobs for a workspace, optionally filtered by status (?status=queued,running)
+ */
+router.get('/', requireRole('editor'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const statuses = req.query.status
+      ? req.query.status.split(',').map(status => status.trim()).filter(Boolean)
+      : [];
+
+    const jobs = await getJobs(workspaceId, statuses);
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error fetching analysis jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analysis jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/analyze/jobs/:id
+ * Get the status of a job
+ */
+router.get('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const job = await getJobById(jobId, workspaceId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Error fetching analysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analysis job'
+    });
+  }
+});
+
+/**
+ * POST /api/analyze/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+router.post('/:id/cancel', requireRole('editor'), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const job = await cancelJob(jobId, workspaceId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job not found or already finished'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      job
+    });
+  } catch (error) {
+    console.error('Error cancelling analysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel analysis job'
+    });
+  }
+});
+
+/**
+ * DELETE /api/analyze/jobs/:id
+ * Remove a finished, failed or cancelled job from the list
+ */
+router.delete('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const success = await deleteJob(jobId, workspaceId);
+
+    if (!success) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job not found or still in progress'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job removed'
+    });
+  } catch (error) {
+    console.error('Error deleting analysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete analysis job'
+    });
+  }
+});
+
+module.exports = router;
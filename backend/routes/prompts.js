@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../services/auth');
+const { SYSTEM_PROMPT } = require('../services/analyzer');
+const { diffLines } = require('../services/textDiff');
+const {
+  getPromptVersions,
+  getPromptVersion,
+  getActivePrompt,
+  createPromptVersion,
+  activatePromptVersion
+} = require('../db/prompts');
+
+const MAX_PROMPT_LENGTH = 50000;
+
+/**
+ * Load the prompt text for a diff side ('default' is the built-in prompt)
+ * @param {string} ref - Prompt version ID or 'default'
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<string|null>} Prompt text or null if not found
+ */
+async function loadPromptContent(ref, workspaceId) {
+  if (ref === 'default') {
+    return SYSTEM_PROMPT;
+  }
+
+  const prompt = await getPromptVersion(parseInt(ref), workspaceId);
+  return prompt ? prompt.content : null;
+}
+
+/**
+ * GET /api/prompts
+ * List prompt versions for a workspace, with the built-in default prompt
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const versions = await getPromptVersions(workspaceId);
+    const active = versions.find(version => version.is_active);
+
+    res.json({
+      success: true,
+      activeVersionId: active ? active.id : null,
+      versions,
+      defaultPrompt: SYSTEM_PROMPT
+    });
+  } catch (error) {
+    console.error('Error fetching prompt versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt versions'
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/active
+ * Get the prompt currently used for analysis
+ */
+router.get('/active', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const prompt = await getActivePrompt(workspaceId);
+
+    res.json({
+      success: true,
+      prompt: prompt || { id: null, version: null, content: SYSTEM_PROMPT, isDefault: true }
+    });
+  } catch (error) {
+    console.error('Error fetching active prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch active prompt'
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/diff?from=<id|default>&to=<id|default>
+ * Line diff between two prompt versions
+ */
+router.get('/diff', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required (a prompt version ID or "default")'
+      });
+    }
+
+    const [oldText, newText] = await Promise.all([
+      loadPromptContent(from, workspaceId),
+      loadPromptContent(to, workspaceId)
+    ]);
+
+    if (oldText === null || newText === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      diff: diffLines(oldText, newText)
+    });
+  } catch (error) {
+    console.error('Error diffing prompt versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff prompt versions'
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/:id
+ * Get a single prompt version
+ */
+router.get('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const prompt = await getPromptVersion(parseInt(req.params.id), workspaceId);
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    console.error('Error fetching prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt version'
+    });
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Save a new prompt version
+ * Body: { content, notes?, activate? }
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { content, notes, activate } = req.body;
+    const { workspaceId } = req;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'content is required'
+      });
+    }
+
+    if (content.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `content must be at most ${MAX_PROMPT_LENGTH} characters`
+      });
+    }
+
+    const prompt = await createPromptVersion(workspaceId, content, notes || null, activate === true);
+
+    res.status(201).json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    console.error('Error creating prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create prompt version'
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/default/activate
+ * Go back to the built-in prompt
+ */
+router.post('/default/activate', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    await activatePromptVersion(null, workspaceId);
+
+    res.json({
+      success: true,
+      message: 'Built-in prompt activated'
+    });
+  } catch (error) {
+    console.error('Error activating default prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate prompt'
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/:id/activate
+ * Make a prompt version the one used for new analyses
+ */
+router.post('/:id/activate', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const prompt = await activatePromptVersion(parseInt(req.params.id), workspaceId);
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    console.error('Error activating prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate prompt'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../services/auth');
+const { getRedactionSettings, saveRedactionSettings, getTranscriptRedaction } = require('../db/redaction');
+const {
+  RedactionError,
+  validateRedactionSettings,
+  createRedactionSession,
+  openEntries,
+  canReveal,
+  listDetectors
+} = require('../services/redaction');
+
+const MAX_PREVIEW_LENGTH = 20000;
+
+/**
+ * Describe what the server can do with redacted values
+ * reversible: mappings are kept (REDACTION_KEY is set); revealEnabled: REDACTION_REVEAL_TOKEN is set
+ */
+function describeCapabilities() {
+  return {
+    detectors: listDetectors(),
+    reversible: Boolean(process.env.REDACTION_KEY),
+    revealEnabled: Boolean(process.env.REDACTION_REVEAL_TOKEN)
+  };
+}
+
+/**
+ * GET /api/redaction/settings
+ * Get the workspace's redaction mode, detectors and custom terms
+ */
+router.get('/settings', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const settings = await getRedactionSettings(workspaceId);
+
+    res.json({
+      success: true,
+      settings,
+      ...describeCapabilities()
+    });
+  } catch (error) {
+    console.error('Error fetching redaction settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch redaction settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/redaction/settings
+ * Save the workspace's redaction settings
+ * Body: { mode: 'off' | 'model' | 'storage', detectors?, customTerms? }
+ */
+router.put('/settings', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+
+    const validationError = validateRedactionSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // Without a key the mapping of stored placeholders would be lost for good
+    if (req.body.mode === 'storage' && !process.env.REDACTION_KEY) {
+      return res.status(400).json({
+        success: false,
+        error: 'Storage mode needs REDACTION_KEY to be set on the server'
+      });
+    }
+
+    const settings = await saveRedactionSettings(workspaceId, req.body);
+
+    res.json({
+      success: true,
+      settings,
+      ...describeCapabilities(),
+      message: 'Redaction settings saved'
+    });
+  } catch (error) {
+    console.error('Error saving redaction settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save redaction settings'
+    });
+  }
+});
+
+/**
+ * POST /api/redaction/preview
+ * Show how a piece of text would be redacted with the given (unsaved) settings
+ * Body: { text, detectors?, customTerms? }
+ */
+router.post('/preview', requireRole('editor'), (req, res) => {
+  const { text } = req.body;
+
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'text is required and must be a string'
+    });
+  }
+
+  if (text.length > MAX_PREVIEW_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `text must be at most ${MAX_PREVIEW_LENGTH} characters`
+    });
+  }
+
+  const validationError = validateRedactionSettings({ ...req.body, mode: 'model' });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  const session = createRedactionSession(req.body);
+  const redactedText = session.redact(text);
+  const counts = {};
+  session.entries.forEach(entry => {
+    counts[entry.type] = (counts[entry.type] || 0) + 1;
+  });
+
+  res.json({
+    success: true,
+    redactedText,
+    counts
+  });
+});
+
+/**
+ * POST /api/redaction/transcripts/:id/reveal
+ * Return the placeholder -> original mapping of a transcript stored redacted.
+ * Requires the X-Redaction-Reveal-Token header to match REDACTION_REVEAL_TOKEN.
+ */
+router.post('/transcripts/:id/reveal', requireRole('admin'), async (req, res) => {
+  try {
+    if (!canReveal(req.get('X-Redaction-Reveal-Token'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not allowed to reveal redacted values'
+      });
+    }
+
+    const transcriptId = parseInt(req.params.id);
+    const redaction = await getTranscriptRedaction(transcriptId, req.workspaceId);
+
+    if (!redaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    if (redaction.mode !== 'storage') {
+      return res.status(400).json({
+        success: false,
+        error: 'This transcript was not stored redacted'
+      });
+    }
+
+    if (!redaction.sealed && redaction.count > 0) {
+      return res.status(410).json({
+        success: false,
+        error: 'The redaction mapping was not kept (REDACTION_KEY was not configured when it was saved)'
+      });
+    }
+
+    const entries = openEntries(redaction.sealed);
+    console.log(`Revealed ${entries.length} redacted value(s) of transcript #${transcriptId}`);
+
+    res.json({
+      success: true,
+      entries
+    });
+  } catch (error) {
+    if (error instanceof RedactionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Could not reveal redacted values',
+        message: error.message
+      });
+    }
+
+    console.error('Error revealing redacted values:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reveal redacted values'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,43 @@
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../services/auth');
 const {
   saveTranscript,
   getTranscripts,
   getTranscriptById,
+  getTranscriptMappings,
+  updateTranscriptTitle,
   deleteTranscript,
-  approveSuggestion
+  approveSuggestion,
+  resolveDuplicateSuggestion
 } = require('../db/transcripts');
+const { getFeaturesForAnalysis } = require('../db/features');
+const { getActivePrompt } = require('../db/prompts');
+const {
+  createReanalysis,
+  getPendingReanalysis,
+  applyReanalysis,
+  discardReanalysis
+} = require('../db/reanalyses');
+const { analyzeTranscript, estimateAnalysisCost, getConfigurationError, describeAnalysisError } = require('../services/analyzer');
+const { diffReanalysis } = require('../services/reanalysisDiff');
+const { MAX_TITLE_LENGTH } = require('../services/analysisSchema');
+const { recordUsage, recordFailedUsage, reserveUsage } = require('../db/usage');
+const { sanitizeSource } = require('../services/importers');
+const { getParticipants, replaceParticipants } = require('../db/participants');
+const { getRedactionSettings } = require('../db/redaction');
+const { openEntries, RedactionError } = require('../services/redaction');
+const { PARTICIPANT_ROLES, listSpeakers } = require('../services/participants');
+const { getAuditLog } = require('../db/audit');
 
 /**
  * GET /api/transcripts
- * Get all transcripts for the default user
+ * Get all transcripts for the workspace
  */
 router.get('/', async (req, res) => {
   try {
-    const userId = req.query.userId || 'default';
-    const transcripts = await getTranscripts(userId);
+    const { workspaceId } = req;
+    const transcripts = await getTranscripts(workspaceId);
 
     res.json({
       success: true,
@@ -37,7 +59,8 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const transcriptId = parseInt(req.params.id);
-    const transcript = await getTranscriptById(transcriptId);
+    const { workspaceId } = req;
+    const transcript = await getTranscriptById(transcriptId, workspaceId);
 
     if (!transcript) {
       return res.status(404).json({
@@ -63,10 +86,23 @@ router.get('/:id', async (req, res) => {
  * POST /api/transcripts
  * Save a new transcript with pain points and feature mappings
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('editor'), async (req, res) => {
   try {
-    const { transcriptText, summary, features, newFeatureSuggestions } = req.body;
-    const userId = req.body.userId || 'default';
+    const {
+      transcriptText,
+      summary,
+      features,
+      newFeatureSuggestions,
+      promptVersionId,
+      model,
+      source,
+      participants,
+      title,
+      executiveSummary,
+      keyTakeaways,
+      usageId
+    } = req.body;
+    const { workspaceId } = req;
 
     if (!transcriptText || !features) {
       return res.status(400).json({
@@ -75,12 +111,23 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const redaction = await getRedactionSettings(workspaceId);
     const transcriptId = await saveTranscript(
-      userId,
+      workspaceId,
       transcriptText,
       summary,
       features,
-      newFeatureSuggestions || []
+      newFeatureSuggestions || [],
+      {
+        promptVersionId,
+        model,
+        source: sanitizeSource(source, transcriptText),
+        participants,
+        overview: { title, executiveSummary, keyTakeaways },
+        redaction,
+        usageId: Number.isInteger(usageId) ? usageId : null,
+        actorId: req.userId
+      }
     );
 
     res.json({
@@ -96,18 +143,73 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/transcripts/:id/title
+ * Rename a transcript
+ * Body: { title }
+ */
+router.put('/:id/title', requireRole('editor'), async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const title = typeof req.body.title === 'string' ? req.body.title.replace(/\s+/g, ' ').trim() : '';
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        error: 'title is required'
+      });
+    }
+
+    if (title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `title must be at most ${MAX_TITLE_LENGTH} characters`
+      });
+    }
+
+    const updated = await updateTranscriptTitle(transcriptId, workspaceId, title, req.userId);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      title
+    });
+  } catch (error) {
+    console.error('Error renaming transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename transcript'
+    });
+  }
+});
+
 /**
  * DELETE /api/transcripts/:id
- * Delete a transcript
+ * Move a transcript, with its pain points, to the trash
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('editor'), async (req, res) => {
   try {
     const transcriptId = parseInt(req.params.id);
-    await deleteTranscript(transcriptId);
+    const { workspaceId } = req;
+    const deleted = await deleteTranscript(transcriptId, workspaceId, req.userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Transcript deleted'
+      message: 'Transcript moved to the trash'
     });
   } catch (error) {
     console.error('Error deleting transcript:', error);
@@ -118,16 +220,334 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/transcripts/:id/reanalyze
+ * Analyze the stored transcript against the current feature list and return
+ * the differences from what is saved (nothing is changed until accepted)
+ */
+router.post('/:id/reanalyze', requireRole('editor'), async (req, res) => {
+  let reservationId = null;
+  let prompt = null;
+
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const stored = await getTranscriptMappings(transcriptId, workspaceId);
+
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const features = await getFeaturesForAnalysis(workspaceId);
+
+    if (features.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'There are no active features to analyze against'
+      });
+    }
+
+    const configurationError = getConfigurationError();
+    if (configurationError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        message: configurationError
+      });
+    }
+
+    // A transcript stored redacted is analyzed as it is stored, numbering new placeholders after its own
+    const settings = await getRedactionSettings(workspaceId);
+    const redaction = stored.transcript.redaction_mode === 'storage' ? { ...settings, mode: 'storage' } : settings;
+    const redactionEntries = openEntries(stored.transcript.redaction_map);
+
+    prompt = await getActivePrompt(workspaceId);
+    reservationId = await reserveUsage({
+      workspaceId,
+      transcriptId,
+      kind: 'reanalysis',
+      createdBy: req.userId,
+      ...estimateAnalysisCost(stored.transcript.transcript_text, prompt)
+    });
+
+    const result = await analyzeTranscript(stored.transcript.transcript_text, features, { prompt, redaction, redactionEntries });
+    await recordUsage({
+      workspaceId,
+      transcriptId,
+      kind: 'reanalysis',
+      model: result.model,
+      usage: result.usage,
+      promptVersionId: result.prompt.id,
+      createdBy: req.userId,
+      reservationId
+    });
+    const diff = diffReanalysis(stored, result.analysis, features);
+
+    const reanalysis = await createReanalysis(transcriptId, workspaceId, diff, {
+      featuresCompared: features.length,
+      segmentsAnalyzed: result.segmentCount,
+      model: result.model,
+      promptVersionId: result.prompt.id,
+      promptVersion: result.prompt.version,
+      usage: result.usage,
+      repairAttempts: result.repairAttempts
+    });
+
+    console.log(`Re-analyzed transcript #${transcriptId}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.summaries.length} summary changes`);
+
+    res.json({
+      success: true,
+      reanalysis
+    });
+  } catch (error) {
+    // Records the tokens a failed analysis used, or gives back the reservation if it used none
+    if (reservationId) {
+      await recordFailedUsage({
+        workspaceId: req.workspaceId,
+        transcriptId: parseInt(req.params.id),
+        kind: 'reanalysis',
+        promptVersionId: prompt ? prompt.id : null,
+        createdBy: req.userId,
+        reservationId
+      }, error);
+    }
+    if (error instanceof RedactionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Could not re-analyze the redacted transcript',
+        message: error.message
+      });
+    }
+    console.error('Error re-analyzing transcript:', error);
+    const { status, body } = describeAnalysisError(error);
+    res.status(status).json({
+      success: false,
+      ...body
+    });
+  }
+});
+
+/**
+ * GET /api/transcripts/:id/reanalyze
+ * Get the re-analysis still waiting to be accepted, if any
+ */
+router.get('/:id/reanalyze', async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const reanalysis = await getPendingReanalysis(transcriptId, req.workspaceId);
+
+    res.json({
+      success: true,
+      reanalysis
+    });
+  } catch (error) {
+    console.error('Error fetching re-analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch re-analysis'
+    });
+  }
+});
+
+/**
+ * POST /api/transcripts/:id/reanalyze/:reanalysisId/apply
+ * Accept re-analysis changes
+ * Body: { itemIds? } - IDs of the items to accept; omit to accept everything still pending
+ */
+router.post('/:id/reanalyze/:reanalysisId/apply', requireRole('editor'), async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const reanalysisId = parseInt(req.params.reanalysisId);
+    const { itemIds } = req.body;
+
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'itemIds must be a non-empty array'
+      });
+    }
+
+    const reanalysis = await applyReanalysis(reanalysisId, transcriptId, req.workspaceId, itemIds || null, req.userId);
+
+    if (!reanalysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Re-analysis not found or no longer pending'
+      });
+    }
+
+    res.json({
+      success: true,
+      reanalysis
+    });
+  } catch (error) {
+    console.error('Error applying re-analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply re-analysis'
+    });
+  }
+});
+
+/**
+ * DELETE /api/transcripts/:id/reanalyze/:reanalysisId
+ * Discard the remaining changes of a re-analysis
+ */
+router.delete('/:id/reanalyze/:reanalysisId', requireRole('editor'), async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const reanalysisId = parseInt(req.params.reanalysisId);
+    const discarded = await discardReanalysis(reanalysisId, transcriptId, req.workspaceId);
+
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        error: 'Re-analysis not found or no longer pending'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Re-analysis discarded'
+    });
+  } catch (error) {
+    console.error('Error discarding re-analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard re-analysis'
+    });
+  }
+});
+
+/**
+ * GET /api/transcripts/:id/participants
+ * Get a transcript's participants, plus speakers labelled in the transcript
+ * that are not yet listed (transcripts saved before participants existed)
+ */
+router.get('/:id/participants', async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const stored = await getTranscriptMappings(transcriptId, workspaceId);
+
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const participants = await getParticipants(transcriptId, workspaceId);
+    const listed = new Set(participants.map(participant => participant.name.toLowerCase()));
+    const unlistedSpeakers = listSpeakers(stored.transcript.transcript_text)
+      .filter(speaker => !listed.has(speaker.toLowerCase()));
+
+    res.json({
+      success: true,
+      participants,
+      unlistedSpeakers
+    });
+  } catch (error) {
+    console.error('Error fetching participants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch participants'
+    });
+  }
+});
+
+/**
+ * GET /api/transcripts/:id/activity
+ * The transcript's audit log, newest first (also for deleted transcripts)
+ * Query: ?before=<entry ID>&limit=<n> to page back
+ */
+router.get('/:id/activity', async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const { workspaceId } = req;
+
+    const activity = await getAuditLog(workspaceId, {
+      transcriptId,
+      beforeId: parseInt(req.query.before) || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      activity
+    });
+  } catch (error) {
+    console.error('Error fetching transcript activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transcript activity'
+    });
+  }
+});
+
+/**
+ * PUT /api/transcripts/:id/participants
+ * Replace a transcript's participants and re-attribute its quotes to them
+ * Body: { participants: [{ name, role, title?, company? }] } - role is 'interviewer', 'customer' or null
+ */
+router.put('/:id/participants', requireRole('editor'), async (req, res) => {
+  try {
+    const transcriptId = parseInt(req.params.id);
+    const { participants } = req.body;
+
+    if (!Array.isArray(participants)) {
+      return res.status(400).json({
+        success: false,
+        error: 'participants must be an array'
+      });
+    }
+
+    const invalid = participants.find(participant =>
+      !participant || typeof participant.name !== 'string' || participant.name.trim().length === 0 ||
+      (participant.role && !PARTICIPANT_ROLES.includes(participant.role))
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Every participant needs a name, and role must be one of: ${PARTICIPANT_ROLES.join(', ')}`
+      });
+    }
+
+    const saved = await replaceParticipants(transcriptId, req.workspaceId, participants);
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      participants: saved
+    });
+  } catch (error) {
+    console.error('Error saving participants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save participants'
+    });
+  }
+});
+
 /**
  * POST /api/transcripts/suggestions/:id/approve
  * Approve a feature suggestion
  */
-router.post('/suggestions/:id/approve', async (req, res) => {
+router.post('/suggestions/:id/approve', requireRole('editor'), async (req, res) => {
   try {
     const suggestionId = parseInt(req.params.id);
-    const userId = req.body.userId || 'default';
+    const { workspaceId } = req;
 
-    await approveSuggestion(suggestionId, userId);
+    await approveSuggestion(suggestionId, workspaceId, req.userId);
 
     res.json({
       success: true,
@@ -142,4 +562,46 @@ router.post('/suggestions/:id/approve', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/transcripts/suggestions/:id/duplicate/:action
+ * Resolve a suggestion flagged as a possible duplicate: 'merge' moves its pain points to the
+ * feature it resembles and removes it; 'dismiss' keeps it as a separate suggestion
+ */
+router.post('/suggestions/:id/duplicate/:action', requireRole('editor'), async (req, res) => {
+  try {
+    const suggestionId = parseInt(req.params.id);
+    const { workspaceId } = req;
+    const { action } = req.params;
+
+    if (action !== 'merge' && action !== 'dismiss') {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be merge or dismiss'
+      });
+    }
+
+    const result = await resolveDuplicateSuggestion(suggestionId, workspaceId, action, req.userId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suggestion not found or not flagged as a possible duplicate'
+      });
+    }
+
+    res.json({
+      success: true,
+      featureName: result.featureName,
+      message: action === 'merge' ? `Merged into "${result.featureName}"` : 'Kept as a separate suggestion'
+    });
+  } catch (error) {
+    console.error('Error resolving duplicate suggestion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve duplicate suggestion',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { getTrash, restoreItem, purgeItem } = require('../db/trash');
+const { TRASH_TYPES, TrashError, getRetentionDays } = require('../services/trash');
+const { requireRole } = require('../services/auth');
+
+// Routes under /:type/:id only take the types of item that can be in the trash
+router.param('type', (req, res, next, type) => {
+  if (!TRASH_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of: ${TRASH_TYPES.join(', ')}`
+    });
+  }
+  next();
+});
+
+router.param('id', (req, res, next, id) => {
+  if (isNaN(parseInt(id))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid item ID'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/trash
+ * List the workspace's deleted transcripts, features and mappings, most recently deleted first,
+ * with the number of days items are kept before being purged (0: until purged by hand)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const trash = await getTrash(req.workspaceId);
+
+    res.json({
+      success: true,
+      ...trash,
+      retentionDays: getRetentionDays()
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+/**
+ * POST /api/trash/:type/:id/restore
+ * Restore a transcript, feature or mapping with everything that was hidden with it
+ */
+router.post('/:type/:id/restore', requireRole('editor'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const restored = await restoreItem(type, parseInt(req.params.id), req.workspaceId, req.userId);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      restored,
+      message: `Restored ${type} ${restored.name ? `"${restored.name}"` : `#${restored.id}`}`
+    });
+  } catch (error) {
+    if (error instanceof TrashError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore item'
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash/:type/:id
+ * Permanently delete an item in the trash, with everything that depends on it
+ */
+router.delete('/:type/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const purged = await purgeItem(req.params.type, parseInt(req.params.id), req.workspaceId, req.userId);
+
+    if (!purged) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete item'
+    });
+  }
+});
+
+module.exports = router;
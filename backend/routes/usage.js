@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../services/auth');
+const { getUsageReport, getBudget, setBudget } = require('../db/usage');
+
+const DEFAULT_REPORT_DAYS = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * GET /api/usage
+ * The workspace's tokens and estimated cost by day, user and model
+ * Query: from?, to? (YYYY-MM-DD, inclusive; the last 30 days by default), model?
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const to = req.query.to || toDateString(new Date());
+    const from = req.query.from ||
+      toDateString(new Date(Date.now() - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must not be after to'
+      });
+    }
+
+    const report = await getUsageReport({
+      from,
+      to,
+      workspaceId: req.workspaceId,
+      model: req.query.model || null
+    });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error fetching usage report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch usage report'
+    });
+  }
+});
+
+/**
+ * GET /api/usage/budget
+ * Get the workspace's monthly budget and this month's spend
+ */
+router.get('/budget', requireRole('admin'), async (req, res) => {
+  try {
+    const budget = await getBudget(req.workspaceId);
+
+    res.json({
+      success: true,
+      budget
+    });
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch budget'
+    });
+  }
+});
+
+/**
+ * PUT /api/usage/budget
+ * Set the workspace's monthly budget
+ * Body: { monthlyLimit: number (USD) | null to remove the budget }
+ */
+router.put('/budget', requireRole('admin'), async (req, res) => {
+  try {
+    const { workspaceId } = req;
+    const { monthlyLimit } = req.body;
+
+    if (monthlyLimit !== null && (typeof monthlyLimit !== 'number' || !Number.isFinite(monthlyLimit) || monthlyLimit < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'monthlyLimit must be a non-negative number, or null to remove the budget'
+      });
+    }
+
+    const budget = await setBudget(workspaceId, monthlyLimit === null ? null : Math.round(monthlyLimit * 100) / 100);
+
+    res.json({
+      success: true,
+      budget,
+      message: monthlyLimit === null ? 'Budget removed' : 'Budget saved'
+    });
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save budget'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUserWorkspaces,
+  getMembership,
+  createWorkspace,
+  renameWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  updateWorkspaceMember,
+  removeWorkspaceMember
+} = require('../db/workspaces');
+const { WORKSPACE_ROLES, MembershipError, validateWorkspaceName } = require('../services/workspaces');
+const { requireRole } = require('../services/auth');
+
+/**
+ * Check a role from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRole(role) {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    return `role must be one of: ${WORKSPACE_ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Respond to a failed membership change
+ */
+function sendMembershipError(res, error, message) {
+  if (error instanceof MembershipError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+// Routes under /:workspaceId are only for members; sets req.workspaceId and req.role
+router.param('workspaceId', async (req, res, next, workspaceId) => {
+  try {
+    const membership = await getMembership(workspaceId, req.userId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found'
+      });
+    }
+
+    req.workspaceId = membership.id;
+    req.role = membership.role;
+    next();
+  } catch (error) {
+    console.error('Error loading workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load workspace'
+    });
+  }
+});
+
+/**
+ * GET /api/workspaces
+ * List the workspaces the user belongs to, with their role in each
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await getUserWorkspaces(req.userId);
+
+    res.json({
+      success: true,
+      workspaces
+    });
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspaces'
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace; the user becomes its admin
+ * Body: { name }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const validationError = validateWorkspaceName(name);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const workspace = await createWorkspace(name.trim(), req.userId);
+
+    res.json({
+      success: true,
+      workspace,
+      message: 'Workspace created'
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create workspace'
+    });
+  }
+});
+
+/**
+ * PUT /api/workspaces/:workspaceId
+ * Rename a workspace (admins)
+ * Body: { name }
+ */
+router.put('/:workspaceId', requireRole('admin'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const validationError = validateWorkspaceName(name);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const workspace = await renameWorkspace(req.workspaceId, name.trim());
+
+    res.json({
+      success: true,
+      workspace: { ...workspace, role: req.role },
+      message: 'Workspace renamed'
+    });
+  } catch (error) {
+    console.error('Error renaming workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename workspace'
+    });
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId/members
+ * List a workspace's members and their roles
+ */
+router.get('/:workspaceId/members', async (req, res) => {
+  try {
+    const members = await getWorkspaceMembers(req.workspaceId);
+
+    res.json({
+      success: true,
+      members
+    });
+  } catch (error) {
+    console.error('Error fetching workspace members:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspace members'
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces/:workspaceId/members
+ * Add a registered user to the workspace (admins)
+ * Body: { email, role }
+ */
+router.post('/:workspaceId/members', requireRole('admin'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'email is required'
+      });
+    }
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        error: roleError
+      });
+    }
+
+    const member = await addWorkspaceMember(req.workspaceId, email.trim(), role);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account uses this email; ask them to register first'
+      });
+    }
+
+    res.json({
+      success: true,
+      member,
+      message: `${member.email} added as ${role}`
+    });
+  } catch (error) {
+    sendMembershipError(res, error, 'Failed to add workspace member');
+  }
+});
+
+/**
+ * PUT /api/workspaces/:workspaceId/members/:userId
+ * Change a member's role (admins). The last admin cannot be demoted.
+ * Body: { role }
+ */
+router.put('/:workspaceId/members/:userId', requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        error: roleError
+      });
+    }
+
+    const member = await updateWorkspaceMember(req.workspaceId, req.params.userId, role);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      member,
+      message: `Role changed to ${role}`
+    });
+  } catch (error) {
+    sendMembershipError(res, error, 'Failed to update workspace member');
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/members/:userId
+ * Remove a member (admins), or leave the workspace (any member removing themselves).
+ * The last admin cannot be removed.
+ */
+router.delete('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.userId && req.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'This requires the admin role in the workspace'
+      });
+    }
+
+    const success = await removeWorkspaceMember(req.workspaceId, userId);
+
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: userId === req.userId ? 'You left the workspace' : 'Member removed'
+    });
+  } catch (error) {
+    sendMembershipError(res, error, 'Failed to remove workspace member');
+  }
+});
+
+module.exports = router;
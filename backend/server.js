@@ -3,7 +3,10 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const analyzeRouter = require('./routes/analyze');
+const importsRouter = require('./routes/imports');
 const { initDatabase } = require('./db/init');
+const { getProviderHealth } = require('./services/providers');
+const { authenticate, requireAuth } = require('./services/auth');
 
 // Load environment variables
 dotenv.config();
@@ -12,10 +15,13 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+// Session cookies are only sent cross-site to an explicit CORS_ORIGIN; with '*' other sites
+// can call the API with an API token but never with the user's session
+const corsOrigin = process.env.CORS_ORIGIN || '*';
 app.use(cors({
-  origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'DELETE'],
-  credentials: true
+  origin: corsOrigin,
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  credentials: corsOrigin !== '*'
 }));
 
 // Body parser with size limit for large transcripts
@@ -30,24 +36,57 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
+// Reports 'degraded' while the model provider's circuit breaker is open
 app.get('/health', (req, res) => {
+  const provider = getProviderHealth();
+
   res.json({
-    status: 'ok',
-    message: 'Interview Analyzer Backend is running',
+    status: provider.status,
+    message: provider.status === 'ok'
+      ? 'Interview Analyzer Backend is running'
+      : 'Interview Analyzer Backend is running; the model provider is failing',
+    provider,
     timestamp: new Date().toISOString()
   });
 });
 
 // API Routes
-app.use('/api/analyze', analyzeRouter);
+// With a database every API route requires a signed-in user (session cookie or API
+// token) and works in one of their workspaces (see services/auth.js)
+app.use('/api/analyze', authenticate, analyzeRouter);
+app.use('/api/transcripts/import', authenticate, importsRouter);
 
 // Features routes (only if DATABASE_URL is configured)
 if (process.env.DATABASE_URL) {
+  const authRouter = require('./routes/auth');
+  app.use('/api/auth', authRouter);
+
+  const workspacesRouter = require('./routes/workspaces');
+  app.use('/api/workspaces', requireAuth, workspacesRouter);
+
   const featuresRouter = require('./routes/features');
-  app.use('/api/features', featuresRouter);
+  app.use('/api/features', authenticate, featuresRouter);
 
   const transcriptsRouter = require('./routes/transcripts');
-  app.use('/api/transcripts', transcriptsRouter);
+  app.use('/api/transcripts', authenticate, transcriptsRouter);
+
+  const jobsRouter = require('./routes/jobs');
+  app.use('/api/analyze/jobs', authenticate, jobsRouter);
+
+  const promptsRouter = require('./routes/prompts');
+  app.use('/api/prompts', authenticate, promptsRouter);
+
+  const redactionRouter = require('./routes/redaction');
+  app.use('/api/redaction', authenticate, redactionRouter);
+
+  const usageRouter = require('./routes/usage');
+  app.use('/api/usage', authenticate, usageRouter);
+
+  const activityRouter = require('./routes/activity');
+  app.use('/api/activity', authenticate, activityRouter);
+
+  const trashRouter = require('./routes/trash');
+  app.use('/api/trash', authenticate, trashRouter);
 }
 
 // Serve static files (optional - for serving frontend from same server)
@@ -70,6 +109,8 @@ app.use((err, req, res, next) => {
   });
 });
 
+let server = null;
+
 // Initialize database and start server
 async function startServer() {
   // Initialize database if DATABASE_URL is configured
@@ -77,6 +118,20 @@ async function startServer() {
     try {
       await initDatabase();
       console.log('✓ Database ready');
+
+      const { startJobRunner } = require('./services/jobRunner');
+      await startJobRunner();
+      console.log('✓ Analysis job runner started');
+
+      const { startBackfillRunner } = require('./services/backfillRunner');
+      await startBackfillRunner();
+      console.log('✓ Backfill runner started');
+
+      const { startSynthesisRunner } = require('./services/synthesisRunner');
+      startSynthesisRunner();
+
+      const { startTrashRunner } = require('./services/trashRunner');
+      startTrashRunner();
     } catch (error) {
       console.error('⚠️  Database initialization failed:', error.message);
       console.log('Server will continue without database features');
@@ -86,7 +141,7 @@ async function startServer() {
   }
 
   // Start server
-  app.listen(PORT, () => {
+  server = app.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║   Interview Analyzer Backend Server                   ║
@@ -108,6 +163,12 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  if (process.env.DATABASE_URL) {
+    require('./services/jobRunner').stopJobRunner();
+    require('./services/backfillRunner').stopBackfillRunner();
+    require('./services/synthesisRunner').stopSynthesisRunner();
+    require('./services/trashRunner').stopTrashRunner();
+  }
   server.close(() => {
     console.log('HTTP server closed');
   });
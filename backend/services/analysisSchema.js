@@ -0,0 +1,404 @@
+/**
+ * Schema and validation for model analysis output
+ *
+ * The model is asked for JSON shaped like ANALYSIS_SCHEMA. Responses are
+ * checked structurally against the schema and then against the request:
+ * every entry under "features" must carry the featureId of a listed feature
+ * (see featureList.js), and new feature suggestions must not repeat the list
+ * or each other.
+ */
+
+const { featureKey, normalizeText } = require('./mergeAnalyses');
+const {
+  SEVERITY_MIN,
+  SEVERITY_MAX,
+  SENTIMENTS,
+  FREQUENCIES,
+  PAIN_CATEGORIES
+} = require('./painPointScores');
+
+// Scores are optional so prompt versions saved before scoring existed still validate
+const QUOTE_SCHEMA = {
+  type: 'object',
+  required: ['quote', 'painPoint'],
+  properties: {
+    quote: { type: 'string', minLength: 1 },
+    painPoint: { type: 'string', minLength: 1 },
+    severity: { type: 'integer', minimum: SEVERITY_MIN, maximum: SEVERITY_MAX },
+    severityRationale: { type: 'string' },
+    sentiment: { type: 'string', enum: SENTIMENTS },
+    frequency: { type: 'string', enum: FREQUENCIES },
+    category: { type: 'string', enum: PAIN_CATEGORIES }
+  }
+};
+
+// Listed features are referred to by featureId (see resolveFeatureReference)
+const FEATURE_SCHEMA = {
+  type: 'object',
+  required: ['aiSummary', 'quotes'],
+  properties: {
+    featureId: { type: 'integer' },
+    featureName: { type: 'string', minLength: 1 },
+    aiSummary: { type: 'string', minLength: 1 },
+    quotes: { type: 'array', minItems: 1, items: QUOTE_SCHEMA }
+  }
+};
+
+const SUGGESTION_SCHEMA = {
+  ...FEATURE_SCHEMA,
+  required: ['featureName', 'aiSummary', 'quotes']
+};
+
+const PARTICIPANT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'role'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: ['interviewer', 'customer'] },
+    title: { type: 'string' },
+    company: { type: 'string' }
+  }
+};
+
+// Longest stored title; longer titles from the model are cut at a word boundary
+const MAX_TITLE_LENGTH = 120;
+const MAX_KEY_TAKEAWAYS = 5;
+
+// The overview (title, executiveSummary, keyTakeaways) is optional so prompt versions saved before it existed still validate
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['features'],
+  properties: {
+    title: { type: 'string' },
+    executiveSummary: { type: 'string' },
+    keyTakeaways: { type: 'array', items: { type: 'string' } },
+    features: { type: 'array', items: FEATURE_SCHEMA },
+    newFeatureSuggestions: { type: 'array', items: SUGGESTION_SCHEMA },
+    participants: { type: 'array', items: PARTICIPANT_SCHEMA }
+  }
+};
+
+/**
+ * Describe the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} 'object', 'array', 'string', 'number', 'boolean' or 'null'
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check a value against a schema, collecting error messages
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (type, required, properties, items, minLength, minItems, enum, minimum, maximum)
+ * @param {string} path - Path of the value, used in messages
+ * @param {Array<string>} errors - Collected error messages
+ */
+function checkSchema(value, schema, path, errors) {
+  const label = path || 'response';
+  const actualType = typeOf(value);
+
+  if (schema.type === 'integer') {
+    if (actualType !== 'number' || !Number.isInteger(value)) {
+      errors.push(`${label} must be a whole number (got ${actualType === 'number' ? value : actualType})`);
+    } else if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push(`${label} must be between ${schema.minimum} and ${schema.maximum} (got ${value})`);
+    }
+    return;
+  }
+
+  if (actualType !== schema.type) {
+    errors.push(`${label} must be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`} (got ${actualType})`);
+    return;
+  }
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${label} must not be empty`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${label} must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        checkSchema(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Find the listed feature a name refers to, ignoring case and punctuation
+ * @param {string} name - Feature name from the model
+ * @param {Array<Object>} featureList - Feature list ({ id, name })
+ * @returns {Object|null} Listed feature, or null
+ */
+function findListedFeature(name, featureList) {
+  const normalized = normalizeText(name);
+  return featureList.find(listed => normalizeText(listed.name) === normalized) || null;
+}
+
+/**
+ * Check that an entry refers to the feature list correctly for where it appears, and
+ * resolve features to the listed ID and exact name (in place). Features are referred to
+ * by featureId; featureName is accepted from saved prompt versions that predate IDs.
+ * @param {Object} entry - Feature or suggestion from the analysis
+ * @param {string} kind - 'feature' or 'suggestion'
+ * @param {Array<Object>} featureList - Feature list ({ id, name })
+ * @param {string} path - Path of the entry, used in messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function resolveFeatureReference(entry, kind, featureList, path) {
+  if (kind === 'feature') {
+    let listed;
+    if (entry.featureId !== undefined && entry.featureId !== null) {
+      listed = featureList.find(feature => feature.id === entry.featureId);
+      if (!listed) {
+        return [`${path}.featureId ${entry.featureId} is not in the feature list; use the id of a listed feature or move it to newFeatureSuggestions`];
+      }
+    } else if (typeof entry.featureName === 'string') {
+      listed = findListedFeature(entry.featureName, featureList);
+      if (!listed) {
+        return [`${path}.featureName "${entry.featureName}" is not in the feature list; map it to a listed feature by featureId or move it to newFeatureSuggestions`];
+      }
+    } else {
+      return [`${path}.featureId is required`];
+    }
+
+    entry.featureId = listed.id;
+    entry.featureName = listed.name;
+    return [];
+  }
+
+  if (entry.featureId !== undefined && entry.featureId !== null) {
+    return [`${path} has a featureId; entries for listed features belong under features`];
+  }
+
+  const key = featureKey(entry.featureName);
+  const existing = featureList.find(listed => featureKey(listed.name) === key);
+  if (existing) {
+    return [`${path}.featureName "${entry.featureName}" duplicates the existing feature [${existing.id}] "${existing.name}"; map it under features instead`];
+  }
+  return [];
+}
+
+/**
+ * Validate a single feature or suggestion entry (used while a response streams).
+ * Features are resolved to their listed ID and name in place.
+ * @param {Object} entry - Entry from the analysis
+ * @param {string} kind - 'feature' or 'suggestion'
+ * @param {Array<Object>} featureList - Feature list ({ id, name })
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateEntry(entry, kind, featureList) {
+  const errors = [];
+  checkSchema(entry, kind === 'feature' ? FEATURE_SCHEMA : SUGGESTION_SCHEMA, kind, errors);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+  return resolveFeatureReference(entry, kind, featureList, kind);
+}
+
+/**
+ * Shorten a title to MAX_TITLE_LENGTH characters, cutting at a word boundary
+ * @param {string} title - Title
+ * @returns {string} Title
+ */
+function truncateTitle(title) {
+  if (title.length <= MAX_TITLE_LENGTH) {
+    return title;
+  }
+  const cut = title.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+/**
+ * Tidy the overview fields in place: trimmed text or null, at most MAX_KEY_TAKEAWAYS takeaways.
+ * Fields of the wrong type are left for the schema check to report.
+ * @param {Object} analysis - Parsed analysis
+ */
+function normalizeOverview(analysis) {
+  if (analysis.title === undefined || analysis.title === null) {
+    analysis.title = null;
+  } else if (typeof analysis.title === 'string') {
+    // Titles are single-line and unquoted
+    const title = analysis.title.replace(/\s+/g, ' ').trim().replace(/^["'“]+|["'”]+$/g, '');
+    analysis.title = title ? truncateTitle(title) : null;
+  }
+
+  if (analysis.executiveSummary === undefined || analysis.executiveSummary === null) {
+    analysis.executiveSummary = null;
+  } else if (typeof analysis.executiveSummary === 'string') {
+    analysis.executiveSummary = analysis.executiveSummary.trim() || null;
+  }
+
+  if (analysis.keyTakeaways === undefined || analysis.keyTakeaways === null) {
+    analysis.keyTakeaways = [];
+  } else if (Array.isArray(analysis.keyTakeaways) && analysis.keyTakeaways.every(item => typeof item === 'string')) {
+    analysis.keyTakeaways = analysis.keyTakeaways
+      .map(item => item.trim())
+      .filter(Boolean)
+      .slice(0, MAX_KEY_TAKEAWAYS);
+  }
+}
+
+/**
+ * Validate a parsed analysis against the schema and the feature list.
+ * Features are resolved to the listed ID and exact name.
+ * @param {Object} analysis - Parsed analysis (modified in place)
+ * @param {Array<Object>} featureList - Feature list ({ id, name })
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateAnalysis(analysis, featureList) {
+  const errors = [];
+  checkSchema(analysis, ANALYSIS_SCHEMA, '', errors);
+
+  if (typeOf(analysis) !== 'object') {
+    return errors;
+  }
+
+  if (analysis.newFeatureSuggestions === undefined || analysis.newFeatureSuggestions === null) {
+    analysis.newFeatureSuggestions = [];
+  }
+
+  // Saved prompt versions written before participants existed do not ask for them
+  if (analysis.participants === undefined || analysis.participants === null) {
+    analysis.participants = [];
+  }
+
+  normalizeOverview(analysis);
+
+  if (Array.isArray(analysis.features)) {
+    analysis.features.forEach((feature, index) => {
+      const path = `features[${index}]`;
+      // Entries with the wrong shape are reported by the schema check
+      if (typeOf(feature) !== 'object' ||
+        !(Number.isInteger(feature.featureId) || typeof feature.featureName === 'string')) {
+        return;
+      }
+      errors.push(...resolveFeatureReference(feature, 'feature', featureList, path));
+    });
+  }
+
+  if (Array.isArray(analysis.newFeatureSuggestions)) {
+    const seen = new Map();
+
+    analysis.newFeatureSuggestions.forEach((suggestion, index) => {
+      const path = `newFeatureSuggestions[${index}]`;
+      if (typeOf(suggestion) !== 'object' || typeof suggestion.featureName !== 'string') {
+        return;
+      }
+      errors.push(...resolveFeatureReference(suggestion, 'suggestion', featureList, path));
+
+      const key = featureKey(suggestion.featureName);
+      if (seen.has(key)) {
+        errors.push(`${path}.featureName "${suggestion.featureName}" repeats suggestion "${seen.get(key)}"; combine their quotes into one suggestion`);
+      } else {
+        seen.set(key, suggestion.featureName);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Extract the first balanced JSON object from model output
+ * @param {string} text - Model response text
+ * @returns {string|null} JSON text, or null if no complete object is present
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate a model response
+ * @param {string} text - Model response text
+ * @param {Array<Object>} featureList - Feature list ({ id, name })
+ * @returns {{analysis: Object|null, errors: Array<string>}} Parsed analysis and validation errors
+ */
+function parseAnalysisResponse(text, featureList) {
+  const json = extractJsonObject(text);
+  if (!json) {
+    return {
+      analysis: null,
+      errors: ['Response does not contain a complete JSON object (it may be missing or truncated)']
+    };
+  }
+
+  let analysis;
+  try {
+    analysis = JSON.parse(json);
+  } catch (error) {
+    return { analysis: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  return { analysis, errors: validateAnalysis(analysis, featureList) };
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  MAX_TITLE_LENGTH,
+  MAX_KEY_TAKEAWAYS,
+  parseAnalysisResponse,
+  validateAnalysis,
+  validateEntry,
+  checkSchema,
+  extractJsonObject
+};
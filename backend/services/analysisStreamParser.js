@@ -0,0 +1,141 @@
+/**
+ * Incremental parser for streamed analysis JSON
+ *
+ * While the model streams its response, this parser watches the text for
+ * complete objects inside the top-level "features" and "newFeatureSuggestions"
+ * arrays and reports each one as soon as its closing brace arrives. The final,
+ * authoritative analysis is still parsed from the full response afterwards.
+ */
+
+// Top-level arrays whose elements are reported, and the callback that receives them
+const STREAMED_ARRAYS = {
+  features: 'onFeature',
+  newFeatureSuggestions: 'onSuggestion'
+};
+
+/**
+ * Create a parser that emits completed feature and suggestion objects
+ * @param {Object} handlers - { onFeature(feature), onSuggestion(suggestion) }
+ * @returns {{push: Function, getText: Function}} Parser; push(chunk) feeds streamed text
+ */
+function createAnalysisStreamParser(handlers = {}) {
+  let text = '';
+  let position = 0;
+
+  let started = false;
+  let finished = false;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastString = null;
+
+  // Open containers: { type: 'object' | 'array', key, start }
+  const stack = [];
+
+  const emit = (arrayKey, start, end) => {
+    const handlerName = STREAMED_ARRAYS[arrayKey];
+    const handler = handlers[handlerName];
+    if (!handler) {
+      return;
+    }
+
+    let element;
+    try {
+      element = JSON.parse(text.slice(start, end));
+    } catch (error) {
+      // Malformed element; the final parse will report problems
+      return;
+    }
+    handler(element);
+  };
+
+  const consume = () => {
+    if (finished) {
+      return;
+    }
+
+    for (; position < text.length; position++) {
+      const char = text[position];
+
+      if (!started) {
+        if (char === '{') {
+          started = true;
+          stack.push({ type: 'object', key: null, start: position });
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          lastString = text.slice(stringStart + 1, position);
+        }
+        continue;
+      }
+
+      const frame = stack[stack.length - 1];
+
+      switch (char) {
+        case '"':
+          inString = true;
+          stringStart = position;
+          break;
+
+        case ':':
+          if (frame && frame.type === 'object') {
+            frame.currentKey = lastString;
+          }
+          break;
+
+        case '{':
+        case '[':
+          stack.push({
+            type: char === '{' ? 'object' : 'array',
+            key: frame && frame.type === 'object' ? frame.currentKey : null,
+            start: position
+          });
+          break;
+
+        case '}':
+        case ']': {
+          const closed = stack.pop();
+          const parent = stack[stack.length - 1];
+
+          // An element of a top-level streamed array: root object > array > element
+          if (closed && closed.type === 'object' && parent && parent.type === 'array' &&
+              stack.length === 2 && STREAMED_ARRAYS[parent.key]) {
+            emit(parent.key, closed.start, position + 1);
+          }
+
+          if (stack.length === 0) {
+            // Root object closed; ignore any trailing text
+            finished = true;
+            return;
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+  };
+
+  return {
+    push(chunk) {
+      text += chunk;
+      consume();
+    },
+    getText() {
+      return text;
+    }
+  };
+}
+
+module.exports = {
+  createAnalysisStreamParser
+};
@@ -0,0 +1,783 @@
+const { splitTranscript } = require('./chunker');
+const { mergeSegmentAnalyses } = require('./mergeAnalyses');
+const { verifyAnalysisQuotes } = require('./quoteVerifier');
+const { createAnalysisStreamParser } = require('./analysisStreamParser');
+const { parseAnalysisResponse, validateEntry, MAX_KEY_TAKEAWAYS } = require('./analysisSchema');
+const { validateFeatureList, normalizeFeatureList, renderFeatureList } = require('./featureList');
+const { getProvider, getModel } = require('./providers');
+const { ProviderTimeoutError, ProviderUnavailableError } = require('./providers/resilient');
+const { createRedactionSession, transformEntry, transformAnalysis } = require('./redaction');
+const { BudgetExceededError, estimateMaxCost } = require('./usage');
+
+const MAX_TOKENS = 4096;
+const DEFAULT_SEGMENT_CONCURRENCY = 2;
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+// Built-in analyst instructions, used unless the user has activated a saved prompt version
+const SYSTEM_PROMPT = `You are an expert analyst specializing in extracting customer pain points from interview transcripts and mapping them to product features.
+
+Your task is to:
+1. Identify pain points that represent genuine customer problems, frustrations, or unmet needs
+2. Extract ONE comprehensive quote per pain point that includes all related dialogue exchanges
+3. Map pain points to relevant features from the provided feature list
+4. Suggest NEW features for pain points that don't map to existing features
+5. Synthesize findings into actionable summaries
+6. Identify the participants and whether each is an interviewer or a customer
+7. Rate each pain point's severity, sentiment, frequency and category
+8. Give the interview a short title, an executive summary and 3-5 key takeaways
+
+## Pain Point Criteria
+
+A pain point is:
+- A current problem, inefficiency, or obstacle the customer faces
+- An expressed frustration, complaint, or dissatisfaction
+- An unmet need or desired capability
+- A workaround the customer currently uses
+- A mentioned time cost, financial cost, or resource constraint
+
+## Quote Extraction Guidelines
+
+- Use VERBATIM quotes from the transcript only - no paraphrasing
+- **CRITICAL: Consolidate related exchanges into ONE quote** - If multiple back-and-forth exchanges discuss the same pain point, combine them into a single quote rather than creating separate quotes
+- Include preceding context (what led to the issue being discussed)
+- Include the core statement about the pain point
+- Include following context (impact, elaboration, or consequences)
+- Include dialogue from ALL participants (customer, interviewer, etc.) when they discuss the same pain point
+- Include speaker labels (e.g., "Interviewer:", "Customer:") when multiple speakers are present
+- Use ellipsis (…) to eliminate extraneous details from lengthy quotes or to skip unrelated tangents between related exchanges
+- Target length: 10-150 words (longer is acceptable if the conversation naturally extends across multiple exchanges about the same pain point)
+- Quotes must be self-contained and understandable without reading the full transcript
+- Each feature should typically have 1-3 quotes maximum, with each quote covering a distinct pain point
+
+## Pain Point Scoring
+
+For every quote, rate the pain point it represents:
+- "severity": a whole number from 1 to 5, where 1 is a minor annoyance and 5 blocks the customer's work, a rollout or a purchase
+- "severityRationale": one sentence explaining the severity, based on what the customer said
+- "sentiment": the customer's tone when describing it - "negative", "mixed", "neutral" or "positive"
+- "frequency": how often the customer runs into it - "daily", "weekly", "monthly", "occasional" or "once"; omit it when the transcript does not say
+- "category": the kind of pain - "obstacle", "frustration", "unmet_need", "workaround", "time_cost" or "financial_cost"
+
+## Feature Mapping Guidelines
+
+- Each listed feature has an id in brackets, e.g. "[12] Manager Users", and may have a description and example pain points already mapped to it; use them to tell what the feature covers
+- Only map pain points that clearly relate to a feature in the provided list
+- The feature list may include both user-defined features and AI-suggested features from previous transcripts
+- If a pain point doesn't clearly map to any feature, skip it
+- Quotes may appear under multiple features if truly relevant, but prioritize only the strongest/most relevant feature mappings
+- Refer to listed features by their id: set "featureId" to the number in brackets
+
+## AI Summary Guidelines
+
+For each feature:
+- Synthesize themes across all pain points mapped to that feature
+- Focus on actionable, product-oriented insights
+- Highlight the intensity or frequency of the pain if evident
+- Keep summaries concise (1-2 sentences)
+
+## New Feature Suggestion Guidelines
+
+For pain points that don't map to existing features:
+- Suggest a NEW feature that would address the pain point
+- Give the feature a clear, descriptive name (2-5 words)
+- Ensure the suggested feature is genuinely NEW and not in the provided feature list
+- Avoid suggesting minor variations of existing features
+- Focus on features that would have meaningful impact based on the pain points
+- Follow the same quote extraction and AI summary guidelines as existing features
+
+## Participant Guidelines
+
+- List every speaker in the transcript under "participants"
+- Use the name exactly as it appears in the speaker label (e.g., "Maya" for "Maya:")
+- Set "role" to "interviewer" for people running the interview (product, research, sales, etc.) and "customer" for the people being interviewed
+- Include "title" and "company" only when the transcript states them; otherwise omit them
+
+## Transcript Overview Guidelines
+
+- "title": a short descriptive title (at most 10 words) naming who was interviewed and the main topic, e.g. "Acme Ops Lead on Permissions and Sharing"; never start with a speaker label or quote the opening line
+- "executiveSummary": one paragraph (3-5 sentences) for someone who will not read the transcript: who the customer is, what they are trying to do and the problems that matter most
+- "keyTakeaways": 3-5 short, specific statements a product team can act on, most important first
+
+## Output Format
+
+Return ONLY valid JSON with no additional text or explanation. Follow this structure:
+
+{
+  "title": "Short descriptive title of the interview",
+  "executiveSummary": "One-paragraph summary of the interview",
+  "keyTakeaways": [
+    "Most important takeaway",
+    "Next takeaway"
+  ],
+  "features": [
+    {
+      "featureId": 12,
+      "aiSummary": "Concise synthesis of all pain points for this feature",
+      "quotes": [
+        {
+          "quote": "Verbatim quote with context (10-150 words)",
+          "painPoint": "Clear description of what pain point this quote represents",
+          "severity": 4,
+          "severityRationale": "Why the pain point has this severity",
+          "sentiment": "negative, mixed, neutral or positive",
+          "frequency": "daily, weekly, monthly, occasional or once (omit if not stated)",
+          "category": "obstacle, frustration, unmet_need, workaround, time_cost or financial_cost"
+        }
+      ]
+    }
+  ],
+  "newFeatureSuggestions": [
+    {
+      "featureName": "New feature name (2-5 words, NOT in the provided feature list)",
+      "aiSummary": "Concise explanation of why this feature is needed based on pain points",
+      "quotes": [
+        {
+          "quote": "Verbatim quote with context (10-150 words)",
+          "painPoint": "Clear description of what pain point this quote represents",
+          "severity": 4,
+          "severityRationale": "Why the pain point has this severity",
+          "sentiment": "negative, mixed, neutral or positive",
+          "frequency": "daily, weekly, monthly, occasional or once (omit if not stated)",
+          "category": "obstacle, frustration, unmet_need, workaround, time_cost or financial_cost"
+        }
+      ]
+    }
+  ],
+  "participants": [
+    {
+      "name": "Speaker name exactly as labelled in the transcript",
+      "role": "interviewer or customer",
+      "title": "Job title, if stated",
+      "company": "Company, if stated"
+    }
+  ]
+}
+
+## Example
+
+Given transcript snippet:
+"Maya: What's stopping you from doing that today? Chris: User management, mainly. We need better authentication and permissions. We're a big company, so SSO is basically table stakes. Also, not everyone should be able to edit everything. Maya: What kind of permissions would you want? Chris: Admins who manage integrations, editors who can tag and map insights, and viewers who can just see trends and evidence. Without that, I can't responsibly open it up. Maya: Is security or compliance part of the concern as well? Chris: Yes, especially when calls include sensitive customer info. Leadership will ask those questions immediately. Maya: How do you currently share insights from calls? Chris: We're stuck taking screenshots and pasting them into Slack or email. It's tedious, and you lose all the context. Maya: What would make that easier? Chris: Some kind of direct integration where I could push key findings straight to our team channels without all the copy-paste work."
+
+Given feature list:
+[1] Manager Users
+
+Expected output:
+{
+  "title": "Chris on Permissions and Sharing Insights",
+  "executiveSummary": "Chris wants to roll the product out across a large company but cannot do so safely today. SSO and role-based permissions for admins, editors and viewers are prerequisites, and leadership will raise security questions about sensitive customer information in calls. Sharing findings currently means screenshots pasted into Slack or email, which is tedious and loses context.",
+  "keyTakeaways": [
+    "SSO and role-based permissions block a company-wide rollout",
+    "Security and compliance questions about sensitive call data will come from leadership",
+    "Sharing insights through screenshots is tedious and loses context; a direct Slack integration would help"
+  ],
+  "features": [
+    {
+      "featureId": 1,
+      "aiSummary": "Lack of proper user management and permission controls prevents broader organizational rollout, as companies cannot safely grant access without role-based permissions for admins, editors, and viewers.",
+      "quotes": [
+        {
+          "quote": "Maya: What's stopping you from doing that today? Chris: User management, mainly. We need better authentication and permissions. We're a big company, so SSO is basically table stakes. Also, not everyone should be able to edit everything. Maya: What kind of permissions would you want? Chris: Admins who manage integrations, editors who can tag and map insights, and viewers who can just see trends and evidence. Without that, I can't responsibly open it up. Maya: Is security or compliance part of the concern as well? Chris: Yes, especially when calls include sensitive customer info. Leadership will ask those questions immediately.",
+          "painPoint": "Lack of role-based access controls and SSO prevents safe organizational rollout",
+          "severity": 5,
+          "severityRationale": "Without role-based permissions and SSO the customer cannot roll the product out to the company at all.",
+          "sentiment": "negative",
+          "category": "obstacle"
+        }
+      ]
+    }
+  ],
+  "newFeatureSuggestions": [
+    {
+      "featureName": "Slack Integration",
+      "aiSummary": "Users waste time manually copying insights via screenshots and lose important context when sharing findings with their teams through current methods.",
+      "quotes": [
+        {
+          "quote": "Maya: How do you currently share insights from calls? Chris: We're stuck taking screenshots and pasting them into Slack or email. It's tedious, and you lose all the context. Maya: What would make that easier? Chris: Some kind of direct integration where I could push key findings straight to our team channels without all the copy-paste work.",
+          "painPoint": "Manual screenshot workflow for sharing insights is tedious and loses context",
+          "severity": 3,
+          "severityRationale": "Sharing findings is tedious and loses context, but a manual workaround keeps the team going.",
+          "sentiment": "negative",
+          "category": "workaround"
+        }
+      ]
+    }
+  ],
+  "participants": [
+    { "name": "Maya", "role": "interviewer" },
+    { "name": "Chris", "role": "customer" }
+  ]
+}`;
+
+/**
+ * Error raised when the model response cannot be turned into an analysis
+ */
+class AnalysisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalysisError';
+  }
+}
+
+/**
+ * Error raised when the model output still fails validation after all repair attempts
+ * (usage is the tokens those attempts used)
+ */
+class AnalysisValidationError extends AnalysisError {
+  constructor(errors, attempts, usage = null) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    super(`Model output failed validation after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${errors[0]}${more}`);
+    this.name = 'AnalysisValidationError';
+    this.details = errors;
+    this.attempts = attempts;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Get the number of repair attempts allowed per segment
+ * @returns {number} Maximum repair attempts
+ */
+function getMaxRepairAttempts() {
+  const configured = parseInt(process.env.ANALYSIS_MAX_REPAIR_ATTEMPTS);
+  return Number.isNaN(configured) || configured < 0 ? DEFAULT_MAX_REPAIR_ATTEMPTS : configured;
+}
+
+/**
+ * Validate the inputs of an analysis request
+ * @param {*} transcript - Transcript text from the request
+ * @param {*} features - Feature list from the request (see validateFeatureList)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAnalysisInput(transcript, features) {
+  if (!transcript || typeof transcript !== 'string') {
+    return 'transcript is required and must be a string';
+  }
+
+  if (!features) {
+    return 'features is required';
+  }
+
+  const featuresError = validateFeatureList(features);
+  if (featuresError) {
+    return featuresError;
+  }
+
+  // Check if transcript is too short
+  if (transcript.trim().length < 10) {
+    return 'transcript is too short';
+  }
+
+  return null;
+}
+
+/**
+ * Check that the model provider is configured
+ * @returns {string|null} Error message, or null when configured
+ */
+function getConfigurationError() {
+  try {
+    return getProvider().getConfigurationError();
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Build the user message for one transcript segment
+ * @param {Object} segment - Segment from splitTranscript
+ * @param {number} segmentCount - Total number of segments
+ * @param {Array<Object>} featureList - Features (see normalizeFeatureList)
+ * @returns {string} User message
+ */
+function buildUserMessage(segment, segmentCount, featureList) {
+  const features = renderFeatureList(featureList);
+
+  if (segmentCount === 1) {
+    return `INTERVIEW TRANSCRIPT:
+${segment.text}
+
+FEATURE LIST:
+${features}
+
+Analyze this transcript and extract pain points mapped to features. Return only valid JSON.`;
+  }
+
+  return `INTERVIEW TRANSCRIPT (segment ${segment.index + 1} of ${segmentCount}):
+${segment.text}
+
+FEATURE LIST:
+${features}
+
+This is one segment of a longer interview. Segments overlap slightly, so the start or end of this segment may also appear in a neighbouring segment.
+Analyze only the dialogue in this segment and extract pain points mapped to features. Quotes must come verbatim from this segment, and the title, executive summary and key takeaways should describe this segment. Return only valid JSON.`;
+}
+
+/**
+ * Build the user message for a search for evidence of a single feature (used by backfills)
+ * @param {Object} segment - Segment from splitTranscript
+ * @param {number} segmentCount - Total number of segments
+ * @param {Array<Object>} featureList - The one feature to look for (see normalizeFeatureList)
+ * @returns {string} User message
+ */
+function buildFocusedUserMessage(segment, segmentCount, featureList) {
+  const heading = segmentCount === 1
+    ? 'INTERVIEW TRANSCRIPT:'
+    : `INTERVIEW TRANSCRIPT (segment ${segment.index + 1} of ${segmentCount}):`;
+  const segmentNote = segmentCount === 1
+    ? ''
+    : 'This is one segment of a longer interview; quotes must come verbatim from this segment.\n';
+
+  return `${heading}
+${segment.text}
+
+FEATURE LIST:
+${renderFeatureList(featureList)}
+
+Look only for pain points that relate to this one feature. If the transcript contains evidence for it, return it under "features"; otherwise return an empty "features" array. Do not suggest new features: return "newFeatureSuggestions" as an empty array. Omit the title, executive summary and key takeaways.
+${segmentNote}Return only valid JSON.`;
+}
+
+// Appended to the user message when personal details were replaced before sending
+const REDACTION_NOTE = `Personal details in this transcript have been replaced with placeholders such as EMAIL_1, PHONE_2 or TERM_3. Copy placeholders exactly as written when quoting and do not guess what they stand for.`;
+
+/**
+ * Build the follow-up message asking the model to fix an invalid response
+ * @param {string} userMessage - Original user message
+ * @param {string} previousResponse - Response that failed validation
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} User message for the repair attempt
+ */
+function buildRepairMessage(userMessage, previousResponse, errors) {
+  return `${userMessage}
+
+YOUR PREVIOUS RESPONSE:
+${previousResponse}
+
+That response did not match the required output format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected analysis. Give every entry under "features" the featureId of a feature in the FEATURE LIST, only put features that are not in the list under "newFeatureSuggestions", and give every quote both "quote" and "painPoint". Return only valid JSON.`;
+}
+
+/**
+ * Call the model for one segment, streaming the response when an event handler is given.
+ * Streamed features and suggestions that fail validation are not reported.
+ * @param {Object} request - { system, user, model, maxTokens }
+ * @param {Object} segment - Segment being analyzed
+ * @param {Array<Object>} featureList - Feature list
+ * @param {Object} options - { onEvent, signal }
+ * @returns {Promise<Object>} Provider result ({ text, usage, model, stopReason })
+ */
+async function requestAnalysis(request, segment, featureList, options) {
+  const { onEvent, signal } = options;
+
+  if (!onEvent) {
+    return getProvider().complete({ ...request, signal });
+  }
+
+  const createParser = () => createAnalysisStreamParser({
+    onFeature: feature => {
+      if (validateEntry(feature, 'feature', featureList).length === 0) {
+        onEvent('feature', { segment: segment.index, feature });
+      }
+    },
+    onSuggestion: suggestion => {
+      if (validateEntry(suggestion, 'suggestion', featureList).length === 0) {
+        onEvent('suggestion', { segment: segment.index, suggestion });
+      }
+    }
+  });
+  let parser = createParser();
+
+  // The retry streams the segment again from the start, so what the failed attempt streamed is taken back
+  const onRetry = ({ attempt, delayMs, error, streamed }) => {
+    if (streamed) {
+      onEvent('reset', { segment: segment.index });
+      parser = createParser();
+    }
+    onEvent('retry', { segment: segment.index, attempt, delayMs, reason: error.status || error.code || 'network' });
+  };
+
+  return getProvider().complete({ ...request, signal, onRetry, onText: text => parser.push(text) });
+}
+
+/**
+ * Analyze a single transcript segment, asking the model to repair output that
+ * fails validation (up to ANALYSIS_MAX_REPAIR_ATTEMPTS times)
+ * @param {Object} segment - Segment from splitTranscript
+ * @param {number} segmentCount - Total number of segments
+ * @param {Array<Object>} featureList - Features (see normalizeFeatureList)
+ * @param {Object} options - { onEvent, signal, prompt, focusFeature, redacted }
+ * @returns {Promise<{analysis: Object, usage: Object, model: string, repairAttempts: number}>} Segment analysis ({ features, newFeatureSuggestions }) and token usage
+ * @throws {Error} With the tokens used before the failure as error.usage
+ */
+async function analyzeSegment(segment, segmentCount, featureList, options = {}) {
+  if (options.onEvent) {
+    options.onEvent('segment', { index: segment.index, count: segmentCount });
+  }
+
+  const system = options.prompt ? options.prompt.content : SYSTEM_PROMPT;
+  const maxRepairAttempts = getMaxRepairAttempts();
+  const baseMessage = options.focusFeature
+    ? buildFocusedUserMessage(segment, segmentCount, featureList)
+    : buildUserMessage(segment, segmentCount, featureList);
+  const userMessage = options.redacted ? `${baseMessage}\n\n${REDACTION_NOTE}` : baseMessage;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  let user = userMessage;
+  let attempt = 0;
+
+  while (true) {
+    // Repair responses are not streamed; the feature events of the first attempt stand
+    let result;
+    try {
+      result = await requestAnalysis({
+        model: getModel(),
+        maxTokens: MAX_TOKENS,
+        system,
+        user
+      }, segment, featureList, attempt === 0 ? options : { signal: options.signal });
+    } catch (error) {
+      // Earlier attempts of the segment have been paid for
+      error.usage = usage;
+      throw error;
+    }
+
+    usage.inputTokens += result.usage.inputTokens || 0;
+    usage.outputTokens += result.usage.outputTokens || 0;
+
+    const content = result.text;
+    console.log(`Received response from ${result.model} for segment ${segment.index + 1}/${segmentCount} (${content.length} chars)`);
+
+    if (result.stopReason === 'max_tokens') {
+      console.warn(`Segment ${segment.index + 1}/${segmentCount} hit max_tokens; response may be truncated`);
+    }
+
+    const { analysis, errors } = parseAnalysisResponse(content, featureList);
+
+    if (errors.length === 0) {
+      return { analysis, usage, model: result.model, repairAttempts: attempt };
+    }
+
+    console.warn(`Segment ${segment.index + 1}/${segmentCount} response failed validation:`, errors);
+
+    if (attempt >= maxRepairAttempts) {
+      throw new AnalysisValidationError(errors, attempt + 1, usage);
+    }
+
+    attempt++;
+    if (options.onEvent) {
+      options.onEvent('repair', { segment: segment.index, attempt, errors });
+    }
+    user = buildRepairMessage(userMessage, content, errors);
+  }
+}
+
+/**
+ * Run an async mapper over items with a fixed number of workers, preserving order.
+ * Once a call has failed no further items are started.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} mapper - Async function (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await mapper(items[index]);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Estimate the most analyzing a transcript can cost: every segment with the prompt, a full
+ * response and every repair attempt allowed
+ * @param {string} transcript - Full transcript text
+ * @param {Object|null} prompt - Saved prompt version the analysis will use ({ content }), or null for the built-in prompt
+ * @returns {{model: string, estimatedCost: number|null}} Model and cost in USD (null when the model has no price)
+ */
+function estimateAnalysisCost(transcript, prompt = null) {
+  const segments = splitTranscript(transcript);
+  const system = prompt ? prompt.content : SYSTEM_PROMPT;
+  const callsPerSegment = 1 + getMaxRepairAttempts();
+  const inputChars = segments.reduce((sum, segment) => sum + segment.text.length + system.length, 0) * callsPerSegment;
+  const model = getModel();
+
+  return { model, estimatedCost: estimateMaxCost(model, inputChars, segments.length * callsPerSegment * MAX_TOKENS) };
+}
+
+/**
+ * Analyze a transcript, splitting it into overlapping segments when it is long.
+ * Quotes in the result are verified against the transcript (see quoteVerifier).
+ * @param {string} transcript - Full transcript text
+ * @param {Array|string} features - Features ({ id, name, description, examplePainPoints }), or a
+ *   newline-separated list of names; mapped features in the result carry the listed featureId
+ * @param {Object} options - Optional { onEvent(type, data), signal, prompt }; onEvent switches to
+ *   streaming and receives 'started', 'segment', 'feature', 'suggestion', 'repair', 'retry' and 'reset' events
+ *   ('reset': discard the features and suggestions streamed so far for the segment, which is being retried);
+ *   prompt is a saved prompt version ({ id, version, content }) replacing the built-in prompt
+ *   and focusFeature (true) limits the search to the single feature in the list;
+ *   redaction is the user's redaction settings: unless the mode is 'off' the model only sees the
+ *   redacted transcript, and in 'model' mode the placeholders in the result are restored (in 'storage'
+ *   mode they are kept, matching the transcript as it will be stored); redactionEntries is a mapping to
+ *   continue from (see createRedactionSession), e.g. the one stored with a transcript that is re-analyzed
+ * @returns {Promise<Object>} { analysis, segmentCount, verification, model, usage, repairAttempts, prompt, redaction }
+ * @throws {Error} With the tokens used before the failure as error.usage and the model as error.model
+ */
+async function analyzeTranscript(transcript, features, options = {}) {
+  const redactionMode = options.redaction ? options.redaction.mode : 'off';
+  const session = redactionMode !== 'off' ? createRedactionSession(options.redaction, options.redactionEntries) : null;
+  const modelTranscript = session ? session.redact(transcript) : transcript;
+  const restore = redactionMode === 'model' ? session.restore : null;
+
+  // Descriptions and example pain points are redacted like the transcript (feature names never are)
+  const featureList = normalizeFeatureList(features).map(feature => (session
+    ? {
+      ...feature,
+      description: feature.description && session.redact(feature.description),
+      examplePainPoints: feature.examplePainPoints.map(example => session.redact(example))
+    }
+    : feature));
+
+  const segments = splitTranscript(modelTranscript);
+  const concurrency = parseInt(process.env.ANALYSIS_SEGMENT_CONCURRENCY) || DEFAULT_SEGMENT_CONCURRENCY;
+
+  if (segments.length > 1) {
+    console.log(`Transcript split into ${segments.length} segments`);
+  }
+
+  if (session && session.entries.length > 0) {
+    console.log(`Redacted ${session.entries.length} value(s) before analysis (${redactionMode} mode)`);
+  }
+
+  let onEvent = options.onEvent;
+  if (onEvent && restore) {
+    onEvent = (type, data) => {
+      if (type === 'feature') {
+        return options.onEvent(type, { ...data, feature: transformEntry(data.feature, restore) });
+      }
+      if (type === 'suggestion') {
+        return options.onEvent(type, { ...data, suggestion: transformEntry(data.suggestion, restore) });
+      }
+      return options.onEvent(type, data);
+    };
+  }
+
+  if (onEvent) {
+    onEvent('started', { segments: segments.length, transcriptLength: transcript.length });
+  }
+
+  const segmentOptions = { ...options, onEvent, redacted: Boolean(session && session.entries.length > 0) };
+  const spent = { inputTokens: 0, outputTokens: 0 };
+  const addSpent = usage => {
+    spent.inputTokens += (usage && usage.inputTokens) || 0;
+    spent.outputTokens += (usage && usage.outputTokens) || 0;
+  };
+
+  let segmentResults;
+  try {
+    segmentResults = await mapWithConcurrency(segments, concurrency, async segment => {
+      try {
+        const result = await analyzeSegment(segment, segments.length, featureList, segmentOptions);
+        addSpent(result.usage);
+        return result;
+      } catch (error) {
+        addSpent(error.usage);
+        throw error;
+      }
+    });
+  } catch (error) {
+    // The tokens of every segment analyzed so far, so a failed analysis can still be recorded
+    error.usage = spent;
+    error.model = getModel();
+    throw error;
+  }
+
+  const merged = mergeSegmentAnalyses(segmentResults.map(result => result.analysis), MAX_KEY_TAKEAWAYS);
+  const analysis = restore ? transformAnalysis(merged, restore) : merged;
+  const verification = verifyAnalysisQuotes(restore ? transcript : modelTranscript, analysis);
+
+  if (verification.unverified > 0) {
+    console.warn(`${verification.unverified} quote(s) could not be matched to the transcript`);
+  }
+
+  const usage = segmentResults.reduce((total, result) => ({
+    inputTokens: total.inputTokens + (result.usage.inputTokens || 0),
+    outputTokens: total.outputTokens + (result.usage.outputTokens || 0)
+  }), { inputTokens: 0, outputTokens: 0 });
+
+  return {
+    analysis,
+    segmentCount: segments.length,
+    verification,
+    model: segmentResults[0].model,
+    usage,
+    repairAttempts: segmentResults.reduce((sum, result) => sum + result.repairAttempts, 0),
+    prompt: options.prompt
+      ? { id: options.prompt.id, version: options.prompt.version }
+      : { id: null, version: null },
+    redaction: session ? { mode: redactionMode, count: session.entries.length } : null
+  };
+}
+
+/**
+ * Map an analysis failure to an HTTP status and error body
+ * @param {Error} error - Error thrown by analyzeTranscript or the provider
+ * @returns {{status: number, body: Object}} Response status and body
+ */
+function describeAnalysisError(error) {
+  // Handle Anthropic API specific errors
+  if (error.status === 401) {
+    return {
+      status: 401,
+      body: {
+        error: 'Authentication failed',
+        message: 'Invalid Anthropic API key configuration'
+      }
+    };
+  }
+
+  if (error.status === 429) {
+    return {
+      status: 429,
+      body: {
+        error: 'Rate limit exceeded',
+        message: 'The model provider is still rate limiting after several retries. Please try again later.'
+      }
+    };
+  }
+
+  // The circuit breaker is open: the provider kept failing, so the call was not made
+  if (error instanceof ProviderUnavailableError) {
+    return {
+      status: 503,
+      body: {
+        error: 'Model provider unavailable',
+        message: error.message,
+        retryAt: new Date(error.retryAt).toISOString()
+      }
+    };
+  }
+
+  if (error instanceof ProviderTimeoutError) {
+    return {
+      status: 504,
+      body: {
+        error: 'Model provider timeout',
+        message: `${error.message}, even after retrying. Please try again later.`
+      }
+    };
+  }
+
+  // Overloaded (529), server or network errors that outlasted the retries
+  if (error.status >= 500 || error.retryable) {
+    return {
+      status: 503,
+      body: {
+        error: 'Model provider unavailable',
+        message: 'The model provider is overloaded or unreachable and did not recover after several retries. Please try again later.'
+      }
+    };
+  }
+
+  if (error.status === 400) {
+    return {
+      status: 400,
+      body: {
+        error: 'Bad request',
+        message: error.message || 'Invalid request to the model provider'
+      }
+    };
+  }
+
+  // The user's monthly budget is used up
+  if (error instanceof BudgetExceededError) {
+    return {
+      status: 402,
+      body: {
+        error: 'Monthly budget exceeded',
+        message: error.message
+      }
+    };
+  }
+
+  // Offline replay has no recording for this request
+  if (error.code === 'FIXTURE_NOT_FOUND') {
+    return {
+      status: 500,
+      body: {
+        error: 'Analysis failed',
+        message: error.message
+      }
+    };
+  }
+
+  // Model output still invalid after the repair attempts
+  if (error instanceof AnalysisValidationError) {
+    return {
+      status: 502,
+      body: {
+        error: 'Invalid analysis output',
+        message: error.message,
+        details: error.details
+      }
+    };
+  }
+
+  // Handle unusable model responses
+  if (error instanceof AnalysisError) {
+    return {
+      status: 500,
+      body: {
+        error: 'Analysis failed',
+        message: error.message
+      }
+    };
+  }
+
+  // Handle JSON parsing errors
+  if (error instanceof SyntaxError) {
+    return {
+      status: 500,
+      body: {
+        error: 'Analysis failed',
+        message: 'Failed to parse analysis results'
+      }
+    };
+  }
+
+  // Generic error handler
+  return {
+    status: 500,
+    body: {
+      error: 'Analysis failed',
+      message: process.env.NODE_ENV === 'development'
+        ? error.message
+        : 'An error occurred during analysis'
+    }
+  };
+}
+
+module.exports = {
+  analyzeTranscript,
+  estimateAnalysisCost,
+  validateAnalysisInput,
+  getConfigurationError,
+  describeAnalysisError,
+  AnalysisError,
+  AnalysisValidationError,
+  SYSTEM_PROMPT
+};
@@ -0,0 +1,336 @@
+/**
+ * Accounts, sessions, API tokens and workspace roles
+ *
+ * Passwords are hashed with scrypt. The index.html UI signs in with a session
+ * cookie; scripts send a personal API token as "Authorization: Bearer <token>".
+ * Only SHA-256 hashes of session cookies and API tokens are stored, so a copy
+ * of the database cannot be used to sign in.
+ *
+ * Cookie-authenticated requests that change data must come from the server's
+ * own origin or from CORS_ORIGIN, so other sites cannot make them on a signed-in
+ * user's behalf.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getSessionUser, getApiTokenUser } = require('../db/users');
+const { getMembership } = require('../db/workspaces');
+const { hasRole } = require('./workspaces');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'session';
+const API_TOKEN_PREFIX = 'pt_';
+const DEFAULT_SESSION_TTL_DAYS = 30;
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const PASSWORD_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Compared against when an email is unknown, so a failed sign-in takes as long either way
+const DUMMY_PASSWORD_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(PASSWORD_KEY_LENGTH).toString('base64')}`;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (base64)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string|null} stored - Stored hash (null: check against a dummy hash and fail)
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || DUMMY_PASSWORD_HASH).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length);
+  return crypto.timingSafeEqual(hash, expectedBuffer) && Boolean(stored);
+}
+
+/**
+ * Check an email and password before creating an account
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCredentials(email, password) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return 'A valid email address is required';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Generate a random secret for a session cookie or API token
+ * @param {string} prefix - Prepended to the secret (makes API tokens recognizable)
+ * @returns {string} Secret
+ */
+function generateToken(prefix = '') {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a session cookie or API token for storage and lookup
+ * @param {string} token - Secret
+ * @returns {string} SHA-256 hash (hex)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * How long sessions last
+ *   SESSION_TTL_DAYS  days a browser stays signed in (default 30)
+ * @returns {number} Milliseconds
+ */
+function getSessionTtl() {
+  const value = parseFloat(process.env.SESSION_TTL_DAYS);
+  const days = value > 0 ? value : DEFAULT_SESSION_TTL_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Build the Set-Cookie value of the session cookie
+ *   SESSION_COOKIE_SAMESITE  lax (default), strict, or none when index.html is served from another site
+ * @param {string} value - Session token ('' to clear the cookie)
+ * @param {number} maxAge - Milliseconds until the cookie expires (0 to clear it)
+ * @returns {string} Set-Cookie header value
+ */
+function sessionCookie(value, maxAge) {
+  const configured = (process.env.SESSION_COOKIE_SAMESITE || '').toLowerCase();
+  const sameSite = SAME_SITE_VALUES.includes(configured) ? configured : 'lax';
+  const parts = [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    `Max-Age=${Math.floor(maxAge / 1000)}`,
+    `SameSite=${sameSite.charAt(0).toUpperCase()}${sameSite.slice(1)}`
+  ];
+
+  // Browsers only accept SameSite=None on secure cookies
+  if (process.env.NODE_ENV === 'production' || sameSite === 'none') {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Read the session token from the request's cookies
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+function readSessionCookie(req) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === SESSION_COOKIE) {
+      return part.slice(separator + 1).trim() || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the API token from an "Authorization: Bearer" header
+ * @param {Object} req - Express request
+ * @returns {string|null} API token
+ */
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a request that changes data comes from a page allowed to use the session: the
+ * backend's own origin or CORS_ORIGIN. The page is taken from the Origin header, else the
+ * Referer; without either, only a browser's Sec-Fetch-Site saying the request is not
+ * cross-site is trusted.
+ * @param {Object} req - Express request
+ * @returns {boolean} True when allowed
+ */
+function isTrustedOrigin(req) {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  let origin = req.get('Origin');
+  if (!origin && req.get('Referer')) {
+    try {
+      origin = new URL(req.get('Referer')).origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  if (!origin) {
+    return ['same-origin', 'none'].includes(req.get('Sec-Fetch-Site'));
+  }
+  if (process.env.CORS_ORIGIN && process.env.CORS_ORIGIN !== '*' && origin === process.env.CORS_ORIGIN) {
+    return true;
+  }
+
+  try {
+    return new URL(origin).host === req.get('Host');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Middleware: refuse requests that change data from pages other than the backend's own
+ * origin or CORS_ORIGIN (for routes that set the session cookie, like signing in)
+ */
+function requireTrustedOrigin(req, res, next) {
+  if (!isTrustedOrigin(req)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Request origin not allowed'
+    });
+  }
+  next();
+}
+
+/**
+ * Middleware: identify the user from an API token or session cookie and set
+ * req.user ({ id, email, name }) and req.userId; responds 401 without valid credentials
+ */
+async function requireAuth(req, res, next) {
+  // Already identified by a router mounted on a parent path
+  if (req.user) {
+    return next();
+  }
+
+  try {
+    const bearerToken = readBearerToken(req);
+    let user = null;
+
+    if (bearerToken) {
+      user = await getApiTokenUser(hashToken(bearerToken));
+    } else {
+      const sessionToken = readSessionCookie(req);
+      if (sessionToken) {
+        if (!isTrustedOrigin(req)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Request origin not allowed'
+          });
+        }
+        user = await getSessionUser(hashToken(sessionToken));
+      }
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    req.user = user;
+    req.userId = user.id;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request'
+    });
+  }
+}
+
+/**
+ * Middleware: pick the workspace a request works in and set req.workspaceId and
+ * req.role. The X-Workspace-Id header chooses it; without one, the user's first
+ * workspace is used. Responds 403 when the user is not a member.
+ */
+async function loadWorkspace(req, res, next) {
+  // Already loaded by a router mounted on a parent path
+  if (req.workspaceId) {
+    return next();
+  }
+
+  try {
+    const requested = req.get('X-Workspace-Id') || null;
+    const membership = await getMembership(requested, req.userId);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        error: requested ? 'You are not a member of this workspace' : 'You are not a member of any workspace'
+      });
+    }
+
+    req.workspaceId = membership.id;
+    req.role = membership.role;
+    next();
+  } catch (error) {
+    console.error('Error loading workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load workspace'
+    });
+  }
+}
+
+/**
+ * Middleware factory: only let members with at least the given role through
+ * @param {string} role - 'viewer', 'editor' or 'admin'
+ * @returns {Function} Middleware responding 403 to members with a lesser role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This requires the ${role} role in the workspace`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware for every data route: with a database, requires a signed-in member
+ * of the workspace (see requireAuth and loadWorkspace); without one there are
+ * no accounts and everything runs as admin of the 'default' workspace
+ */
+function authenticate(req, res, next) {
+  if (process.env.DATABASE_URL) {
+    return requireAuth(req, res, () => loadWorkspace(req, res, next));
+  }
+  req.userId = 'default';
+  req.workspaceId = 'default';
+  req.role = 'admin';
+  next();
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateToken,
+  hashToken,
+  getSessionTtl,
+  sessionCookie,
+  readSessionCookie,
+  requireTrustedOrigin,
+  requireAuth,
+  loadWorkspace,
+  requireRole,
+  authenticate
+};
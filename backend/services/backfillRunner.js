@@ -0,0 +1,183 @@
+/**
+ * Background runner for feature backfills
+ *
+ * A backfill searches every transcript a workspace saved before a feature existed
+ * for evidence of that one feature. Runs work through transcripts in ID order
+ * and store a cursor after each one, so a paused, failed or interrupted run
+ * resumes where it stopped. Evidence is saved as feature mappings with
+ * source 'backfill' and review_status 'pending'.
+ */
+
+const { analyzeTranscript, estimateAnalysisCost } = require('./analyzer');
+const { getActivePrompt } = require('../db/prompts');
+const { getRedactionSettings } = require('../db/redaction');
+const { recordUsage, recordFailedUsage, reserveUsage } = require('../db/usage');
+const { BudgetExceededError } = require('./usage');
+const {
+  getBackfillRun,
+  claimNextBackfillRun,
+  getNextBackfillTranscript,
+  recordBackfillResult,
+  setBackfillStatus,
+  requeueInterruptedBackfills
+} = require('../db/backfills');
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+let busy = false;
+let timer = null;
+let started = false;
+
+/**
+ * Work through a claimed run until it finishes or stops running
+ * @param {number} runId - Run ID
+ */
+async function runBackfill(runId) {
+  let run = await getBackfillRun(runId);
+  console.log(`Running backfill #${runId} for "${run.feature_name}" (${run.processed_transcripts}/${run.total_transcripts} done)`);
+
+  try {
+    const prompt = await getActivePrompt(run.workspace_id);
+    const redaction = await getRedactionSettings(run.workspace_id);
+
+    while (run && run.status === 'running') {
+      const transcript = await getNextBackfillTranscript(run);
+
+      if (!transcript) {
+        await setBackfillStatus(runId, 'completed', ['running']);
+        console.log(`Backfill #${runId} completed: ${run.mappings_added} mapping(s) added`);
+        return;
+      }
+
+      let feature = null;
+
+      // Transcripts that already have evidence for the feature are skipped
+      if (!transcript.already_mapped) {
+        const reservationId = await reserveUsage({
+          workspaceId: run.workspace_id,
+          transcriptId: transcript.id,
+          kind: 'backfill',
+          createdBy: run.created_by,
+          ...estimateAnalysisCost(transcript.transcript_text, prompt)
+        });
+
+        const focus = { id: run.feature_id, name: run.feature_name, description: run.description };
+        let result;
+        try {
+          result = await analyzeTranscript(transcript.transcript_text, [focus], {
+            prompt,
+            redaction,
+            focusFeature: true
+          });
+        } catch (error) {
+          await recordFailedUsage({
+            workspaceId: run.workspace_id,
+            transcriptId: transcript.id,
+            kind: 'backfill',
+            promptVersionId: prompt ? prompt.id : null,
+            createdBy: run.created_by,
+            reservationId
+          }, error);
+          throw error;
+        }
+
+        const { analysis, model, usage } = result;
+        await recordUsage({
+          workspaceId: run.workspace_id,
+          transcriptId: transcript.id,
+          kind: 'backfill',
+          model,
+          usage,
+          promptVersionId: prompt ? prompt.id : null,
+          createdBy: run.created_by,
+          reservationId
+        });
+
+        feature = analysis.features.find(candidate => candidate.featureId === run.feature_id) || null;
+      }
+
+      await recordBackfillResult(run, transcript, feature);
+      run = await getBackfillRun(runId);
+    }
+
+    console.log(`Backfill #${runId} stopped (${run ? run.status : 'deleted'})`);
+  } catch (error) {
+    // Out of budget: pause so the run can be resumed from here once the budget allows
+    if (error instanceof BudgetExceededError) {
+      console.log(`Backfill #${runId} paused: ${error.message}`);
+      await setBackfillStatus(runId, 'paused', ['running'], null, error.message).catch(() => {});
+      return;
+    }
+
+    console.error(`Backfill #${runId} failed:`, error);
+    await setBackfillStatus(runId, 'failed', ['running'], null, error.message || 'An error occurred during backfill').catch(() => {});
+  }
+}
+
+/**
+ * Run queued backfills one at a time
+ */
+async function processBackfills() {
+  if (busy) {
+    return;
+  }
+  busy = true;
+
+  try {
+    let run;
+    while ((run = await claimNextBackfillRun())) {
+      await runBackfill(run.id);
+    }
+  } catch (error) {
+    // Database unavailable; try again on the next poll
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Wake the runner after a backfill has been queued or resumed
+ */
+function notifyBackfillQueued() {
+  if (started) {
+    processBackfills();
+  }
+}
+
+/**
+ * Start the backfill runner (call once the database is ready)
+ */
+async function startBackfillRunner() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  const requeued = await requeueInterruptedBackfills();
+  if (requeued > 0) {
+    console.log(`Requeued ${requeued} interrupted backfill(s)`);
+  }
+
+  const interval = parseInt(process.env.ANALYSIS_JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  timer = setInterval(processBackfills, interval);
+  timer.unref();
+
+  processBackfills();
+}
+
+/**
+ * Stop polling for backfills (a transcript in progress is left to finish)
+ */
+function stopBackfillRunner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  started = false;
+}
+
+module.exports = {
+  startBackfillRunner,
+  stopBackfillRunner,
+  notifyBackfillQueued
+};
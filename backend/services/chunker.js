@@ -0,0 +1,148 @@
+/**
+ * Speaker-aware transcript chunking
+ *
+ * Long interviews are split into overlapping segments so that each model call
+ * stays well inside its output budget. Segments are cut on speaker turns where
+ * possible, and every segment is an exact slice of the original transcript so
+ * quotes extracted from it remain verbatim.
+ */
+
+const DEFAULT_CHUNK_CHARS = 12000;
+const DEFAULT_OVERLAP_CHARS = 1500;
+
+// "Name:" at the start of a line, e.g. "Interviewer:" or "Chris Smith:"
+const LINE_SPEAKER_PATTERN = /^[ \t]*[A-Z][\w .'()-]{0,40}:\s/;
+
+// "Name:" after the end of a sentence, for transcripts pasted as one paragraph
+const INLINE_SPEAKER_PATTERN = /[.!?…]["')\]]?\s+(?=[A-Z][\w .'()-]{0,40}:\s)/g;
+
+/**
+ * Read chunking limits from the environment
+ * @returns {{chunkChars: number, overlapChars: number}}
+ */
+function getChunkingConfig() {
+  const chunkChars = parseInt(process.env.ANALYSIS_CHUNK_CHARS) || DEFAULT_CHUNK_CHARS;
+  const overlapChars = parseInt(process.env.ANALYSIS_CHUNK_OVERLAP_CHARS);
+
+  return {
+    chunkChars,
+    overlapChars: Number.isNaN(overlapChars)
+      ? Math.min(DEFAULT_OVERLAP_CHARS, Math.floor(chunkChars / 4))
+      : Math.max(0, Math.min(overlapChars, Math.floor(chunkChars / 2)))
+  };
+}
+
+/**
+ * Split a transcript into speaker turns
+ * @param {string} transcript - Full transcript text
+ * @returns {Array<{start: number, end: number}>} Turn boundaries as offsets into the transcript
+ */
+function splitIntoTurns(transcript) {
+  const boundaries = new Set([0]);
+
+  // Line-based speaker labels
+  let offset = 0;
+  for (const line of transcript.split('\n')) {
+    if (offset > 0 && LINE_SPEAKER_PATTERN.test(line)) {
+      boundaries.add(offset);
+    }
+    offset += line.length + 1;
+  }
+
+  // Inline speaker labels ("...today? Chris: User management...")
+  for (const match of transcript.matchAll(INLINE_SPEAKER_PATTERN)) {
+    boundaries.add(match.index + match[0].length);
+  }
+
+  const starts = [...boundaries].sort((a, b) => a - b);
+  return starts
+    .map((start, index) => ({
+      start,
+      end: index + 1 < starts.length ? starts[index + 1] : transcript.length
+    }))
+    .filter(turn => turn.end > turn.start);
+}
+
+/**
+ * Break a single oversized turn on sentence boundaries (falling back to hard cuts)
+ * @param {string} transcript - Full transcript text
+ * @param {{start: number, end: number}} turn - Turn to split
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<{start: number, end: number}>} Pieces of the turn
+ */
+function splitLongTurn(transcript, turn, maxChars) {
+  const pieces = [];
+  let start = turn.start;
+
+  while (turn.end - start > maxChars) {
+    const window = transcript.slice(start, start + maxChars);
+    const sentenceEnd = Math.max(
+      window.lastIndexOf('. '),
+      window.lastIndexOf('? '),
+      window.lastIndexOf('! '),
+      window.lastIndexOf('\n')
+    );
+    const cut = sentenceEnd > maxChars / 2 ? start + sentenceEnd + 1 : start + maxChars;
+    pieces.push({ start, end: cut });
+    start = cut;
+  }
+
+  pieces.push({ start, end: turn.end });
+  return pieces;
+}
+
+/**
+ * Split a transcript into overlapping, speaker-aware segments
+ * @param {string} transcript - Full transcript text
+ * @param {Object} options - Optional overrides for chunkChars / overlapChars
+ * @returns {Array<{index: number, start: number, end: number, text: string}>} Segments in order
+ */
+function splitTranscript(transcript, options = {}) {
+  const { chunkChars, overlapChars } = { ...getChunkingConfig(), ...options };
+
+  if (transcript.length <= chunkChars) {
+    return [{ index: 0, start: 0, end: transcript.length, text: transcript }];
+  }
+
+  // Monologues longer than a segment are cut into overlap-sized pieces so that
+  // consecutive segments can still share context
+  const pieceChars = overlapChars > 0 ? overlapChars : chunkChars;
+  const turns = splitIntoTurns(transcript)
+    .flatMap(turn => turn.end - turn.start > chunkChars - overlapChars
+      ? splitLongTurn(transcript, turn, pieceChars)
+      : [turn]);
+
+  const segments = [];
+  let first = 0;
+
+  while (first < turns.length) {
+    // Take whole turns until the segment is full
+    let last = first;
+    while (last + 1 < turns.length && turns[last + 1].end - turns[first].start <= chunkChars) {
+      last++;
+    }
+
+    const start = turns[first].start;
+    const end = turns[last].end;
+    segments.push({ index: segments.length, start, end, text: transcript.slice(start, end) });
+
+    if (last === turns.length - 1) {
+      break;
+    }
+
+    // Start the next segment a few turns back so pain points spanning the cut are seen whole
+    let next = last + 1;
+    while (next - 1 > first && end - turns[next - 1].start <= overlapChars) {
+      next--;
+    }
+    first = next;
+  }
+
+  return segments;
+}
+
+module.exports = {
+  splitTranscript,
+  splitIntoTurns,
+  getChunkingConfig
+};
@@ -0,0 +1,156 @@
+/**
+ * Feature lists sent to the model
+ *
+ * An analysis is run against a list of features, each with an ID, a name and
+ * optionally a description and a few example pain points already mapped to it,
+ * so that short or ambiguous names can be told apart. The model refers to
+ * listed features by ID, which are resolved back to the exact listed names.
+ *
+ * Clients written before structured features existed send the list as a
+ * newline-separated string of names; those features are numbered 1, 2, ...
+ */
+
+const MAX_FEATURES = 500;
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_EXAMPLE_PAIN_POINTS = 3;
+const MAX_EXAMPLE_LENGTH = 300;
+
+/**
+ * Trim a value to a single line of text
+ * @param {*} value - Value from the request
+ * @returns {string} Text, or '' when the value is not a string
+ */
+function cleanLine(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Check a feature list from a request
+ * @param {*} features - Array of { id?, name, description?, examplePainPoints? } (or names), or a newline-separated string
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateFeatureList(features) {
+  if (typeof features === 'string') {
+    return features.trim() ? null : 'features must not be empty';
+  }
+
+  if (!Array.isArray(features) || features.length === 0) {
+    return 'features must be a non-empty array of features or a newline-separated list of names';
+  }
+
+  if (features.length > MAX_FEATURES) {
+    return `features must contain at most ${MAX_FEATURES} features`;
+  }
+
+  const ids = new Set();
+  for (let index = 0; index < features.length; index++) {
+    const feature = features[index];
+    if (typeof feature === 'string') {
+      if (!feature.trim()) {
+        return `features[${index}] must not be empty`;
+      }
+      continue;
+    }
+
+    if (!feature || typeof feature !== 'object') {
+      return `features[${index}] must be an object or a name`;
+    }
+    if (!cleanLine(feature.name)) {
+      return `features[${index}].name is required`;
+    }
+    if (feature.id !== undefined && feature.id !== null) {
+      if (!Number.isInteger(feature.id) || feature.id < 1) {
+        return `features[${index}].id must be a positive integer`;
+      }
+      if (ids.has(feature.id)) {
+        return `features[${index}].id ${feature.id} is used more than once`;
+      }
+      ids.add(feature.id);
+    }
+    if (feature.description !== undefined && feature.description !== null && typeof feature.description !== 'string') {
+      return `features[${index}].description must be a string`;
+    }
+    if (feature.examplePainPoints !== undefined && feature.examplePainPoints !== null &&
+      (!Array.isArray(feature.examplePainPoints) || feature.examplePainPoints.some(example => typeof example !== 'string'))) {
+      return `features[${index}].examplePainPoints must be an array of strings`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turn a (validated) feature list into the structured form used by the analyzer.
+ * Features without an ID are numbered after the highest ID given.
+ * @param {Array|string} features - Feature list (see validateFeatureList)
+ * @returns {Array<{id: number, name: string, description: string|null, examplePainPoints: Array<string>}>} Features
+ */
+function normalizeFeatureList(features) {
+  const entries = typeof features === 'string'
+    ? features.split('\n')
+    : features;
+
+  const given = entries
+    .map(entry => (typeof entry === 'string' ? { name: entry } : entry))
+    .filter(entry => cleanLine(entry.name));
+
+  let nextId = Math.max(0, ...given.map(entry => (Number.isInteger(entry.id) ? entry.id : 0))) + 1;
+
+  return given.map(entry => ({
+    id: Number.isInteger(entry.id) ? entry.id : nextId++,
+    name: cleanLine(entry.name).slice(0, MAX_NAME_LENGTH),
+    description: cleanLine(entry.description).slice(0, MAX_DESCRIPTION_LENGTH) || null,
+    examplePainPoints: (entry.examplePainPoints || [])
+      .map(cleanLine)
+      .filter(Boolean)
+      .slice(0, MAX_EXAMPLE_PAIN_POINTS)
+      .map(example => example.slice(0, MAX_EXAMPLE_LENGTH))
+  }));
+}
+
+/**
+ * Render a feature list for the model's FEATURE LIST section
+ * @param {Array<Object>} featureList - Features from normalizeFeatureList
+ * @returns {string} One "[id] name" line per feature, followed by its description and examples
+ */
+function renderFeatureList(featureList) {
+  return featureList.map(feature => {
+    const lines = [`[${feature.id}] ${feature.name}`];
+    if (feature.description) {
+      lines.push(`    Description: ${feature.description}`);
+    }
+    if (feature.examplePainPoints.length > 0) {
+      lines.push('    Example pain points:');
+      feature.examplePainPoints.forEach(example => lines.push(`    - ${example}`));
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Read a feature list stored with a queued job: JSON from normalizeFeatureList,
+ * or a newline-separated list of names for jobs queued before structured features
+ * @param {string} stored - Stored feature list
+ * @returns {Array<Object>} Features (see normalizeFeatureList)
+ */
+function parseStoredFeatureList(stored) {
+  if (stored.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed) && parsed.every(entry => entry && typeof entry === 'object')) {
+        return normalizeFeatureList(parsed);
+      }
+    } catch (error) {
+      // A name that happens to start with "[", e.g. "[Beta] Search"
+    }
+  }
+  return normalizeFeatureList(stored);
+}
+
+module.exports = {
+  validateFeatureList,
+  normalizeFeatureList,
+  renderFeatureList,
+  parseStoredFeatureList
+};
@@ -0,0 +1,312 @@
+/**
+ * Evidence syntheses
+ *
+ * A synthesis summarizes all the evidence mapped to one feature across
+ * transcripts: the recurring themes, the strongest quotes, the customers
+ * affected and where customers contradict each other. Pain points are sent to
+ * the model numbered by ID and the model refers back to them by ID, so the
+ * quotes and customers shown with a synthesis are always taken from the stored
+ * evidence rather than retyped by the model.
+ */
+
+const { checkSchema, extractJsonObject } = require('./analysisSchema');
+const { getProvider, getModel } = require('./providers');
+const { createRedactionSession } = require('./redaction');
+const { estimateMaxCost } = require('./usage');
+
+const MAX_TOKENS = 4096;
+// Most severe and most recent pain points first; the rest are counted but not sent
+const MAX_EVIDENCE = 150;
+const MAX_THEMES = 6;
+const MAX_STRONGEST_QUOTES = 5;
+
+const SYNTHESIS_PROMPT = `You are an expert product researcher. You are given every customer pain point mapped to one product feature, collected from many interview transcripts, and write a synthesis of that evidence for a product manager.
+
+Each pain point is listed as "[P<id>] (transcript <n>, severity <1-5>, <frequency>)" followed by the pain point and the customer's verbatim quote.
+
+Your tasks:
+1. Write a short overview (2-3 sentences) of what customers need from this feature and how much it matters to them
+2. Group the pain points into recurring themes (at most ${MAX_THEMES}); give each theme a short name, a one-sentence summary and the IDs of the pain points behind it
+3. Pick the strongest quotes (at most ${MAX_STRONGEST_QUOTES}): the ones that state a theme most clearly, most severely or most specifically, preferring quotes from different transcripts; say in a few words why each was chosen
+4. Point out contradictions: places where customers want opposite things or disagree about how much something matters, with the IDs of the pain points on each side. Return an empty array when there are none; do not invent disagreement
+
+Refer to pain points only by the numeric IDs given in the input. Base everything on the evidence; do not add requirements nobody raised.
+
+Return ONLY valid JSON with no additional text, in this structure:
+
+{
+  "overview": "2-3 sentence synthesis",
+  "themes": [
+    { "theme": "Short theme name", "summary": "One sentence", "painPointIds": [12, 40] }
+  ],
+  "strongestQuotes": [
+    { "painPointId": 12, "reason": "Why this quote stands out" }
+  ],
+  "contradictions": [
+    { "summary": "What customers disagree about", "painPointIds": [12, 51] }
+  ]
+}`;
+
+const ID_LIST_SCHEMA = { type: 'array', items: { type: 'integer' } };
+
+const SYNTHESIS_SCHEMA = {
+  type: 'object',
+  required: ['overview', 'themes', 'strongestQuotes', 'contradictions'],
+  properties: {
+    overview: { type: 'string', minLength: 1 },
+    themes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['theme', 'summary', 'painPointIds'],
+        properties: {
+          theme: { type: 'string', minLength: 1 },
+          summary: { type: 'string' },
+          painPointIds: ID_LIST_SCHEMA
+        }
+      }
+    },
+    strongestQuotes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['painPointId'],
+        properties: {
+          painPointId: { type: 'integer' },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    contradictions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['summary', 'painPointIds'],
+        properties: {
+          summary: { type: 'string', minLength: 1 },
+          painPointIds: ID_LIST_SCHEMA
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Error raised when the model's synthesis cannot be used
+ */
+class SynthesisError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'SynthesisError';
+    this.details = details;
+  }
+}
+
+/**
+ * Pick the pain points sent to the model: most severe first, then most recent
+ * @param {Array<Object>} evidence - Pain points (see db/syntheses.js getSynthesisEvidence)
+ * @returns {Array<Object>} At most MAX_EVIDENCE pain points
+ */
+function selectEvidence(evidence) {
+  return [...evidence]
+    .sort((a, b) => (b.severity || 0) - (a.severity || 0) || b.painPointId - a.painPointId)
+    .slice(0, MAX_EVIDENCE);
+}
+
+/**
+ * List the customers behind the evidence, with how many transcripts and pain points each appears in
+ * @param {Array<Object>} evidence - Pain points with raisedBy participants
+ * @returns {Array<Object>} [{ name, title, company, transcriptCount, painPointCount }], most pain points first
+ */
+function summarizeCustomers(evidence) {
+  const customers = new Map();
+
+  for (const painPoint of evidence) {
+    for (const participant of painPoint.raisedBy || []) {
+      const key = `${participant.name.toLowerCase()}|${(participant.company || '').toLowerCase()}`;
+      if (!customers.has(key)) {
+        customers.set(key, {
+          name: participant.name,
+          title: participant.title || null,
+          company: participant.company || null,
+          transcripts: new Set(),
+          painPointCount: 0
+        });
+      }
+      const customer = customers.get(key);
+      customer.transcripts.add(painPoint.transcriptId);
+      customer.painPointCount++;
+    }
+  }
+
+  return [...customers.values()]
+    .map(({ transcripts, ...customer }) => ({ ...customer, transcriptCount: transcripts.size }))
+    .sort((a, b) => b.painPointCount - a.painPointCount || a.name.localeCompare(b.name));
+}
+
+/**
+ * Build the user message listing a feature's evidence
+ * @param {Object} feature - { name, description }
+ * @param {Array<Object>} evidence - Pain points to send (text already redacted when needed)
+ * @param {number} totalCount - Number of pain points mapped to the feature
+ * @returns {string} User message
+ */
+function buildSynthesisMessage(feature, evidence, totalCount) {
+  // Transcripts are numbered in order of appearance rather than by database ID
+  const transcriptNumbers = new Map();
+  const lines = evidence.map(painPoint => {
+    if (!transcriptNumbers.has(painPoint.transcriptId)) {
+      transcriptNumbers.set(painPoint.transcriptId, transcriptNumbers.size + 1);
+    }
+    const details = [
+      `transcript ${transcriptNumbers.get(painPoint.transcriptId)}`,
+      painPoint.severity ? `severity ${painPoint.severity}` : null,
+      painPoint.frequency
+    ].filter(Boolean).join(', ');
+    return `[P${painPoint.painPointId}] (${details})\nPain point: ${painPoint.painPoint}\nQuote: "${painPoint.quote}"`;
+  });
+
+  const omitted = totalCount > evidence.length
+    ? `\nOnly the ${evidence.length} most severe and most recent of ${totalCount} pain points are listed.\n`
+    : '';
+
+  return `FEATURE: ${feature.name}
+${feature.description ? `DESCRIPTION: ${feature.description}\n` : ''}
+EVIDENCE (${evidence.length} pain points from ${transcriptNumbers.size} transcripts):
+${omitted}
+${lines.join('\n\n')}
+
+Synthesize this evidence. Return only valid JSON.`;
+}
+
+/**
+ * Parse the model's synthesis and resolve pain point IDs against the evidence
+ * (IDs that are not in the evidence are dropped)
+ * @param {string} text - Model response text
+ * @param {Array<Object>} evidence - Pain points that were sent
+ * @returns {Object} { overview, themes, strongestQuotes, contradictions }
+ * @throws {SynthesisError} When the response is not valid JSON in the expected shape
+ */
+function parseSynthesisResponse(text, evidence) {
+  const json = extractJsonObject(text);
+  if (!json) {
+    throw new SynthesisError('The synthesis response does not contain a complete JSON object');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new SynthesisError(`The synthesis response is not valid JSON: ${error.message}`);
+  }
+
+  const errors = [];
+  checkSchema(parsed, SYNTHESIS_SCHEMA, '', errors);
+  if (errors.length > 0) {
+    throw new SynthesisError(`The synthesis response did not match the expected format: ${errors[0]}`, errors);
+  }
+
+  const byId = new Map(evidence.map(painPoint => [painPoint.painPointId, painPoint]));
+  const knownIds = ids => [...new Set(ids)].filter(id => byId.has(id));
+
+  const strongestQuotes = [];
+  for (const entry of parsed.strongestQuotes) {
+    const painPoint = byId.get(entry.painPointId);
+    if (painPoint && !strongestQuotes.some(quote => quote.painPointId === painPoint.painPointId)) {
+      strongestQuotes.push({
+        painPointId: painPoint.painPointId,
+        quote: painPoint.quote,
+        painPoint: painPoint.painPoint,
+        transcriptId: painPoint.transcriptId,
+        transcriptName: painPoint.transcriptName,
+        raisedBy: painPoint.raisedBy || [],
+        reason: entry.reason || null
+      });
+    }
+  }
+
+  return {
+    overview: parsed.overview.trim(),
+    themes: parsed.themes.slice(0, MAX_THEMES).map(theme => ({
+      theme: theme.theme.trim(),
+      summary: theme.summary.trim(),
+      painPointIds: knownIds(theme.painPointIds)
+    })),
+    strongestQuotes: strongestQuotes.slice(0, MAX_STRONGEST_QUOTES),
+    contradictions: parsed.contradictions
+      .map(contradiction => ({
+        summary: contradiction.summary.trim(),
+        painPointIds: knownIds(contradiction.painPointIds)
+      }))
+      .filter(contradiction => contradiction.painPointIds.length > 0)
+  };
+}
+
+/**
+ * Estimate the most synthesizing a feature's evidence can cost
+ * @param {Object} feature - { name, description }
+ * @param {Array<Object>} evidence - Every pain point mapped to the feature (see synthesizeEvidence)
+ * @returns {{model: string, estimatedCost: number|null}} Model and cost in USD (null when the model has no price)
+ */
+function estimateSynthesisCost(feature, evidence) {
+  const message = buildSynthesisMessage(feature, selectEvidence(evidence), evidence.length);
+  const model = getModel();
+
+  return { model, estimatedCost: estimateMaxCost(model, SYNTHESIS_PROMPT.length + message.length, MAX_TOKENS) };
+}
+
+/**
+ * Ask the model to synthesize the evidence for a feature
+ * @param {Object} feature - { name, description }
+ * @param {Array<Object>} evidence - Every pain point mapped to the feature:
+ *   { painPointId, painPoint, quote, severity, frequency, transcriptId, transcriptName, raisedBy }
+ * @param {Object} options - { redaction, signal }; unless the redaction mode is 'off' the model only
+ *   sees redacted text, and in 'model' mode the placeholders in the synthesis are restored
+ * @returns {Promise<Object>} { synthesis, model, usage, evidenceUsed }
+ */
+async function synthesizeEvidence(feature, evidence, options = {}) {
+  const redactionMode = options.redaction ? options.redaction.mode : 'off';
+  const session = redactionMode !== 'off' ? createRedactionSession(options.redaction) : null;
+  const restore = redactionMode === 'model' ? session.restore : text => text;
+
+  const selected = selectEvidence(evidence);
+  const sent = session
+    ? selected.map(painPoint => ({ ...painPoint, painPoint: session.redact(painPoint.painPoint), quote: session.redact(painPoint.quote) }))
+    : selected;
+
+  const result = await getProvider().complete({
+    model: getModel(),
+    maxTokens: MAX_TOKENS,
+    system: SYNTHESIS_PROMPT,
+    user: buildSynthesisMessage(feature, sent, evidence.length),
+    signal: options.signal
+  });
+
+  console.log(`Received evidence synthesis for "${feature.name}" from ${result.model} (${selected.length} pain points)`);
+
+  // Quotes are resolved from the unredacted evidence; only the model's own text needs restoring
+  const parsed = parseSynthesisResponse(result.text, selected);
+  const synthesis = {
+    overview: restore(parsed.overview),
+    themes: parsed.themes.map(theme => ({ ...theme, theme: restore(theme.theme), summary: restore(theme.summary) })),
+    strongestQuotes: parsed.strongestQuotes.map(quote => ({ ...quote, reason: quote.reason && restore(quote.reason) })),
+    customers: summarizeCustomers(evidence),
+    contradictions: parsed.contradictions.map(contradiction => ({ ...contradiction, summary: restore(contradiction.summary) }))
+  };
+
+  return {
+    synthesis,
+    model: result.model,
+    usage: result.usage,
+    evidenceUsed: selected.length
+  };
+}
+
+module.exports = {
+  SYNTHESIS_PROMPT,
+  SynthesisError,
+  synthesizeEvidence,
+  estimateSynthesisCost,
+  parseSynthesisResponse,
+  summarizeCustomers
+};
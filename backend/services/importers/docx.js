@@ -0,0 +1,128 @@
+/**
+ * Word (.docx) transcript importer
+ *
+ * A .docx file is a zip archive; the body text lives in word/document.xml.
+ * The archive is read with zlib directly (no extra dependencies), paragraph
+ * text is extracted from the XML, and the result is parsed as a plain-text
+ * transcript. Teams, Google Meet and Otter all offer .docx exports.
+ */
+
+const zlib = require('zlib');
+const { ImportError, decodeEntities } = require('./normalize');
+const { parsePlainText } = require('./plainText');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DOCUMENT_PATH = 'word/document.xml';
+
+// Text runs, tabs and line breaks inside a paragraph
+const TEXT_TOKEN_PATTERN = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr)\/>/g;
+
+// Refuse to inflate documents beyond this size (protects against zip bombs)
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Read one file from a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {string} entryName - Path of the file inside the archive
+ * @returns {Buffer|null} File contents, or null if the archive has no such file
+ */
+function readZipEntry(buffer, entryName) {
+  // The end-of-central-directory record sits in the last 64KB (after an optional comment)
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = offset;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new ImportError('The file is not a valid .docx document');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new ImportError('The .docx document is damaged');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new ImportError('The .docx document is damaged');
+      }
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        return data;
+      }
+      if (method !== 8) {
+        throw new ImportError('The .docx document uses an unsupported compression method');
+      }
+
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_DOCUMENT_BYTES });
+      } catch (error) {
+        throw new ImportError('The .docx document could not be decompressed');
+      }
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+}
+
+/**
+ * Extract paragraph text from WordprocessingML
+ * @param {string} xml - Contents of word/document.xml
+ * @returns {string} One line per paragraph
+ */
+function extractParagraphs(xml) {
+  // Tracked deletions and field codes are not part of the visible text
+  const body = xml.replace(/<w:(del|instrText)\b[^>]*>[\s\S]*?<\/w:\1>/g, '');
+  const paragraphs = body.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+
+  return paragraphs
+    .map(paragraph => [...paragraph.matchAll(TEXT_TOKEN_PATTERN)]
+      .map(([, text, control]) => {
+        if (text !== undefined) {
+          return decodeEntities(text);
+        }
+        return control === 'tab' ? '\t' : '\n';
+      })
+      .join(''))
+    .join('\n');
+}
+
+/**
+ * Parse a .docx transcript
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} Normalized transcript
+ */
+function parseDocx(buffer) {
+  const documentXml = readZipEntry(buffer, DOCUMENT_PATH);
+
+  if (!documentXml) {
+    throw new ImportError('The file is not a Word document (word/document.xml is missing)');
+  }
+
+  return parsePlainText(extractParagraphs(documentXml.toString('utf8')), 'docx');
+}
+
+module.exports = {
+  parseDocx
+};
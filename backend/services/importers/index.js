@@ -0,0 +1,167 @@
+/**
+ * Transcript file import
+ *
+ * Turns an uploaded .vtt, .srt, .txt or .docx file into a normalized
+ * transcript: the text that is analyzed and stored, plus the speaker turns and
+ * timestamps behind it. The timestamps are saved with the transcript (as its
+ * "source") so quotes can link back to the moment in the recording.
+ */
+
+const { ImportError } = require('./normalize');
+const { parseSubtitles } = require('./subtitles');
+const { parsePlainText } = require('./plainText');
+const { parseDocx } = require('./docx');
+
+const SUPPORTED_FORMATS = ['vtt', 'srt', 'txt', 'docx'];
+const TEXT_EXTENSIONS = { vtt: 'vtt', srt: 'srt', txt: 'txt', text: 'txt', md: 'txt', docx: 'docx' };
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Work out a file's format from its extension, falling back to its contents
+ * @param {string} filename - Uploaded file name
+ * @param {Buffer} buffer - File contents
+ * @returns {string} One of SUPPORTED_FORMATS
+ */
+function detectFormat(filename, buffer) {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+
+  if (TEXT_EXTENSIONS[extension]) {
+    return TEXT_EXTENSIONS[extension];
+  }
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return 'docx';
+  }
+
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 200)).replace(/^\uFEFF/, '');
+  if (head.startsWith('WEBVTT')) {
+    return 'vtt';
+  }
+  if (/^\d+\s*\r?\n[\d:,]+\s+-->/.test(head)) {
+    return 'srt';
+  }
+  if (['doc', 'pdf', 'rtf', 'pages'].includes(extension) || head.includes('\u0000')) {
+    throw new ImportError(`Unsupported file type${extension ? ` (.${extension})` : ''}. Use .vtt, .srt, .txt or .docx`, 415);
+  }
+
+  return 'txt';
+}
+
+/**
+ * Parse an uploaded transcript file
+ * @param {string} filename - Uploaded file name
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { format, filename, text, utterances, timeIndex, speakers, duration }
+ */
+function importTranscript(filename, buffer) {
+  if (buffer.length === 0) {
+    throw new ImportError('The file is empty');
+  }
+
+  if (buffer.length > MAX_IMPORT_BYTES) {
+    throw new ImportError(`The file is too large (maximum ${MAX_IMPORT_BYTES / (1024 * 1024)}MB)`, 413);
+  }
+
+  const format = detectFormat(filename, buffer);
+  let transcript;
+
+  if (format === 'docx') {
+    transcript = parseDocx(buffer);
+  } else {
+    const content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    transcript = format === 'txt' ? parsePlainText(content) : parseSubtitles(content, format);
+  }
+
+  return {
+    ...transcript,
+    filename: filename ? String(filename).slice(0, MAX_FILENAME_LENGTH) : null
+  };
+}
+
+/**
+ * Check a transcript source sent back by the client before storing it
+ *
+ * Offsets must fall inside the transcript text; anything malformed is dropped
+ * rather than rejected, since the transcript itself is still worth saving.
+ * @param {Object} source - { format, filename, recordingUrl, utterances, timeIndex }
+ * @param {string} transcriptText - Text the source describes
+ * @returns {Object|null} Cleaned source, or null if there is nothing usable
+ */
+function sanitizeSource(source, transcriptText) {
+  if (!source || typeof source !== 'object' || !SUPPORTED_FORMATS.includes(source.format)) {
+    return null;
+  }
+
+  const length = transcriptText.length;
+  const isTime = value => value === null || (Number.isFinite(value) && value >= 0);
+  const isOffset = value => Number.isInteger(value) && value >= 0 && value <= length;
+
+  const utterances = (Array.isArray(source.utterances) ? source.utterances : [])
+    .filter(utterance => utterance && isOffset(utterance.textStart) && isOffset(utterance.textEnd) &&
+      utterance.textEnd >= utterance.textStart && isTime(utterance.start) && isTime(utterance.end))
+    .map(utterance => ({
+      speaker: typeof utterance.speaker === 'string' ? utterance.speaker.slice(0, 100) : null,
+      start: utterance.start,
+      end: utterance.end,
+      textStart: utterance.textStart,
+      textEnd: utterance.textEnd
+    }));
+
+  const timeIndex = (Array.isArray(source.timeIndex) ? source.timeIndex : [])
+    .filter(entry => Array.isArray(entry) && isOffset(entry[0]) && isTime(entry[1]) && entry[1] !== null)
+    .map(([offset, time]) => [offset, time])
+    .sort((a, b) => a[0] - b[0]);
+
+  let recordingUrl = null;
+  if (typeof source.recordingUrl === 'string' && /^https?:\/\//i.test(source.recordingUrl.trim())) {
+    recordingUrl = source.recordingUrl.trim().slice(0, 2000);
+  }
+
+  return {
+    format: source.format,
+    filename: typeof source.filename === 'string' ? source.filename.slice(0, MAX_FILENAME_LENGTH) : null,
+    recordingUrl,
+    utterances,
+    timeIndex
+  };
+}
+
+/**
+ * Find the recording time at which a quote starts
+ * @param {Array<Array<number>>} timeIndex - [[offset, seconds]] sorted by offset
+ * @param {Array<Object>} segments - Quote verification segments ({ start, end, matchType })
+ * @returns {number|null} Seconds into the recording, or null if unknown
+ */
+function findQuoteTimestamp(timeIndex, segments) {
+  const located = (segments || []).find(segment => segment.matchType !== 'none' && segment.end > segment.start);
+
+  if (!located || !timeIndex || timeIndex.length === 0) {
+    return null;
+  }
+
+  // Last timestamped piece starting at or before the quote
+  let low = 0;
+  let high = timeIndex.length - 1;
+  let found = null;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (timeIndex[middle][0] <= located.start) {
+      found = timeIndex[middle][1];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+}
+
+module.exports = {
+  ImportError,
+  SUPPORTED_FORMATS,
+  importTranscript,
+  sanitizeSource,
+  findQuoteTimestamp
+};
@@ -0,0 +1,172 @@
+/**
+ * Shared helpers for turning imported files into a normalized transcript
+ *
+ * Every importer produces a list of utterances ({ speaker, start, end, text },
+ * times in seconds or null). buildTranscript merges consecutive utterances by
+ * the same speaker into one "Speaker: text" line and records where each
+ * timestamped piece starts in the resulting text, so a quote's character
+ * offset can later be mapped back to a moment in the recording.
+ */
+
+/**
+ * Error raised when an uploaded file cannot be imported
+ */
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+// "01:02:03.456", "1:02:03,456", "02:03.4" or "2:03"
+const TIMESTAMP_PATTERN = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/;
+
+// "Name: text", e.g. "Interviewer: ..." or "Chris Smith: ..."
+const SPEAKER_LABEL_PATTERN = /^(\p{L}[\p{L}\p{N} .'()&-]{0,40}?):\s+(.*)$/u;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Parse a timestamp into seconds
+ * @param {string} value - Timestamp text
+ * @returns {number|null} Seconds, or null if the text is not a timestamp
+ */
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, hours, minutes, seconds, fraction] = match;
+  const total = (parseInt(hours || '0') * 3600) + (parseInt(minutes) * 60) + parseInt(seconds) +
+    (fraction ? parseInt(fraction.padEnd(3, '0')) / 1000 : 0);
+
+  return Math.round(total * 1000) / 1000;
+}
+
+/**
+ * Decode the HTML/XML entities that appear in subtitle and document text
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    const decoded = ENTITIES[code.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * Collapse whitespace in a piece of utterance text
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a "Name: text" line into speaker and text
+ * @param {string} line - Line of text
+ * @returns {{speaker: string, text: string}|null} Speaker and text, or null if the line has no label
+ */
+function splitSpeakerLabel(line) {
+  const match = SPEAKER_LABEL_PATTERN.exec(line.trim());
+  if (!match) {
+    return null;
+  }
+  return { speaker: match[1].trim(), text: match[2] };
+}
+
+/**
+ * Build a normalized transcript from parsed utterances
+ * @param {string} format - Source format ('vtt', 'srt', 'txt' or 'docx')
+ * @param {Array<Object>} pieces - Utterances in order ({ speaker, start, end, text })
+ * @returns {Object} { format, text, utterances, timeIndex, speakers, duration }
+ *   utterances: [{ speaker, start, end, textStart, textEnd }] - offsets into text
+ *   timeIndex: [[offset, seconds]] - where each timestamped piece starts in text
+ */
+function buildTranscript(format, pieces) {
+  const utterances = [];
+  const timeIndex = [];
+  const lines = [];
+  let length = 0;
+  let current = null;
+
+  for (const piece of pieces) {
+    const text = cleanText(piece.text || '');
+    if (!text) {
+      continue;
+    }
+
+    const speaker = piece.speaker ? cleanText(piece.speaker) : null;
+    const start = Number.isFinite(piece.start) ? piece.start : null;
+    const end = Number.isFinite(piece.end) ? piece.end : null;
+
+    // Continue the current line while the same speaker keeps talking
+    if (current && speaker && current.speaker === speaker) {
+      lines[lines.length - 1] += ' ';
+      length += 1;
+      if (start !== null) {
+        timeIndex.push([length, start]);
+      }
+      lines[lines.length - 1] += text;
+      length += text.length;
+      current.start = current.start !== null ? current.start : start;
+      current.end = end !== null ? end : current.end;
+      current.textEnd = length;
+      continue;
+    }
+
+    if (lines.length > 0) {
+      length += 1; // newline between lines
+    }
+
+    const label = speaker ? `${speaker}: ` : '';
+    current = {
+      speaker,
+      start,
+      end,
+      textStart: length,
+      textEnd: length + label.length + text.length
+    };
+    if (start !== null) {
+      timeIndex.push([length, start]);
+    }
+
+    lines.push(label + text);
+    length = current.textEnd;
+    utterances.push(current);
+  }
+
+  if (utterances.length === 0) {
+    throw new ImportError('No transcript text was found in the file');
+  }
+
+  const speakers = [...new Set(utterances.map(utterance => utterance.speaker).filter(Boolean))];
+  const duration = [...timeIndex.map(([, time]) => time), ...utterances.map(utterance => utterance.end)]
+    .reduce((latest, time) => (time !== null && (latest === null || time > latest) ? time : latest), null);
+
+  return {
+    format,
+    text: lines.join('\n'),
+    utterances,
+    timeIndex,
+    speakers,
+    duration
+  };
+}
+
+module.exports = {
+  ImportError,
+  parseTimestamp,
+  decodeEntities,
+  cleanText,
+  splitSpeakerLabel,
+  buildTranscript
+};
@@ -0,0 +1,117 @@
+/**
+ * Plain-text transcript importer
+ *
+ * Handles the text exports of the common meeting tools as well as transcripts
+ * typed or pasted by hand:
+ *
+ *   Otter / Teams        "Maya Chen  0:03" on its own line, then the text
+ *   Google Meet          "00:05:00" on its own line, then "Maya Chen: text" lines
+ *   Timestamped lines    "[00:01:02] Maya: text", "00:01:02 Maya: text", "Maya (01:02): text"
+ *   Plain                "Maya: text"
+ *
+ * Lines that match none of these continue the previous utterance.
+ */
+
+const { parseTimestamp, splitSpeakerLabel, buildTranscript } = require('./normalize');
+const { parseSubtitles, TIMING_PATTERN } = require('./subtitles');
+
+const TIME = '\\d{1,2}(?::\\d{1,2}){1,2}(?:[.,]\\d{1,3})?';
+
+// "00:05:00" or "[00:05:00]" alone on a line
+const TIME_LINE_PATTERN = new RegExp(`^[[(]?(${TIME})[\\])]?$`);
+
+// "Maya Chen  0:03", "Speaker 1 | 00:00:03" - a capitalized speaker heading with its start time
+const NAME = "\\p{Lu}[\\p{L}.'&-]*(?:\\s+[\\p{Lu}\\p{N}][\\p{L}\\p{N}.'&-]*){0,4}";
+const HEADING_PATTERN = new RegExp(`^(${NAME})\\s*(?:\\s|\\||-)\\s*[[(]?(${TIME})[\\])]?$`, 'u');
+
+// "[00:01:02] Maya: text" or "00:01:02 - text"
+const LEADING_TIME_PATTERN = new RegExp(`^[[(]?(${TIME})[\\])]?\\s*(?:-\\s*)?(.+)$`);
+
+// "Maya (01:02): text"
+const INLINE_TIME_LABEL_PATTERN = new RegExp(`^(\\p{L}[\\p{L}\\p{N} .'&-]{0,40}?)\\s*[[(](${TIME})[\\])]\\s*:\\s*(.*)$`, 'u');
+
+/**
+ * Parse a plain-text transcript
+ * @param {string} content - File content
+ * @param {string} format - Format recorded on the transcript ('txt' or 'docx')
+ * @returns {Object} Normalized transcript
+ */
+function parsePlainText(content, format = 'txt') {
+  const normalized = content.replace(/\r\n?/g, '\n');
+
+  // Older Teams exports are cue lists saved as a document
+  if (normalized.split('\n').some(line => TIMING_PATTERN.test(line))) {
+    return parseSubtitles(normalized, format, { speakerLines: true });
+  }
+
+  const pieces = [];
+  let pendingTime = null;
+  let headingSpeaker = null;
+
+  const addPiece = (speaker, start, text) => {
+    pieces.push({ speaker, start: start !== null ? start : pendingTime, end: null, text });
+    pendingTime = null;
+  };
+
+  for (const rawLine of normalized.split('\n')) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      continue;
+    }
+
+    let match = TIME_LINE_PATTERN.exec(line);
+    if (match) {
+      pendingTime = parseTimestamp(match[1]);
+      continue;
+    }
+
+    match = HEADING_PATTERN.exec(line);
+    if (match) {
+      headingSpeaker = match[1].trim();
+      pendingTime = parseTimestamp(match[2]);
+      continue;
+    }
+
+    match = INLINE_TIME_LABEL_PATTERN.exec(line);
+    if (match) {
+      addPiece(match[1].trim(), parseTimestamp(match[2]), match[3]);
+      continue;
+    }
+
+    let start = null;
+    let text = line;
+
+    match = LEADING_TIME_PATTERN.exec(line);
+    if (match && parseTimestamp(match[1]) !== null) {
+      start = parseTimestamp(match[1]);
+      text = match[2];
+    }
+
+    const labelled = splitSpeakerLabel(text);
+    if (labelled) {
+      headingSpeaker = null;
+      addPiece(labelled.speaker, start, labelled.text);
+      continue;
+    }
+
+    // Text under a "Name  0:03" heading belongs to that speaker
+    if (headingSpeaker) {
+      addPiece(headingSpeaker, start, text);
+      continue;
+    }
+
+    if (pieces.length > 0 && start === null && pendingTime === null) {
+      pieces[pieces.length - 1].text += ' ' + text;
+      continue;
+    }
+
+    addPiece(null, start, text);
+  }
+
+  return buildTranscript(format, pieces);
+}
+
+module.exports = {
+  parsePlainText
+};
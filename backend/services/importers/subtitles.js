@@ -0,0 +1,113 @@
+/**
+ * WebVTT and SRT importer
+ *
+ * Both formats are a list of cues: a timing line ("start --> end") followed by
+ * one or more lines of text. Speakers come from WebVTT voice tags
+ * (<v Maya Chen>, used by Teams) or from a "Name: text" prefix (used by Zoom
+ * and most SRT exports).
+ */
+
+const { ImportError, parseTimestamp, decodeEntities, splitSpeakerLabel, buildTranscript } = require('./normalize');
+
+const TIMING_PATTERN = /^\s*([\d:.,]+)\s+-->\s+([\d:.,]+)/;
+const VOICE_TAG_PATTERN = /<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+
+/**
+ * Remove markup (voice, class, italic and timestamp tags) from cue text
+ * @param {string} text - Cue text
+ * @returns {string} Plain text
+ */
+function stripTags(text) {
+  return decodeEntities(text.replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * Turn the text lines of one cue into utterance pieces
+ * @param {Array<string>} lines - Cue text lines
+ * @param {number|null} start - Cue start in seconds
+ * @param {number|null} end - Cue end in seconds
+ * @param {boolean} speakerLines - Treat a short first line without a label as the speaker name
+ * @returns {Array<Object>} Pieces ({ speaker, start, end, text })
+ */
+function parseCueLines(lines, start, end, speakerLines) {
+  const pieces = [];
+  let defaultSpeaker = null;
+
+  // Some document exports put the speaker name on its own line under the timing line
+  if (speakerLines && lines.length > 1 && !VOICE_TAG_PATTERN.test(lines[0]) && !splitSpeakerLabel(lines[0])) {
+    const name = stripTags(lines[0]).trim();
+    if (name.length > 0 && name.length <= 40 && !/[.!?,]$/.test(name)) {
+      defaultSpeaker = name;
+      lines = lines.slice(1);
+    }
+  }
+
+  for (const line of lines) {
+    const voice = VOICE_TAG_PATTERN.exec(line);
+    let speaker = voice ? voice[1].trim() : null;
+    let text = stripTags(line);
+
+    if (!speaker) {
+      const labelled = splitSpeakerLabel(text);
+      if (labelled) {
+        speaker = labelled.speaker;
+        text = labelled.text;
+      }
+    }
+
+    // Lines without a speaker continue the cue's previous line
+    if (!speaker && pieces.length > 0) {
+      pieces[pieces.length - 1].text += ' ' + text;
+      continue;
+    }
+
+    pieces.push({ speaker: speaker || defaultSpeaker, start: pieces.length === 0 ? start : null, end, text });
+  }
+
+  return pieces;
+}
+
+/**
+ * Parse WebVTT or SRT content
+ * @param {string} content - File content
+ * @param {string} format - 'vtt', 'srt', or the format of the document the cues came from
+ * @param {Object} options - { speakerLines } (see parseCueLines)
+ * @returns {Object} Normalized transcript
+ */
+function parseSubtitles(content, format, options = {}) {
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const pieces = [];
+  let cueCount = 0;
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim().length > 0);
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+
+    // Header, NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    const [, startText, endText] = TIMING_PATTERN.exec(lines[timingIndex]);
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+
+    if (start === null) {
+      continue;
+    }
+
+    cueCount++;
+    pieces.push(...parseCueLines(lines.slice(timingIndex + 1), start, end, options.speakerLines === true));
+  }
+
+  if (cueCount === 0) {
+    throw new ImportError(`No timed cues were found; this does not look like a valid ${format.toUpperCase()} file`);
+  }
+
+  return buildTranscript(format, pieces);
+}
+
+module.exports = {
+  parseSubtitles,
+  TIMING_PATTERN
+};
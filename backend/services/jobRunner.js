@@ -0,0 +1,212 @@
+/**
+ * Background runner for analysis jobs
+ *
+ * Jobs are persisted in analysis_jobs, so a queued analysis survives the
+ * browser tab being closed and a running one is retried after a restart.
+ * The runner polls the table and is also woken up whenever a job is queued.
+ */
+
+const { analyzeTranscript, estimateAnalysisCost } = require('./analyzer');
+const { saveTranscript, deleteTranscript } = require('../db/transcripts');
+const { purgeItem } = require('../db/trash');
+const { openEntries } = require('./redaction');
+const { parseStoredFeatureList } = require('./featureList');
+const { getActivePrompt } = require('../db/prompts');
+const { getRedactionSettings } = require('../db/redaction');
+const { recordUsage, recordFailedUsage, reserveUsage } = require('../db/usage');
+const {
+  claimNextJob,
+  completeJob,
+  failJob,
+  isJobCancelled,
+  requeueInterruptedJobs
+} = require('../db/jobs');
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_CONCURRENCY = 1;
+
+let running = 0;
+let timer = null;
+let started = false;
+
+/**
+ * Analyze a claimed job and save its transcript
+ * @param {Object} job - Job row (with transcript_text and features)
+ */
+async function runJob(job) {
+  console.log(`Running analysis job #${job.id} (${job.transcript_text.length} chars)`);
+  let reservationId = null;
+  let prompt = null;
+
+  try {
+    prompt = await getActivePrompt(job.workspace_id);
+
+    // Budgets are checked when the job runs as well as when it is queued, since the queue may be long
+    reservationId = await reserveUsage({
+      workspaceId: job.workspace_id,
+      kind: 'job',
+      createdBy: job.created_by,
+      ...estimateAnalysisCost(job.transcript_text, prompt)
+    });
+
+    const settings = await getRedactionSettings(job.workspace_id);
+    // A transcript redacted when it was queued is stored redacted even if the mode has changed since
+    const redaction = job.redaction_map ? { ...settings, mode: 'storage' } : settings;
+    const redactionEntries = openEntries(job.redaction_map);
+
+    const { analysis, segmentCount, verification, model, usage, repairAttempts, redaction: analysisRedaction } = await analyzeTranscript(
+      job.transcript_text,
+      parseStoredFeatureList(job.features),
+      { prompt, redaction }
+    );
+
+    // The model call has been paid for even if the job is cancelled below
+    const usageRecord = await recordUsage({
+      workspaceId: job.workspace_id,
+      kind: 'job',
+      model,
+      usage,
+      promptVersionId: prompt ? prompt.id : null,
+      createdBy: job.created_by,
+      reservationId
+    });
+
+    if (await isJobCancelled(job.id)) {
+      console.log(`Analysis job #${job.id} was cancelled; discarding results`);
+      return;
+    }
+
+    const transcriptId = await saveTranscript(
+      job.workspace_id,
+      job.transcript_text,
+      job.summary,
+      analysis.features,
+      analysis.newFeatureSuggestions,
+      {
+        promptVersionId: prompt ? prompt.id : null,
+        model,
+        source: job.source,
+        participants: analysis.participants,
+        overview: {
+          title: analysis.title,
+          executiveSummary: analysis.executiveSummary,
+          keyTakeaways: analysis.keyTakeaways
+        },
+        redaction,
+        redactionEntries,
+        usageId: usageRecord.id,
+        actorId: job.created_by
+      }
+    );
+
+    const completed = await completeJob(job.id, transcriptId, {
+      segmentsAnalyzed: segmentCount,
+      featuresFound: analysis.features.length,
+      newFeatureSuggestionsFound: analysis.newFeatureSuggestions.length,
+      quoteVerification: verification,
+      model,
+      promptVersion: prompt ? prompt.version : null,
+      usage,
+      estimatedCost: usageRecord.estimatedCost,
+      repairAttempts,
+      redaction: analysisRedaction
+    });
+
+    // Cancelled between the check above and now: don't keep the transcript (not even in the trash)
+    if (!completed) {
+      await deleteTranscript(transcriptId, job.workspace_id, job.created_by);
+      await purgeItem('transcript', transcriptId, job.workspace_id, job.created_by);
+      console.log(`Analysis job #${job.id} was cancelled; removed transcript #${transcriptId}`);
+      return;
+    }
+
+    console.log(`Analysis job #${job.id} completed (transcript #${transcriptId})`);
+  } catch (error) {
+    // Records the tokens a failed analysis used, or gives back the reservation if it used none;
+    // usage recorded above is left alone
+    if (reservationId) {
+      await recordFailedUsage({
+        workspaceId: job.workspace_id,
+        kind: 'job',
+        promptVersionId: prompt ? prompt.id : null,
+        createdBy: job.created_by,
+        reservationId
+      }, error);
+    }
+    console.error(`Analysis job #${job.id} failed:`, error);
+    await failJob(job.id, error.message || 'An error occurred during analysis').catch(() => {});
+  }
+}
+
+/**
+ * Claim and start queued jobs until the concurrency limit is reached
+ */
+async function processQueue() {
+  const concurrency = parseInt(process.env.ANALYSIS_JOB_CONCURRENCY) || DEFAULT_CONCURRENCY;
+
+  while (running < concurrency) {
+    let job;
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      return;
+    }
+
+    if (!job) {
+      return;
+    }
+
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      processQueue();
+    });
+  }
+}
+
+/**
+ * Wake the runner after a job has been queued
+ */
+function notifyJobQueued() {
+  if (started) {
+    processQueue();
+  }
+}
+
+/**
+ * Start the job runner (call once the database is ready)
+ */
+async function startJobRunner() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  const requeued = await requeueInterruptedJobs();
+  if (requeued > 0) {
+    console.log(`Requeued ${requeued} interrupted analysis job(s)`);
+  }
+
+  const interval = parseInt(process.env.ANALYSIS_JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  timer = setInterval(processQueue, interval);
+  timer.unref();
+
+  processQueue();
+}
+
+/**
+ * Stop polling for new jobs (running jobs are left to finish)
+ */
+function stopJobRunner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  started = false;
+}
+
+module.exports = {
+  startJobRunner,
+  stopJobRunner,
+  notifyJobQueued
+};
@@ -0,0 +1,229 @@
+/**
+ * Merge per-segment analysis results into a single analysis
+ *
+ * Each segment of a long transcript is analyzed separately and returns the
+ * usual { features, newFeatureSuggestions } shape. Because segments overlap,
+ * the same quote can be extracted twice and the same new feature can be
+ * suggested under slightly different names.
+ */
+
+/**
+ * Normalize text for comparison (case, whitespace, punctuation, ellipses)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/…|\.\.\./g, ' ')
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a comparison key for a feature name ("Slack Integrations" -> "slack integration")
+ * @param {string} name - Feature name
+ * @returns {string} Comparison key
+ */
+function featureKey(name) {
+  return normalizeText(name)
+    .split(' ')
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+/**
+ * Combine quote lists, dropping duplicates and quotes contained in a longer quote
+ * @param {Array<Object>} quotes - Quote objects ({ quote, painPoint, ... })
+ * @returns {Array<Object>} Deduplicated quotes in original order
+ */
+function mergeQuotes(quotes) {
+  const kept = [];
+
+  for (const quoteObj of quotes) {
+    const normalized = normalizeText(quoteObj.quote);
+    if (!normalized) {
+      continue;
+    }
+
+    const existingIndex = kept.findIndex(entry =>
+      entry.normalized.includes(normalized) || normalized.includes(entry.normalized)
+    );
+
+    if (existingIndex === -1) {
+      kept.push({ normalized, quoteObj });
+    } else if (normalized.length > kept[existingIndex].normalized.length) {
+      // Overlapping segments can cut a quote short; keep the fuller version
+      kept[existingIndex] = { normalized, quoteObj };
+    }
+  }
+
+  return kept.map(entry => entry.quoteObj);
+}
+
+/**
+ * Join the distinct summaries produced for the same feature by different segments
+ * @param {Array<string>} summaries - Segment summaries
+ * @returns {string} Combined summary
+ */
+function mergeSummaries(summaries) {
+  const seen = new Set();
+  return summaries
+    .filter(summary => {
+      const key = normalizeText(summary);
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .join(' ');
+}
+
+/**
+ * Pick a single display name among the names segments used for one feature.
+ * The most frequent spelling wins; ties go to the name backed by the most quotes,
+ * then to the earliest segment.
+ * @param {Array<{name: string, quoteCount: number}>} candidates - Names in segment order
+ * @returns {string} Chosen name
+ */
+function pickName(candidates) {
+  const tally = new Map();
+  candidates.forEach(({ name, quoteCount }, order) => {
+    const entry = tally.get(name) || { name, votes: 0, quotes: 0, order };
+    entry.votes++;
+    entry.quotes += quoteCount;
+    tally.set(name, entry);
+  });
+
+  return [...tally.values()]
+    .sort((a, b) => b.votes - a.votes || b.quotes - a.quotes || a.order - b.order)[0].name;
+}
+
+/**
+ * Group feature entries from several segments by name
+ * @param {Array<Array<Object>>} lists - One feature list per segment
+ * @param {Function} keyFn - Grouping key for a feature name
+ * @returns {Array<Object>} Merged feature entries
+ */
+function mergeFeatureLists(lists, keyFn) {
+  const groups = new Map();
+
+  for (const list of lists) {
+    for (const feature of list || []) {
+      if (!feature || !feature.featureName) {
+        continue;
+      }
+      const key = keyFn(feature.featureName);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(feature);
+    }
+  }
+
+  return [...groups.values()].map(entries => ({
+    ...entries[0],
+    featureName: pickName(entries.map(entry => ({
+      name: entry.featureName,
+      quoteCount: (entry.quotes || []).length
+    }))),
+    aiSummary: mergeSummaries(entries.map(entry => entry.aiSummary)),
+    quotes: mergeQuotes(entries.flatMap(entry => entry.quotes || []))
+  }));
+}
+
+/**
+ * Combine the participants reported by each segment, keeping the first
+ * non-empty role, title and company seen for each name
+ * @param {Array<Array<Object>>} lists - One participant list per segment
+ * @returns {Array<Object>} Participants in order of first appearance
+ */
+function mergeParticipants(lists) {
+  const byName = new Map();
+
+  for (const list of lists) {
+    for (const participant of list || []) {
+      if (!participant || !participant.name) {
+        continue;
+      }
+      const key = normalizeText(participant.name);
+      const existing = byName.get(key);
+      if (!existing) {
+        byName.set(key, { ...participant });
+        continue;
+      }
+      for (const field of ['role', 'title', 'company']) {
+        existing[field] = existing[field] || participant[field];
+      }
+    }
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Combine the overviews of each segment: the first segment's title, the distinct
+ * executive summaries joined in order and the key takeaways taken in turn from
+ * each segment (most important first), without repeats
+ * @param {Array<Object>} analyses - Segment analyses, in transcript order
+ * @param {number} maxTakeaways - Most takeaways to keep
+ * @returns {{title: string|null, executiveSummary: string|null, keyTakeaways: Array<string>}} Overview
+ */
+function mergeOverviews(analyses, maxTakeaways) {
+  const title = analyses.map(analysis => analysis.title).find(Boolean) || null;
+  const executiveSummary = mergeSummaries(analyses.map(analysis => analysis.executiveSummary || '')) || null;
+
+  const lists = analyses.map(analysis => analysis.keyTakeaways || []);
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  const seen = new Set();
+  const keyTakeaways = [];
+
+  for (let rank = 0; rank < longest; rank++) {
+    for (const list of lists) {
+      const takeaway = list[rank];
+      const key = takeaway ? normalizeText(takeaway) : '';
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        keyTakeaways.push(takeaway);
+      }
+    }
+  }
+
+  return { title, executiveSummary, keyTakeaways: keyTakeaways.slice(0, maxTakeaways) };
+}
+
+/**
+ * Merge segment analyses into the standard analysis shape
+ * @param {Array<Object>} analyses - Segment analyses, in transcript order
+ * @param {number} maxTakeaways - Most key takeaways to keep
+ * @returns {{title, executiveSummary, keyTakeaways, features: Array, newFeatureSuggestions: Array, participants: Array}} Merged analysis
+ */
+function mergeSegmentAnalyses(analyses, maxTakeaways) {
+  if (analyses.length === 1) {
+    return analyses[0];
+  }
+
+  // Existing features must keep the exact name from the feature list, so they
+  // are grouped case-insensitively only; suggestions are grouped loosely.
+  const features = mergeFeatureLists(
+    analyses.map(analysis => analysis.features),
+    name => name.trim().toLowerCase()
+  );
+  const newFeatureSuggestions = mergeFeatureLists(
+    analyses.map(analysis => analysis.newFeatureSuggestions),
+    featureKey
+  );
+
+  const participants = mergeParticipants(analyses.map(analysis => analysis.participants));
+
+  return { ...mergeOverviews(analyses, maxTakeaways), features, newFeatureSuggestions, participants };
+}
+
+module.exports = {
+  mergeSegmentAnalyses,
+  mergeQuotes,
+  featureKey,
+  normalizeText
+};
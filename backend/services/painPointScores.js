@@ -0,0 +1,75 @@
+/**
+ * Pain point scores
+ *
+ * Alongside each quote the model rates how severe the pain is (1-5, with a
+ * short rationale), the speaker's sentiment, how often the problem occurs and
+ * what kind of pain it is. Scores are optional: prompt versions saved before
+ * scoring existed do not ask for them, and unscored pain points count with a
+ * medium severity and the weight of a one-off problem.
+ */
+
+const SEVERITY_MIN = 1;
+const SEVERITY_MAX = 5;
+const DEFAULT_SEVERITY = 3;
+const MAX_RATIONALE_LENGTH = 500;
+
+const SENTIMENTS = ['negative', 'mixed', 'neutral', 'positive'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'occasional', 'once'];
+const PAIN_CATEGORIES = ['obstacle', 'frustration', 'unmet_need', 'workaround', 'time_cost', 'financial_cost'];
+
+// How much more a recurring problem weighs than a one-off one
+const FREQUENCY_WEIGHTS = {
+  daily: 3,
+  weekly: 2,
+  monthly: 1.5,
+  occasional: 1.2,
+  once: 1
+};
+
+/**
+ * Pick an allowed value, ignoring case and spaces ("Time cost" -> "time_cost")
+ * @param {*} value - Value from the model or a client
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string|null} Allowed value, or null
+ */
+function pickAllowed(value, allowed) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const cleaned = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return allowed.includes(cleaned) ? cleaned : null;
+}
+
+/**
+ * Clean the scores of a quote object for storage
+ * @param {Object} quoteObj - Quote object ({ severity, severityRationale, sentiment, frequency, category })
+ * @returns {Object} { severity, severityRationale, sentiment, frequency, category } - null when missing
+ */
+function normalizePainPointScores(quoteObj) {
+  const severity = Number.isInteger(quoteObj.severity) &&
+    quoteObj.severity >= SEVERITY_MIN && quoteObj.severity <= SEVERITY_MAX
+    ? quoteObj.severity
+    : null;
+  const rationale = typeof quoteObj.severityRationale === 'string' && quoteObj.severityRationale.trim()
+    ? quoteObj.severityRationale.trim().slice(0, MAX_RATIONALE_LENGTH)
+    : null;
+
+  return {
+    severity,
+    severityRationale: severity === null ? null : rationale,
+    sentiment: pickAllowed(quoteObj.sentiment, SENTIMENTS),
+    frequency: pickAllowed(quoteObj.frequency, FREQUENCIES),
+    category: pickAllowed(quoteObj.category, PAIN_CATEGORIES)
+  };
+}
+
+module.exports = {
+  SEVERITY_MIN,
+  SEVERITY_MAX,
+  DEFAULT_SEVERITY,
+  SENTIMENTS,
+  FREQUENCIES,
+  PAIN_CATEGORIES,
+  FREQUENCY_WEIGHTS,
+  normalizePainPointScores
+};
@@ -0,0 +1,167 @@
+/**
+ * Transcript participants
+ *
+ * Speakers are identified by the labels in the transcript ("Maya:", "Chris:").
+ * The model reports each participant's role (interviewer or customer), title
+ * and company; speakers it did not describe are kept with an unknown role.
+ * Quotes are attributed to the speakers whose turns they overlap, so a quote
+ * made up only of interviewer turns is not counted as customer evidence.
+ */
+
+const { splitIntoTurns } = require('./chunker');
+const { normalizeText } = require('./mergeAnalyses');
+
+const PARTICIPANT_ROLES = ['interviewer', 'customer'];
+const MAX_FIELD_LENGTH = 200;
+
+// Speaker label at the start of a turn (same shape the chunker splits on)
+const TURN_LABEL_PATTERN = /^[ \t]*([A-Z][\w .'()-]{0,40}):\s/;
+
+// Speaker labels anywhere in a quote ("... today? Chris: User management ...")
+const QUOTE_LABEL_PATTERN = /(?:^|[.!?…]["')\]]?\s+|\n)([A-Z][\w .'()-]{0,40}):\s/g;
+
+/**
+ * Split a transcript into turns labelled with their speaker
+ * @param {string} transcript - Transcript text
+ * @returns {Array<{speaker: string|null, start: number, end: number}>} Speaker turns
+ */
+function findSpeakerTurns(transcript) {
+  return splitIntoTurns(transcript).map(turn => {
+    const match = TURN_LABEL_PATTERN.exec(transcript.slice(turn.start, Math.min(turn.end, turn.start + 60)));
+    return { speaker: match ? match[1].trim() : null, start: turn.start, end: turn.end };
+  });
+}
+
+/**
+ * List the distinct speaker labels in a transcript, in order of first appearance
+ * @param {string} transcript - Transcript text
+ * @returns {Array<string>} Speaker names
+ */
+function listSpeakers(transcript) {
+  const seen = new Map();
+  for (const turn of findSpeakerTurns(transcript)) {
+    if (turn.speaker && !seen.has(normalizeText(turn.speaker))) {
+      seen.set(normalizeText(turn.speaker), turn.speaker);
+    }
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Create a function that names the speakers of a quote
+ * @param {string} transcript - Transcript text the quotes were verified against
+ * @returns {Function} (segments, quote) => Array<string> of speaker names
+ */
+function createSpeakerResolver(transcript) {
+  const turns = findSpeakerTurns(transcript);
+
+  return (segments, quote) => {
+    const names = new Set();
+    const located = (segments || []).filter(segment => segment.matchType !== 'none' && segment.end > segment.start);
+
+    for (const segment of located) {
+      for (const turn of turns) {
+        if (turn.speaker && turn.start < segment.end && turn.end > segment.start) {
+          names.add(turn.speaker);
+        }
+      }
+    }
+
+    // Quotes that could not be located still carry their speaker labels
+    if (located.length === 0 && quote) {
+      for (const match of quote.matchAll(QUOTE_LABEL_PATTERN)) {
+        names.add(match[1].trim());
+      }
+    }
+
+    return [...names];
+  };
+}
+
+/**
+ * Trim an optional text field
+ * @param {*} value - Field value
+ * @returns {string|null} Trimmed text, or null when empty
+ */
+function cleanField(value) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+  return value.trim().slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Normalize a participant list (from the model or from an edit), dropping
+ * entries without a name and merging repeated names
+ * @param {Array<Object>} participants - [{ name, role, title, company }]
+ * @returns {Array<Object>} Cleaned participants (role is 'interviewer', 'customer' or null)
+ */
+function normalizeParticipants(participants) {
+  const byName = new Map();
+
+  for (const participant of Array.isArray(participants) ? participants : []) {
+    const name = participant && cleanField(participant.name);
+    if (!name) {
+      continue;
+    }
+
+    const role = typeof participant.role === 'string' ? participant.role.trim().toLowerCase() : null;
+    const cleaned = {
+      name,
+      role: PARTICIPANT_ROLES.includes(role) ? role : null,
+      title: cleanField(participant.title),
+      company: cleanField(participant.company)
+    };
+
+    const key = normalizeText(name);
+    const existing = byName.get(key);
+    if (existing) {
+      existing.role = existing.role || cleaned.role;
+      existing.title = existing.title || cleaned.title;
+      existing.company = existing.company || cleaned.company;
+    } else {
+      byName.set(key, cleaned);
+    }
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Combine the participants the model reported with the speakers labelled in the transcript
+ * @param {Array<Object>} reported - Participants from the analysis
+ * @param {Array<string>} speakers - Speaker labels (see listSpeakers)
+ * @returns {Array<Object>} Participants, transcript speakers first
+ */
+function combineParticipants(reported, speakers) {
+  const described = normalizeParticipants(reported);
+  const remaining = new Map(described.map(participant => [normalizeText(participant.name), participant]));
+  const combined = [];
+
+  for (const speaker of speakers) {
+    const key = normalizeText(speaker);
+    // The model may use a fuller name ("Chris Smith") than the label ("Chris")
+    let match = remaining.get(key);
+    if (!match) {
+      match = [...remaining.values()].find(participant => normalizeText(participant.name).split(' ')[0] === key);
+    }
+
+    if (match) {
+      remaining.delete(normalizeText(match.name));
+      combined.push({ ...match, name: speaker });
+    } else {
+      combined.push({ name: speaker, role: null, title: null, company: null });
+    }
+  }
+
+  return [...combined, ...remaining.values()];
+}
+
+module.exports = {
+  PARTICIPANT_ROLES,
+  findSpeakerTurns,
+  listSpeakers,
+  createSpeakerResolver,
+  normalizeParticipants,
+  combineParticipants
+};
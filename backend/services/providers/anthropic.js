@@ -0,0 +1,68 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Anthropic Messages API provider
+ * @param {Object} options - { apiKey }
+ * @returns {Object} Provider (see providers/index.js for the interface)
+ */
+function createAnthropicProvider({ apiKey } = {}) {
+  // Retries and timeouts are handled by the resilient wrapper (see resilient.js)
+  const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'anthropic',
+
+    getConfigurationError() {
+      if (!apiKey || apiKey === 'your_claude_api_key_here') {
+        return 'Anthropic API key is not configured. Please set ANTHROPIC_API_KEY in .env file';
+      }
+      return null;
+    },
+
+    async complete({ system, user, model, maxTokens, signal, onText }) {
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [{
+          role: 'user',
+          content: user
+        }]
+      };
+
+      let message;
+      try {
+        if (onText) {
+          const stream = client.messages.stream(body, { signal });
+          stream.on('text', onText);
+          message = await stream.finalMessage();
+        } else {
+          message = await client.messages.create(body, { signal });
+        }
+      } catch (error) {
+        // Network failures and errors sent mid-stream (e.g. overloaded_error) have no status
+        if (error instanceof Anthropic.APIConnectionError) {
+          error.retryable = true;
+        }
+        throw error;
+      }
+
+      return {
+        text: message.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        usage: {
+          inputTokens: message.usage?.input_tokens || 0,
+          outputTokens: message.usage?.output_tokens || 0
+        },
+        model: message.model || model,
+        stopReason: message.stop_reason
+      };
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
@@ -0,0 +1,106 @@
+/**
+ * LLM provider selection
+ *
+ * Every provider exposes the same interface:
+ *
+ *   provider.name
+ *   provider.getConfigurationError() -> string | null
+ *   provider.complete({ system, user, model, maxTokens, signal, onText, onRetry })
+ *     -> Promise<{ text, usage: { inputTokens, outputTokens }, model, stopReason }>
+ *
+ * When onText is given the provider streams and calls it with each text delta.
+ * The configured provider is wrapped with retries, timeouts and a circuit
+ * breaker (see resilient.js); onRetry is called before each retry, with
+ * streamed: true when text the failed attempt passed to onText must be discarded.
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER          anthropic (default) | replay | record
+ *   LLM_MODEL             model id (default: claude-sonnet-4-5-20250929)
+ *   LLM_FIXTURES_DIR      fixture directory for replay/record (default: backend/fixtures/llm)
+ *   LLM_REPLAY_FALLBACK   fixture file replayed when no recording matches (optional)
+ *   LLM_MAX_RETRIES, LLM_RETRY_*, LLM_REQUEST_TIMEOUT_MS, LLM_CIRCUIT_*  retry policy (see resilient.js)
+ */
+
+const path = require('path');
+const { createAnthropicProvider } = require('./anthropic');
+const { createReplayProvider, createRecordingProvider } = require('./replay');
+const { createResilientProvider, getRetryPolicy } = require('./resilient');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/llm');
+
+let provider = null;
+
+/**
+ * Get the configured model id
+ * @returns {string} Model id
+ */
+function getModel() {
+  return process.env.LLM_MODEL || DEFAULT_MODEL;
+}
+
+/**
+ * Create the provider named by LLM_PROVIDER
+ * @returns {Object} Provider
+ */
+function createProvider() {
+  const name = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+  const fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  switch (name) {
+    case 'anthropic':
+      return createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+    case 'replay':
+      return createReplayProvider({
+        fixturesDir,
+        fallbackFile: process.env.LLM_REPLAY_FALLBACK || null
+      });
+
+    case 'record':
+      return createRecordingProvider(
+        createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY }),
+        { fixturesDir }
+      );
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected anthropic, replay or record)`);
+  }
+}
+
+/**
+ * Get the configured provider (created on first use, after dotenv has loaded)
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createResilientProvider(createProvider(), getRetryPolicy());
+    console.log(`LLM provider: ${provider.name} (model: ${getModel()})`);
+  }
+  return provider;
+}
+
+/**
+ * Report whether the provider is healthy, for /health
+ * @returns {Object} { name, model, status: 'ok' | 'degraded', circuit } - name and circuit are
+ *   null until the first model call
+ */
+function getProviderHealth() {
+  if (!provider) {
+    return { name: null, model: getModel(), status: 'ok', circuit: null };
+  }
+
+  const circuit = provider.getHealth();
+  return {
+    name: provider.name,
+    model: getModel(),
+    status: circuit.state === 'closed' ? 'ok' : 'degraded',
+    circuit
+  };
+}
+
+module.exports = {
+  getProvider,
+  getProviderHealth,
+  getModel
+};
@@ -0,0 +1,198 @@
+/**
+ * Record/replay providers for offline development and tests
+ *
+ * The recording provider wraps a real provider and writes every response to a
+ * fixture file. The replay provider serves those fixtures without any network
+ * access, so the analyze -> save -> view flow runs the same way every time.
+ *
+ * Fixtures are JSON files named after a hash of the request (model, system
+ * prompt and user message). When no exact match exists the replay provider
+ * falls back to a fixture recorded for the same user message under a different
+ * prompt, then to an optional default fixture.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Characters per simulated chunk when replaying a streamed response
+const REPLAY_CHUNK_CHARS = 64;
+
+/**
+ * Hash a value for use as a fixture key
+ * @param {*} value - Value to hash (JSON-serialized)
+ * @returns {string} Short hex hash
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Compute the fixture keys for a request
+ * @param {Object} request - { system, user, model }
+ * @returns {{requestKey: string, userKey: string}} Exact and user-message-only keys
+ */
+function getFixtureKeys({ system, user, model }) {
+  return {
+    requestKey: hash({ model, system, user }),
+    userKey: hash({ user })
+  };
+}
+
+/**
+ * Read a fixture file
+ * @param {string} filePath - Fixture path
+ * @returns {Object|null} Fixture or null if missing
+ */
+function readFixture(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Find the fixture for a request
+ * @param {string} fixturesDir - Fixture directory
+ * @param {Object} request - { system, user, model }
+ * @param {string|null} fallbackFile - Fixture file used when nothing matches
+ * @returns {Object|null} Fixture or null
+ */
+function findFixture(fixturesDir, request, fallbackFile) {
+  const { requestKey, userKey } = getFixtureKeys(request);
+
+  const exact = readFixture(path.join(fixturesDir, `${requestKey}.json`));
+  if (exact) {
+    return exact;
+  }
+
+  if (fs.existsSync(fixturesDir)) {
+    // Hand-named fixtures (e.g. sample.json) are matched by the keys they contain
+    const fixtures = fs.readdirSync(fixturesDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readFixture(path.join(fixturesDir, file)))
+      .filter(Boolean);
+
+    const renamed = fixtures.find(fixture => fixture.requestKey === requestKey);
+    if (renamed) {
+      return renamed;
+    }
+
+    const sameUserMessage = fixtures.find(fixture => fixture.userKey === userKey);
+
+    if (sameUserMessage) {
+      console.warn(`Replaying fixture ${sameUserMessage.requestKey} recorded with a different prompt or model`);
+      return sameUserMessage;
+    }
+  }
+
+  if (fallbackFile) {
+    const fallback = readFixture(path.isAbsolute(fallbackFile) ? fallbackFile : path.join(fixturesDir, fallbackFile));
+    if (fallback) {
+      console.warn(`No fixture for request ${requestKey}; replaying fallback fixture`);
+      return fallback;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Provider that serves recorded responses from fixture files
+ * @param {Object} options - { fixturesDir, fallbackFile }
+ * @returns {Object} Provider (see providers/index.js for the interface)
+ */
+function createReplayProvider({ fixturesDir, fallbackFile = null }) {
+  return {
+    name: 'replay',
+
+    getConfigurationError() {
+      if (!fs.existsSync(fixturesDir)) {
+        return `LLM fixture directory not found: ${fixturesDir}`;
+      }
+      return null;
+    },
+
+    async complete({ system, user, model, signal, onText }) {
+      const fixture = findFixture(fixturesDir, { system, user, model }, fallbackFile);
+
+      if (!fixture) {
+        const { requestKey } = getFixtureKeys({ system, user, model });
+        const error = new Error(`No recorded response for request ${requestKey}. Run once with LLM_PROVIDER=record to capture it.`);
+        error.code = 'FIXTURE_NOT_FOUND';
+        throw error;
+      }
+
+      const { text } = fixture.response;
+
+      if (onText) {
+        for (let i = 0; i < text.length; i += REPLAY_CHUNK_CHARS) {
+          if (signal && signal.aborted) {
+            const abortError = new Error('Request was aborted.');
+            abortError.name = 'AbortError';
+            throw abortError;
+          }
+          onText(text.slice(i, i + REPLAY_CHUNK_CHARS));
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      return {
+        text,
+        usage: fixture.response.usage || { inputTokens: 0, outputTokens: 0 },
+        model: fixture.model || model,
+        stopReason: fixture.response.stopReason || 'end_turn'
+      };
+    }
+  };
+}
+
+/**
+ * Provider that forwards to another provider and records every response
+ * @param {Object} inner - Provider to record
+ * @param {Object} options - { fixturesDir }
+ * @returns {Object} Provider (see providers/index.js for the interface)
+ */
+function createRecordingProvider(inner, { fixturesDir }) {
+  return {
+    name: `record(${inner.name})`,
+
+    getConfigurationError() {
+      return inner.getConfigurationError();
+    },
+
+    async complete(request) {
+      const result = await inner.complete(request);
+      const { requestKey, userKey } = getFixtureKeys(request);
+
+      fs.mkdirSync(fixturesDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(fixturesDir, `${requestKey}.json`),
+        JSON.stringify({
+          requestKey,
+          userKey,
+          model: result.model,
+          recordedAt: new Date().toISOString(),
+          request: {
+            system: request.system,
+            user: request.user
+          },
+          response: {
+            text: result.text,
+            usage: result.usage,
+            stopReason: result.stopReason
+          }
+        }, null, 2)
+      );
+      console.log(`Recorded LLM fixture ${requestKey}`);
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createReplayProvider,
+  createRecordingProvider,
+  getFixtureKeys
+};
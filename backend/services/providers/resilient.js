@@ -0,0 +1,376 @@
+/**
+ * Retries, timeouts and circuit breaking for model calls
+ *
+ * Wraps a provider so that rate limits (429), overload (529), server errors and
+ * network failures are retried with exponential backoff and full jitter,
+ * waiting at least as long as the provider's retry-after header asks. Each
+ * attempt has its own timeout. When calls keep failing the circuit opens and
+ * new calls fail fast until a cooldown has passed; one trial call then decides
+ * whether it closes again.
+ *
+ * When a streamed attempt fails after text was received, onRetry is told so
+ * (streamed: true) and the caller discards that text; the retry streams from
+ * the start. Without an onRetry to discard it, retries are not streamed, so
+ * the text already passed to onText is not sent twice.
+ */
+
+// Statuses worth retrying: timeout, conflict, rate limit and server errors (529 is "overloaded")
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+const DEFAULT_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  timeoutMs: 300000,
+  failureThreshold: 5,
+  cooldownMs: 30000
+};
+
+/**
+ * Error raised when a model call took longer than the per-attempt timeout
+ */
+class ProviderTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`The model did not respond within ${Math.ceil(timeoutMs / 1000)} seconds`);
+    this.name = 'ProviderTimeoutError';
+    this.code = 'PROVIDER_TIMEOUT';
+    this.retryable = true;
+  }
+}
+
+/**
+ * Error raised without calling the provider while the circuit is open
+ */
+class ProviderUnavailableError extends Error {
+  constructor(retryAt, cause = null) {
+    const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    super(`The model provider is failing repeatedly; new analyses are paused for ${seconds} more second(s)${cause ? ` (last error: ${cause})` : ''}`);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Read the retry policy from the environment
+ *   LLM_MAX_RETRIES                retries after the first attempt (default 3)
+ *   LLM_RETRY_BASE_DELAY_MS        backoff before the first retry, doubled each time (default 1000)
+ *   LLM_RETRY_MAX_DELAY_MS         longest wait between attempts (default 30000)
+ *   LLM_REQUEST_TIMEOUT_MS         timeout of each attempt (default 300000)
+ *   LLM_CIRCUIT_FAILURE_THRESHOLD  consecutive failures that open the circuit (default 5, 0 disables it)
+ *   LLM_CIRCUIT_COOLDOWN_MS        how long the circuit stays open (default 30000)
+ * @returns {Object} Policy
+ */
+function getRetryPolicy() {
+  const read = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    maxRetries: read('LLM_MAX_RETRIES', DEFAULT_POLICY.maxRetries),
+    baseDelayMs: read('LLM_RETRY_BASE_DELAY_MS', DEFAULT_POLICY.baseDelayMs),
+    maxDelayMs: read('LLM_RETRY_MAX_DELAY_MS', DEFAULT_POLICY.maxDelayMs),
+    timeoutMs: read('LLM_REQUEST_TIMEOUT_MS', DEFAULT_POLICY.timeoutMs),
+    failureThreshold: read('LLM_CIRCUIT_FAILURE_THRESHOLD', DEFAULT_POLICY.failureThreshold),
+    cooldownMs: read('LLM_CIRCUIT_COOLDOWN_MS', DEFAULT_POLICY.cooldownMs)
+  };
+}
+
+/**
+ * Decide whether a failed call is worth retrying
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean} True for rate limits, overload, server errors, timeouts and network errors
+ */
+function isRetryable(error) {
+  if (error.retryable) {
+    return true;
+  }
+  return typeof error.status === 'number' &&
+    (RETRYABLE_STATUSES.includes(error.status) || error.status >= 500);
+}
+
+/**
+ * Read how long the provider asked us to wait (retry-after-ms, or retry-after in seconds or as a date)
+ * @param {Error} error - Error thrown by the provider
+ * @returns {number|null} Milliseconds, or null when the provider did not say
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = parseFloat(get('retry-after-ms'));
+  if (!isNaN(milliseconds)) {
+    return Math.max(0, milliseconds);
+  }
+
+  const retryAfter = get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the wait before a retry: full jitter over an exponentially growing window
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} policy - Retry policy
+ * @param {number|null} retryAfterMs - Wait requested by the provider
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(retry, policy, retryAfterMs) {
+  const window = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retry - 1));
+  const backoff = Math.round(Math.random() * window);
+  return retryAfterMs === null ? backoff : Math.max(retryAfterMs, backoff);
+}
+
+/**
+ * Wait, stopping early when the caller aborts
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Create a circuit breaker
+ * closed: calls go through; open: calls fail fast until the cooldown has passed;
+ * half_open: one trial call is let through and its outcome closes or reopens the circuit
+ * @param {Object} policy - { failureThreshold, cooldownMs }
+ * @returns {Object} Breaker
+ */
+function createCircuitBreaker({ failureThreshold, cooldownMs }) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  return {
+    /**
+     * Ask to make a call
+     * @throws {ProviderUnavailableError} While the circuit is open
+     */
+    acquire() {
+      if (failureThreshold === 0 || state === 'closed') {
+        return;
+      }
+
+      const retryAt = openedAt + cooldownMs;
+      if (state === 'open' && Date.now() >= retryAt) {
+        state = 'half_open';
+      }
+
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return;
+      }
+
+      throw new ProviderUnavailableError(Math.max(retryAt, Date.now() + 1000), lastError);
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') {
+        console.log('Model provider recovered; circuit closed');
+      }
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      lastError = null;
+      trialInFlight = false;
+    },
+
+    recordFailure(error) {
+      consecutiveFailures++;
+      lastError = error.message;
+      trialInFlight = false;
+
+      if (failureThreshold > 0 && (state === 'half_open' || consecutiveFailures >= failureThreshold)) {
+        if (state !== 'open') {
+          console.warn(`Model provider failed ${consecutiveFailures} time(s) in a row; circuit open for ${cooldownMs}ms`);
+        }
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+
+    // A call that ended for reasons that say nothing about the provider (e.g. a bad request)
+    release() {
+      trialInFlight = false;
+    },
+
+    isOpen() {
+      return state === 'open' && Date.now() < openedAt + cooldownMs;
+    },
+
+    getStatus() {
+      if (state === 'open' && Date.now() >= openedAt + cooldownMs) {
+        state = 'half_open';
+      }
+      return {
+        state,
+        consecutiveFailures,
+        lastError,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a provider with retries, per-attempt timeouts and a circuit breaker
+ * Requests may include onRetry({ attempt, delayMs, error, streamed }), called before each retry;
+ * streamed is true when the failed attempt already passed text to onText.
+ * @param {Object} inner - Provider to wrap
+ * @param {Object} policy - Retry policy (see getRetryPolicy)
+ * @returns {Object} Provider (see providers/index.js for the interface), with getHealth()
+ */
+function createResilientProvider(inner, policy = getRetryPolicy()) {
+  const breaker = createCircuitBreaker(policy);
+
+  /**
+   * Make one attempt, aborting it when it runs past the timeout or the caller aborts
+   */
+  async function attemptOnce(request) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, policy.timeoutMs);
+
+    const onAbort = () => controller.abort();
+    if (request.signal) {
+      request.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      return await inner.complete({ ...request, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new ProviderTimeoutError(policy.timeoutMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (request.signal) {
+        request.signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  return {
+    name: inner.name,
+
+    getConfigurationError() {
+      return inner.getConfigurationError();
+    },
+
+    getHealth() {
+      return breaker.getStatus();
+    },
+
+    async complete(request) {
+      const { onRetry, ...rest } = request;
+      // Whether the current attempt, and any attempt so far, passed text to onText
+      let streamed = false;
+      let streamedBefore = false;
+      let attempt = 0;
+
+      while (true) {
+        breaker.acquire();
+
+        // After text has been streamed, later attempts are only streamed when onRetry can discard it
+        const streamAttempt = rest.onText && (onRetry || !streamedBefore);
+        streamed = false;
+        const attemptRequest = streamAttempt
+          ? {
+            ...rest,
+            onText: text => {
+              streamed = true;
+              streamedBefore = true;
+              rest.onText(text);
+            }
+          }
+          : { ...rest, onText: undefined };
+
+        try {
+          const result = await attemptOnce(attemptRequest);
+          breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          if ((rest.signal && rest.signal.aborted) || !isRetryable(error)) {
+            breaker.release();
+            throw error;
+          }
+
+          breaker.recordFailure(error);
+
+          const retryAfterMs = getRetryAfterMs(error);
+          // Give up when out of retries, the circuit has opened or the provider asks for a longer wait than we allow
+          if (attempt >= policy.maxRetries || breaker.isOpen() ||
+            (retryAfterMs !== null && retryAfterMs > policy.maxDelayMs)) {
+            throw error;
+          }
+
+          attempt++;
+          const delayMs = getRetryDelay(attempt, policy, retryAfterMs);
+          console.warn(`Model call failed (${error.status || error.code || error.message}); retry ${attempt}/${policy.maxRetries} in ${delayMs}ms`);
+          if (onRetry) {
+            onRetry({ attempt, delayMs, error, streamed });
+          }
+
+          await sleep(delayMs, rest.signal);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createResilientProvider,
+  createCircuitBreaker,
+  getRetryPolicy,
+  getRetryAfterMs,
+  isRetryable,
+  ProviderTimeoutError,
+  ProviderUnavailableError
+};
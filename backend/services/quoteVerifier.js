@@ -0,0 +1,271 @@
+/**
+ * Verify extracted quotes against the source transcript
+ *
+ * The analyst prompt asks for verbatim quotes, optionally shortened with
+ * ellipses. Each quote is split on its ellipses and every piece is located in
+ * the transcript: first by an exact match that ignores case, punctuation and
+ * whitespace, then by a fuzzy word-window match. Fuzzy matches are repaired to
+ * the transcript's own wording; pieces that cannot be found are flagged.
+ */
+
+// Share of a quote segment's words that must appear in a transcript window for a fuzzy match
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+// Segments shorter than this (normalized) are ellipsis noise, not quotable text
+const MIN_SEGMENT_CHARS = 3;
+
+const ELLIPSIS_PATTERN = /\s*(?:…|\.{3,})\s*/;
+
+const TRAILING_PUNCTUATION = /[.!?,;:'"’”)\]]/;
+
+/**
+ * Normalize text for matching while remembering where each character came from
+ * @param {string} text - Text to normalize
+ * @returns {{text: string, offsets: Array<number>}} Normalized text and original offset of each character
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i].toLowerCase();
+
+    if (/[a-z0-9]/.test(char) || (char.charCodeAt(0) > 127 && /\p{L}|\p{N}/u.test(char))) {
+      if (pendingSpace && normalized.length > 0) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+      normalized += char;
+      offsets.push(i);
+      pendingSpace = false;
+    } else if (char !== '\'' && char !== '’') {
+      // Apostrophes are dropped so "don't" and "dont" compare equal; everything else separates words
+      pendingSpace = true;
+    }
+  }
+
+  return { text: normalized, offsets };
+}
+
+/**
+ * Split a quote into the pieces separated by ellipses
+ * @param {string} quote - Quote text
+ * @returns {Array<string>} Quote segments
+ */
+function splitQuoteSegments(quote) {
+  return (quote || '')
+    .split(ELLIPSIS_PATTERN)
+    .map(segment => segment.trim())
+    .filter(segment => normalizeWithOffsets(segment).text.length >= MIN_SEGMENT_CHARS);
+}
+
+/**
+ * Tokenize normalized text into words with their positions
+ * @param {string} text - Normalized text
+ * @returns {Array<{word: string, start: number, end: number}>} Words
+ */
+function tokenize(text) {
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+/**
+ * Find the transcript window whose words best cover a quote segment
+ * @param {Array<Object>} transcriptWords - Tokenized normalized transcript
+ * @param {Array<string>} segmentWords - Words of the normalized quote segment
+ * @returns {{score: number, first: number, last: number}|null} Best window (word indexes) or null
+ */
+function findBestWindow(transcriptWords, segmentWords) {
+  const size = segmentWords.length;
+  if (size === 0 || transcriptWords.length === 0) {
+    return null;
+  }
+
+  const wanted = new Map();
+  segmentWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+  const inWindow = new Map();
+  let common = 0;
+  let best = null;
+
+  const add = (word) => {
+    const count = inWindow.get(word) || 0;
+    if (count < (wanted.get(word) || 0)) {
+      common++;
+    }
+    inWindow.set(word, count + 1);
+  };
+
+  const remove = (word) => {
+    const count = inWindow.get(word) - 1;
+    inWindow.set(word, count);
+    if (count < (wanted.get(word) || 0)) {
+      common--;
+    }
+  };
+
+  for (let i = 0; i < transcriptWords.length; i++) {
+    add(transcriptWords[i].word);
+    if (i >= size) {
+      remove(transcriptWords[i - size].word);
+    }
+
+    const first = Math.max(0, i - size + 1);
+    const score = common / size;
+    if (!best || score > best.score) {
+      best = { score, first, last: i };
+    }
+  }
+
+  // Trim window edges that are not part of the quote
+  while (best.first < best.last && !wanted.has(transcriptWords[best.first].word)) {
+    best.first++;
+  }
+  while (best.last > best.first && !wanted.has(transcriptWords[best.last].word)) {
+    best.last--;
+  }
+
+  return best;
+}
+
+/**
+ * Create a verifier bound to one transcript (normalization is done once)
+ * @param {string} transcript - Source transcript text
+ * @returns {Function} verifyQuote(quote) => verification result
+ */
+function createQuoteVerifier(transcript) {
+  const source = normalizeWithOffsets(transcript || '');
+  const transcriptWords = tokenize(source.text);
+
+  // Map normalized positions back to original [start, end) offsets, keeping closing punctuation
+  const toOriginal = (normStart, normEnd) => {
+    let end = source.offsets[normEnd - 1] + 1;
+    while (end < transcript.length && TRAILING_PUNCTUATION.test(transcript[end])) {
+      end++;
+    }
+    return { start: source.offsets[normStart], end };
+  };
+
+  /**
+   * Locate one quote segment in the transcript
+   * @param {string} segment - Quote segment text
+   * @param {number} fromOffset - Normalized position to search from (keeps segments in order)
+   * @returns {Object} Match details
+   */
+  const locateSegment = (segment, fromOffset) => {
+    const needle = normalizeWithOffsets(segment).text;
+
+    let index = source.text.indexOf(needle, fromOffset);
+    if (index === -1) {
+      index = source.text.indexOf(needle);
+    }
+
+    if (index !== -1) {
+      return {
+        matchType: 'exact',
+        score: 1,
+        normEnd: index + needle.length,
+        ...toOriginal(index, index + needle.length)
+      };
+    }
+
+    const window = findBestWindow(transcriptWords, needle.split(' '));
+    if (window && window.score >= FUZZY_MATCH_THRESHOLD) {
+      const normStart = transcriptWords[window.first].start;
+      const normEnd = transcriptWords[window.last].end;
+      return {
+        matchType: 'fuzzy',
+        score: Math.round(window.score * 100) / 100,
+        normEnd,
+        ...toOriginal(normStart, normEnd)
+      };
+    }
+
+    return {
+      matchType: 'none',
+      score: window ? Math.round(window.score * 100) / 100 : 0,
+      normEnd: fromOffset,
+      start: null,
+      end: null
+    };
+  };
+
+  return function verifyQuote(quote) {
+    const segments = splitQuoteSegments(quote);
+
+    if (segments.length === 0 || transcriptWords.length === 0) {
+      return { status: 'unverified', quote, originalQuote: null, segments: [] };
+    }
+
+    let cursor = 0;
+    const matches = segments.map(segment => {
+      const match = locateSegment(segment, cursor);
+      cursor = match.normEnd;
+      return { text: segment, ...match };
+    });
+
+    const unmatched = matches.some(match => match.matchType === 'none');
+    const fuzzy = matches.some(match => match.matchType === 'fuzzy');
+
+    let status = 'verified';
+    if (unmatched) {
+      status = 'unverified';
+    } else if (fuzzy) {
+      status = 'repaired';
+    }
+
+    // Matched quotes are rebuilt from the transcript so they are truly verbatim
+    const verifiedQuote = unmatched
+      ? quote
+      : matches.map(match => transcript.slice(match.start, match.end)).join(' … ');
+
+    return {
+      status,
+      quote: verifiedQuote,
+      originalQuote: verifiedQuote !== quote ? quote : null,
+      segments: matches.map(({ start, end, matchType, score }) => ({ start, end, matchType, score }))
+    };
+  };
+}
+
+/**
+ * Verify every quote in an analysis, repairing fuzzy matches in place
+ * @param {string} transcript - Source transcript text
+ * @param {Object} analysis - Analysis ({ features, newFeatureSuggestions })
+ * @returns {{verified: number, repaired: number, unverified: number}} Verification counts
+ */
+function verifyAnalysisQuotes(transcript, analysis) {
+  const verifyQuote = createQuoteVerifier(transcript);
+  const counts = { verified: 0, repaired: 0, unverified: 0 };
+
+  const groups = [...(analysis.features || []), ...(analysis.newFeatureSuggestions || [])];
+  for (const group of groups) {
+    for (const quoteObj of group.quotes || []) {
+      const result = verifyQuote(quoteObj.quote);
+      counts[result.status]++;
+
+      if (result.originalQuote) {
+        quoteObj.originalQuote = result.originalQuote;
+      }
+      quoteObj.quote = result.quote;
+      quoteObj.verification = {
+        status: result.status,
+        segments: result.segments
+      };
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  createQuoteVerifier,
+  verifyAnalysisQuotes,
+  splitQuoteSegments
+};
@@ -0,0 +1,181 @@
+/**
+ * Compare a fresh analysis of a saved transcript with what is stored for it
+ *
+ * Only features in the current feature list are compared, by feature ID: mappings
+ * to pending suggestions or to features that have since been archived or deleted
+ * are left alone. Quotes are matched by their character offsets in the transcript when
+ * both sides have them, and by normalized text otherwise.
+ */
+
+const { normalizeText } = require('./mergeAnalyses');
+const { normalizePainPointScores } = require('./painPointScores');
+
+// Share of the shorter quote that must overlap for two quotes to be the same evidence
+const MIN_OFFSET_OVERLAP = 0.5;
+
+/**
+ * Total length covered by a quote's located segments
+ * @param {Array<Object>} segments - Verification segments ({ start, end })
+ * @returns {number} Covered characters
+ */
+function coveredLength(segments) {
+  return segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+}
+
+/**
+ * Located segments of a quote (segments that were not found in the transcript are skipped)
+ * @param {Array<Object>} segments - Verification segments
+ * @returns {Array<Object>} Segments with offsets
+ */
+function locatedSegments(segments) {
+  return (segments || []).filter(segment => segment.matchType !== 'none' && segment.end > segment.start);
+}
+
+/**
+ * Decide whether two quotes refer to the same part of the transcript
+ * @param {Object} a - { quote, segments }
+ * @param {Object} b - { quote, segments }
+ * @returns {boolean} True when the quotes match
+ */
+function quotesMatch(a, b) {
+  const segmentsA = locatedSegments(a.segments);
+  const segmentsB = locatedSegments(b.segments);
+
+  if (segmentsA.length > 0 && segmentsB.length > 0) {
+    let overlap = 0;
+    for (const segmentA of segmentsA) {
+      for (const segmentB of segmentsB) {
+        overlap += Math.max(0, Math.min(segmentA.end, segmentB.end) - Math.max(segmentA.start, segmentB.start));
+      }
+    }
+    const shorter = Math.min(coveredLength(segmentsA), coveredLength(segmentsB));
+    return shorter > 0 && overlap / shorter >= MIN_OFFSET_OVERLAP;
+  }
+
+  const textA = normalizeText(a.quote);
+  const textB = normalizeText(b.quote);
+  return textA.length > 0 && textB.length > 0 && (textA.includes(textB) || textB.includes(textA));
+}
+
+/**
+ * Diff stored mappings and summaries against a new analysis
+ * @param {Object} existing - { mappings: [{ mappingId, painPointId, featureId, featureName, quote, painPoint, segments }],
+ *   summaries: { featureId: { featureName, aiSummary } } }
+ * @param {Object} analysis - New analysis ({ features }) with verified quotes; features carry the listed featureId
+ * @param {Array<Object>} featureList - Current feature list ({ id, name })
+ * @returns {Object} { added, removed, summaries, unchanged }; every item has an id, status 'pending' and the featureId it concerns
+ */
+function diffReanalysis(existing, analysis, featureList) {
+  const listedIds = new Set(featureList.map(feature => feature.id));
+  const listedByName = new Map(featureList.map(feature => [normalizeText(feature.name), feature.id]));
+  const added = [];
+  const removed = [];
+  const summaries = [];
+  let unchanged = 0;
+
+  // Stored mappings and summaries for listed features, grouped by feature ID
+  const storedByFeature = new Map();
+  for (const mapping of existing.mappings) {
+    if (!listedIds.has(mapping.featureId)) {
+      continue;
+    }
+    if (!storedByFeature.has(mapping.featureId)) {
+      storedByFeature.set(mapping.featureId, []);
+    }
+    storedByFeature.get(mapping.featureId).push({ ...mapping, matched: false });
+  }
+
+  const storedSummaries = new Map();
+  for (const [featureId, summary] of Object.entries(existing.summaries)) {
+    if (listedIds.has(Number(featureId))) {
+      storedSummaries.set(Number(featureId), summary);
+    }
+  }
+
+  const analyzedIds = new Set();
+
+  for (const feature of analysis.features) {
+    // Analyses from prompt versions that predate IDs name the feature instead
+    const featureId = listedIds.has(feature.featureId)
+      ? feature.featureId
+      : listedByName.get(normalizeText(feature.featureName));
+    if (featureId === undefined) {
+      continue;
+    }
+    analyzedIds.add(featureId);
+    const stored = storedByFeature.get(featureId) || [];
+
+    for (const quoteObj of feature.quotes) {
+      const candidate = { quote: quoteObj.quote, segments: quoteObj.verification ? quoteObj.verification.segments : [] };
+      const match = stored.find(mapping => !mapping.matched && quotesMatch(mapping, candidate));
+
+      if (match) {
+        match.matched = true;
+        unchanged++;
+      } else {
+        added.push({
+          id: `added-${added.length + 1}`,
+          status: 'pending',
+          featureId,
+          featureName: feature.featureName,
+          quote: quoteObj.quote,
+          painPoint: quoteObj.painPoint,
+          originalQuote: quoteObj.originalQuote || null,
+          ...normalizePainPointScores(quoteObj),
+          verification: quoteObj.verification || null
+        });
+      }
+    }
+
+    const storedSummary = storedSummaries.get(featureId);
+    const oldSummary = storedSummary ? storedSummary.aiSummary : null;
+    if (!oldSummary || normalizeText(oldSummary) !== normalizeText(feature.aiSummary)) {
+      summaries.push({
+        id: `summary-${summaries.length + 1}`,
+        status: 'pending',
+        featureId,
+        featureName: storedSummary ? storedSummary.featureName : feature.featureName,
+        oldSummary,
+        newSummary: feature.aiSummary
+      });
+    }
+  }
+
+  for (const stored of storedByFeature.values()) {
+    for (const mapping of stored) {
+      if (!mapping.matched) {
+        removed.push({
+          id: `removed-${mapping.mappingId}`,
+          status: 'pending',
+          mappingId: mapping.mappingId,
+          painPointId: mapping.painPointId,
+          featureId: mapping.featureId,
+          featureName: mapping.featureName,
+          quote: mapping.quote,
+          painPoint: mapping.painPoint
+        });
+      }
+    }
+  }
+
+  // Summaries of features that no longer have any evidence
+  for (const [featureId, storedSummary] of storedSummaries) {
+    if (!analyzedIds.has(featureId)) {
+      summaries.push({
+        id: `summary-${summaries.length + 1}`,
+        status: 'pending',
+        featureId,
+        featureName: storedSummary.featureName,
+        oldSummary: storedSummary.aiSummary,
+        newSummary: null
+      });
+    }
+  }
+
+  return { added, removed, summaries, unchanged };
+}
+
+module.exports = {
+  diffReanalysis,
+  quotesMatch
+};
@@ -0,0 +1,504 @@
+/**
+ * PII redaction
+ *
+ * Emails, phone numbers, card and account numbers and the workspace's custom terms
+ * (customer names, company names, ...) are replaced with placeholders such as
+ * EMAIL_1 or TERM_2. A redaction session numbers placeholders in order of
+ * appearance and reuses the same placeholder for the same value, so redacting
+ * the same text with the same settings always gives the same result.
+ *
+ * Modes (per workspace):
+ * - off: nothing is redacted
+ * - model: text is redacted before it is sent to the model and the placeholders
+ *   in the analysis are restored afterwards, so only the model sees placeholders
+ * - storage: text is also stored redacted; the placeholder mapping is kept
+ *   encrypted with REDACTION_KEY (required for this mode) and can only be revealed by a
+ *   workspace admin who also sends REDACTION_REVEAL_TOKEN
+ */
+
+const crypto = require('crypto');
+
+const REDACTION_MODES = ['off', 'model', 'storage'];
+const MAX_CUSTOM_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+const SEALED_PREFIX = 'v1:';
+
+/**
+ * Error raised when redaction settings or a stored mapping cannot be used
+ */
+class RedactionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RedactionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check a digit string with the Luhn checksum used by payment cards
+ * @param {string} digits - Digits only
+ * @returns {boolean} True when the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with its mod-97 checksum
+ * @param {string} value - IBAN, spaces allowed
+ * @returns {boolean} True when the checksum is valid
+ */
+function passesIbanChecksum(value) {
+  const compact = value.replace(/ /g, '');
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + parseInt(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Count the digits in a match
+ * @param {string} value - Matched text
+ * @returns {number} Number of digits
+ */
+function countDigits(value) {
+  return value.replace(/\D/g, '').length;
+}
+
+// Detectors run in this order; earlier ones win where patterns overlap
+const DETECTORS = {
+  email: {
+    type: 'EMAIL',
+    label: 'Email addresses',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  card: {
+    type: 'CARD',
+    label: 'Payment card numbers',
+    pattern: /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+    validate: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  iban: {
+    type: 'IBAN',
+    label: 'IBANs',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: passesIbanChecksum
+  },
+  ssn: {
+    type: 'SSN',
+    label: 'Social security numbers',
+    pattern: /(?<![\w-])\d{3}-\d{2}-\d{4}(?![\w-])/g
+  },
+  phone: {
+    type: 'PHONE',
+    label: 'Phone numbers',
+    pattern: /(?<![\w+])\+?\(?\d[\d ().-]{5,18}\d(?![\w-])/g,
+    // Needs a separator or country code, and is not a date or a year range
+    validate: match => {
+      const digits = countDigits(match);
+      return digits >= 7 && digits <= 15 &&
+        /[ ().+-]/.test(match) &&
+        !/^\d{4}-\d{2}-\d{2}$/.test(match) &&
+        !/^\d{4} ?- ?\d{4}$/.test(match);
+    }
+  },
+  account: {
+    type: 'ACCOUNT',
+    label: 'Account numbers (8-17 digits)',
+    pattern: /(?<![\w-])\d{8,17}(?![\w-])/g
+  }
+};
+
+const PLACEHOLDER_TYPES = [...Object.values(DETECTORS).map(detector => detector.type), 'TERM'];
+const PLACEHOLDER_PATTERN = new RegExp(`\\b(${PLACEHOLDER_TYPES.join('|')})_(\\d+)\\b`, 'g');
+
+/**
+ * Clean up redaction settings, filling in defaults
+ * @param {Object} settings - { mode, detectors, customTerms } (any may be missing)
+ * @returns {Object} { mode, detectors, customTerms }
+ */
+function normalizeRedactionSettings(settings) {
+  const source = settings || {};
+  const mode = REDACTION_MODES.includes(source.mode) ? source.mode : 'off';
+  const detectors = Array.isArray(source.detectors)
+    ? Object.keys(DETECTORS).filter(name => source.detectors.includes(name))
+    : Object.keys(DETECTORS);
+
+  const seen = new Set();
+  const customTerms = [];
+  for (const term of Array.isArray(source.customTerms) ? source.customTerms : []) {
+    const cleaned = typeof term === 'string' ? term.trim().slice(0, MAX_TERM_LENGTH) : '';
+    if (cleaned.length >= 2 && !seen.has(cleaned.toLowerCase())) {
+      seen.add(cleaned.toLowerCase());
+      customTerms.push(cleaned);
+    }
+  }
+
+  return { mode, detectors, customTerms: customTerms.slice(0, MAX_CUSTOM_TERMS) };
+}
+
+/**
+ * Validate redaction settings sent by a client
+ * @param {Object} settings - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRedactionSettings(settings) {
+  if (!settings || !REDACTION_MODES.includes(settings.mode)) {
+    return `mode must be one of: ${REDACTION_MODES.join(', ')}`;
+  }
+
+  if (settings.detectors !== undefined) {
+    if (!Array.isArray(settings.detectors)) {
+      return 'detectors must be an array';
+    }
+    const unknown = settings.detectors.filter(name => !DETECTORS[name]);
+    if (unknown.length > 0) {
+      return `Unknown detector(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  if (settings.customTerms !== undefined) {
+    if (!Array.isArray(settings.customTerms) || settings.customTerms.some(term => typeof term !== 'string')) {
+      return 'customTerms must be an array of strings';
+    }
+    if (settings.customTerms.length > MAX_CUSTOM_TERMS) {
+      return `At most ${MAX_CUSTOM_TERMS} custom terms are allowed`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build one pattern matching any of the custom terms as whole words
+ * @param {Array<string>} terms - Custom terms
+ * @returns {RegExp|null} Pattern, or null when there are no terms
+ */
+function buildTermPattern(terms) {
+  if (terms.length === 0) {
+    return null;
+  }
+
+  // Longest first so "Chris Smith" wins over "Chris"
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Start a redaction session: every text redacted through it shares one set of placeholders
+ * @param {Object} settings - Redaction settings (see normalizeRedactionSettings)
+ * @param {Array<Object>} entries - Mapping to continue from ([{ placeholder, original, type }]),
+ *   e.g. the one kept for a job whose transcript was redacted when it was queued
+ * @returns {Object} { redact(text), restore(text), entries }
+ */
+function createRedactionSession(settings, entries = []) {
+  const config = normalizeRedactionSettings(settings);
+  const termPattern = buildTermPattern(config.customTerms);
+  const byKey = new Map();
+  const byPlaceholder = new Map();
+  const counters = {};
+
+  const keyOf = (type, original) => `${type}:${type === 'TERM' ? original.toLowerCase() : original}`;
+
+  const noteCounter = (type, number) => {
+    counters[type] = Math.max(counters[type] || 0, number);
+  };
+
+  for (const entry of entries) {
+    byKey.set(keyOf(entry.type, entry.original), entry);
+    byPlaceholder.set(entry.placeholder, entry);
+    noteCounter(entry.type, parseInt(entry.placeholder.split('_').pop()));
+  }
+
+  const placeholderFor = (type, original) => {
+    const key = keyOf(type, original);
+    if (!byKey.has(key)) {
+      noteCounter(type, (counters[type] || 0) + 1);
+      const entry = { placeholder: `${type}_${counters[type]}`, original, type };
+      byKey.set(key, entry);
+      byPlaceholder.set(entry.placeholder, entry);
+    }
+    return byKey.get(key).placeholder;
+  };
+
+  return {
+    redact(text) {
+      if (typeof text !== 'string' || text.length === 0) {
+        return text;
+      }
+
+      // Text that was redacted before keeps its placeholders; new ones are numbered after them
+      for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        noteCounter(match[1], parseInt(match[2]));
+      }
+
+      let result = text;
+      for (const name of config.detectors) {
+        const detector = DETECTORS[name];
+        result = result.replace(detector.pattern, match =>
+          detector.validate && !detector.validate(match) ? match : placeholderFor(detector.type, match)
+        );
+      }
+
+      if (termPattern) {
+        result = result.replace(termPattern, match => placeholderFor('TERM', match));
+      }
+
+      return result;
+    },
+
+    restore(text) {
+      return restoreText(text, byPlaceholder);
+    },
+
+    get entries() {
+      return [...byPlaceholder.values()];
+    }
+  };
+}
+
+/**
+ * Put the original values back in place of placeholders
+ * @param {string} text - Redacted text
+ * @param {Array<Object>|Map} entries - Mapping ([{ placeholder, original }] or a Map by placeholder)
+ * @returns {string} Text with known placeholders restored (unknown ones are left as they are)
+ */
+function restoreText(text, entries) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const byPlaceholder = entries instanceof Map
+    ? entries
+    : new Map(entries.map(entry => [entry.placeholder, entry]));
+
+  if (byPlaceholder.size === 0) {
+    return text;
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, placeholder =>
+    byPlaceholder.has(placeholder) ? byPlaceholder.get(placeholder).original : placeholder
+  );
+}
+
+/**
+ * Apply a text transform to the free text of one feature or suggestion entry
+ * (feature names are left alone so they keep matching the feature list)
+ * @param {Object} entry - { featureName, aiSummary, quotes }
+ * @param {Function} transform - (text) => text
+ * @returns {Object} Transformed copy
+ */
+function transformEntry(entry, transform) {
+  return {
+    ...entry,
+    aiSummary: transform(entry.aiSummary),
+    quotes: (entry.quotes || []).map(quoteObj => ({
+      ...quoteObj,
+      quote: transform(quoteObj.quote),
+      painPoint: transform(quoteObj.painPoint),
+      ...(quoteObj.severityRationale ? { severityRationale: transform(quoteObj.severityRationale) } : {}),
+      ...(quoteObj.originalQuote ? { originalQuote: transform(quoteObj.originalQuote) } : {})
+    }))
+  };
+}
+
+/**
+ * Apply a text transform (redact or restore) to every free-text field of an analysis
+ * @param {Object} analysis - { title, executiveSummary, keyTakeaways, features, newFeatureSuggestions, participants }
+ * @param {Function} transform - (text) => text
+ * @returns {Object} Transformed copy
+ */
+function transformAnalysis(analysis, transform) {
+  return {
+    ...analysis,
+    ...(analysis.title ? { title: transform(analysis.title) } : {}),
+    ...(analysis.executiveSummary ? { executiveSummary: transform(analysis.executiveSummary) } : {}),
+    ...(analysis.keyTakeaways ? { keyTakeaways: analysis.keyTakeaways.map(transform) } : {}),
+    features: (analysis.features || []).map(feature => transformEntry(feature, transform)),
+    newFeatureSuggestions: (analysis.newFeatureSuggestions || []).map(suggestion => transformEntry(suggestion, transform)),
+    participants: (analysis.participants || []).map(participant => ({
+      ...participant,
+      name: transform(participant.name),
+      ...(participant.title ? { title: transform(participant.title) } : {}),
+      ...(participant.company ? { company: transform(participant.company) } : {})
+    }))
+  };
+}
+
+/**
+ * Redact a transcript together with its import source (see sanitizeSource), so the stored
+ * speakers and filename are redacted too and the utterance and time offsets still point
+ * into the redacted text
+ * @param {Object} session - Session from createRedactionSession
+ * @param {string} text - Transcript text
+ * @param {Object|null} source - Import source ({ filename, utterances, timeIndex, ... })
+ * @returns {Object} { text, source } with the redacted text and source
+ */
+function redactWithSource(session, text, source) {
+  // The whole text goes first so placeholders are numbered in the order they appear
+  const redactedText = session.redact(text);
+  if (!source) {
+    return { text: redactedText, source };
+  }
+
+  const redactedSource = {
+    ...source,
+    filename: session.redact(source.filename),
+    utterances: (source.utterances || []).map(({ textStart, textEnd, ...utterance }) => ({
+      ...utterance,
+      speaker: session.redact(utterance.speaker)
+    })),
+    timeIndex: []
+  };
+
+  // Redact again piece by piece between offsets, so each offset can be moved by how much the
+  // text before it grew or shrank
+  const offsets = new Set([0, text.length]);
+  for (const utterance of source.utterances || []) {
+    offsets.add(utterance.textStart);
+    offsets.add(utterance.textEnd);
+  }
+  for (const [offset] of source.timeIndex || []) {
+    offsets.add(offset);
+  }
+
+  const boundaries = [...offsets].sort((a, b) => a - b);
+  const moved = new Map([[0, 0]]);
+  let piecewise = '';
+  for (let i = 1; i < boundaries.length; i++) {
+    piecewise += session.redact(text.slice(boundaries[i - 1], boundaries[i]));
+    moved.set(boundaries[i], piecewise.length);
+  }
+
+  // A value spanning an offset was redacted differently: the offsets are dropped rather than
+  // left pointing into the wrong place
+  if (piecewise !== redactedText) {
+    return { text: redactedText, source: redactedSource };
+  }
+
+  return {
+    text: redactedText,
+    source: {
+      ...redactedSource,
+      utterances: redactedSource.utterances.map((utterance, i) => ({
+        ...utterance,
+        textStart: moved.get(source.utterances[i].textStart),
+        textEnd: moved.get(source.utterances[i].textEnd)
+      })),
+      timeIndex: (source.timeIndex || []).map(([offset, time]) => [moved.get(offset), time])
+    }
+  };
+}
+
+/**
+ * Get the key used to encrypt stored mappings
+ * @returns {Buffer|null} 32-byte key derived from REDACTION_KEY, or null when it is not set
+ */
+function getRedactionKey() {
+  const secret = process.env.REDACTION_KEY;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+/**
+ * Encrypt a placeholder mapping for storage
+ * @param {Array<Object>} entries - [{ placeholder, original, type }]
+ * @returns {string|null} Sealed mapping, or null when there is nothing to keep or no REDACTION_KEY
+ *   (the redaction then cannot be reversed)
+ */
+function sealEntries(entries) {
+  const key = getRedactionKey();
+  if (!key || entries.length === 0) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+  return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+/**
+ * Decrypt a stored placeholder mapping
+ * @param {string|null} sealed - Value from sealEntries
+ * @returns {Array<Object>} [{ placeholder, original, type }]
+ */
+function openEntries(sealed) {
+  if (!sealed) {
+    return [];
+  }
+
+  const key = getRedactionKey();
+  if (!key) {
+    throw new RedactionError('REDACTION_KEY is not configured, so stored redactions cannot be revealed', 500);
+  }
+
+  try {
+    const data = Buffer.from(sealed.slice(SEALED_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    const decrypted = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  } catch (error) {
+    throw new RedactionError('The stored redaction mapping could not be decrypted (has REDACTION_KEY changed?)', 500);
+  }
+}
+
+/**
+ * Check whether a request may reveal redacted values
+ * @param {string} token - Token sent by the client
+ * @returns {boolean} True when it matches REDACTION_REVEAL_TOKEN
+ */
+function canReveal(token) {
+  const expected = process.env.REDACTION_REVEAL_TOKEN;
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Describe the available detectors (for the settings page)
+ * @returns {Array<{name: string, type: string, label: string}>} Detectors
+ */
+function listDetectors() {
+  return Object.entries(DETECTORS).map(([name, detector]) => ({ name, type: detector.type, label: detector.label }));
+}
+
+module.exports = {
+  REDACTION_MODES,
+  RedactionError,
+  normalizeRedactionSettings,
+  validateRedactionSettings,
+  createRedactionSession,
+  restoreText,
+  transformEntry,
+  transformAnalysis,
+  redactWithSource,
+  sealEntries,
+  openEntries,
+  canReveal,
+  listDetectors
+};
@@ -0,0 +1,195 @@
+/**
+ * Local similarity between feature names and descriptions
+ *
+ * Used to catch near-duplicate feature suggestions ("Slack Integration",
+ * "Slack Integrations", "Push insights to Slack") without calling a model or
+ * an external service. Words are weighted by TF-IDF, so words that are rare
+ * among the user's features (e.g. "Slack") count for more than common ones
+ * (e.g. "integration"). The score is the higher of:
+ * - the word overlap of the names and descriptions together, which catches
+ *   the same idea worded differently;
+ * - the average of the names' character trigram overlap and word overlap,
+ *   which catches plurals, typos and small wording changes.
+ * Scores range from 0 (nothing in common) to 1 (same name).
+ */
+
+const { normalizeText } = require('./mergeAnalyses');
+
+const DEFAULT_MERGE_THRESHOLD = 0.85;
+const DEFAULT_DUPLICATE_THRESHOLD = 0.5;
+
+// Names count for more than descriptions when comparing words
+const NAME_WEIGHT = 2;
+const DESCRIPTION_WEIGHT = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from', 'has', 'have', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'them', 'they', 'this',
+  'to', 'was', 'we', 'with', 'without', 'would', 'could', 'should', 'not', 'no', 'more', 'better',
+  'need', 'needs', 'want', 'wants', 'user', 'users', 'customer', 'customers', 'feature', 'features'
+]);
+
+/**
+ * Read the similarity thresholds from the environment
+ *   SUGGESTION_MERGE_THRESHOLD      suggestions at least this similar to an earlier suggestion are merged into it (default 0.85)
+ *   SUGGESTION_DUPLICATE_THRESHOLD  suggestions at least this similar to any feature are flagged as a possible duplicate (default 0.5)
+ * @returns {{merge: number, duplicate: number}} Thresholds between 0 and 1
+ */
+function getSimilarityThresholds() {
+  const read = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return value >= 0 && value <= 1 ? value : fallback;
+  };
+
+  return {
+    merge: read('SUGGESTION_MERGE_THRESHOLD', DEFAULT_MERGE_THRESHOLD),
+    duplicate: read('SUGGESTION_DUPLICATE_THRESHOLD', DEFAULT_DUPLICATE_THRESHOLD)
+  };
+}
+
+// Suffixes removed by stem(), in the order they are tried
+const SUFFIXES = [['sses', 'ss'], ['ies', 'y'], ['ions', ''], ['ion', ''], ['ings', ''], ['ing', ''], ['es', ''], ['ed', ''], ['s', '']];
+
+/**
+ * Reduce a word to a rough stem so that "integrations", "integration" and "integrating" match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+
+  const rule = SUFFIXES.find(([suffix]) =>
+    word.endsWith(suffix) && word.length - suffix.length >= 3 && !(suffix === 's' && word.endsWith('ss')));
+  const stemmed = rule ? word.slice(0, -rule[0].length) + rule[1] : word;
+
+  return stemmed.length > 3 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+/**
+ * Split text into stemmed words, leaving out stop words
+ * @param {string} text - Name or description
+ * @returns {Array<string>} Stems
+ */
+function tokenize(text) {
+  return normalizeText(text || '')
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Character trigrams of a name, padded so short names still have a few
+ * @param {string} name - Feature name
+ * @returns {Set<string>} Trigrams
+ */
+function trigrams(name) {
+  const padded = `  ${normalizeText(name || '')} `;
+  const grams = new Set();
+  for (let index = 0; index < padded.length - 2; index++) {
+    grams.add(padded.slice(index, index + 3));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient of two sets
+ * @returns {number} 0 to 1
+ */
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Weighted word counts of a feature's name and (optionally) description
+ * @param {Object} feature - { name, description }
+ * @param {boolean} withDescription - Include the description
+ * @returns {Map<string, number>} Stem -> weight
+ */
+function termCounts(feature, withDescription) {
+  const counts = new Map();
+  const add = (stems, weight) => stems.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+  add(tokenize(feature.name), NAME_WEIGHT);
+  if (withDescription) {
+    add(tokenize(feature.description), DESCRIPTION_WEIGHT);
+  }
+  return counts;
+}
+
+/**
+ * Cosine similarity of two term-weight vectors
+ * @returns {number} 0 to 1
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of a) {
+    normA += weight * weight;
+    if (b.has(term)) {
+      dot += weight * b.get(term);
+    }
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Score how similar a feature is to each of a set of existing features
+ * @param {Object} candidate - { name, description }
+ * @param {Array<Object>} features - Existing features ({ name, description, ...anything else })
+ * @returns {Array<{feature: Object, score: number}>} Matches with a score above 0, most similar first
+ */
+function findSimilarFeatures(candidate, features) {
+  if (features.length === 0) {
+    return [];
+  }
+
+  // Inverse document frequency over the candidate and the existing features
+  const documents = [candidate, ...features].map(feature => termCounts(feature, true));
+  const documentFrequency = new Map();
+  for (const counts of documents) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const weigh = counts => new Map(
+    [...counts].map(([term, count]) => [term, count * (Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1)])
+  );
+
+  const candidateKey = normalizeText(candidate.name);
+  const candidateTrigrams = trigrams(candidate.name);
+  const candidateVector = weigh(documents[0]);
+  const candidateNameVector = weigh(termCounts(candidate, false));
+
+  return features
+    .map((feature, index) => {
+      if (normalizeText(feature.name) === candidateKey) {
+        return { feature, score: 1 };
+      }
+
+      const overall = cosine(candidateVector, weigh(documents[index + 1]));
+      const names = (dice(candidateTrigrams, trigrams(feature.name)) + cosine(candidateNameVector, weigh(termCounts(feature, false)))) / 2;
+      return { feature, score: Math.round(Math.max(overall, names) * 100) / 100 };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  getSimilarityThresholds,
+  findSimilarFeatures,
+  tokenize
+};
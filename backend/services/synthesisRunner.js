@@ -0,0 +1,176 @@
+/**
+ * Generation and automatic refresh of feature evidence syntheses
+ *
+ * A synthesis is generated on demand from the feature drawer. After that the
+ * runner checks every FEATURE_SYNTHESIS_REFRESH_INTERVAL_MS (default 15
+ * minutes, 0 turns automatic refresh off) for syntheses whose evidence has
+ * changed and regenerates them, so new transcripts are folded in a batch at a
+ * time rather than with every save.
+ */
+
+const { synthesizeEvidence, estimateSynthesisCost } = require('./featureSynthesis');
+const { BudgetExceededError } = require('./usage');
+const { getRedactionSettings } = require('../db/redaction');
+const { recordUsage, reserveUsage, releaseUsage } = require('../db/usage');
+const {
+  getSynthesisEvidence,
+  getFeatureSynthesis,
+  saveFeatureSynthesis,
+  recordSynthesisFailure,
+  getStaleSyntheses
+} = require('../db/syntheses');
+
+const DEFAULT_REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+const REFRESH_BATCH_SIZE = 10;
+
+// Features being synthesized, so the drawer and the runner don't generate the same one twice
+const inFlight = new Set();
+
+let busy = false;
+let timer = null;
+
+/**
+ * Error raised when a synthesis is requested for a feature that is already being synthesized
+ */
+class SynthesisInProgressError extends Error {
+  constructor() {
+    super('This feature\'s synthesis is already being generated');
+    this.name = 'SynthesisInProgressError';
+    this.status = 409;
+  }
+}
+
+/**
+ * Generate and store a feature's synthesis from all of its current evidence
+ * @param {number} featureId - Feature ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} trigger - 'manual' or 'auto' (for logging)
+ * @param {string|null} actorId - User who asked for it (null for automatic refreshes; for the usage report)
+ * @returns {Promise<Object|null>} Stored synthesis (see getFeatureSynthesis), or null when the feature is not found
+ * @throws {SynthesisInProgressError} When the feature is already being synthesized
+ * @throws {BudgetExceededError} When the workspace's monthly budget is used up
+ */
+async function refreshFeatureSynthesis(featureId, workspaceId = 'default', trigger = 'manual', actorId = null) {
+  if (inFlight.has(featureId)) {
+    throw new SynthesisInProgressError();
+  }
+  inFlight.add(featureId);
+
+  try {
+    const found = await getSynthesisEvidence(featureId, workspaceId);
+    if (!found) {
+      return null;
+    }
+
+    // No evidence to summarize: keep whatever was there
+    if (found.evidence.length === 0) {
+      return getFeatureSynthesis(featureId, workspaceId);
+    }
+
+    const reservationId = await reserveUsage({
+      workspaceId,
+      kind: 'synthesis',
+      createdBy: actorId,
+      ...estimateSynthesisCost(found.feature, found.evidence)
+    });
+
+    let result;
+    try {
+      const redaction = await getRedactionSettings(workspaceId);
+      result = await synthesizeEvidence(found.feature, found.evidence, { redaction });
+    } catch (error) {
+      await releaseUsage(reservationId).catch(() => {});
+      await recordSynthesisFailure(featureId, found.fingerprint, error.message).catch(() => {});
+      throw error;
+    }
+
+    await recordUsage({
+      workspaceId,
+      kind: 'synthesis',
+      model: result.model,
+      usage: result.usage,
+      createdBy: actorId,
+      reservationId
+    });
+
+    await saveFeatureSynthesis(featureId, workspaceId, {
+      synthesis: { ...result.synthesis, evidenceUsed: result.evidenceUsed },
+      evidenceCount: found.evidence.length,
+      fingerprint: found.fingerprint,
+      model: result.model
+    });
+
+    console.log(`Synthesized evidence for feature #${featureId} (${trigger}, ${found.evidence.length} pain points)`);
+    return getFeatureSynthesis(featureId, workspaceId);
+  } finally {
+    inFlight.delete(featureId);
+  }
+}
+
+/**
+ * Regenerate syntheses whose evidence has changed
+ */
+async function refreshStaleSyntheses() {
+  if (busy) {
+    return;
+  }
+  busy = true;
+
+  try {
+    const stale = await getStaleSyntheses(REFRESH_BATCH_SIZE);
+
+    for (const { featureId, workspaceId } of stale) {
+      try {
+        await refreshFeatureSynthesis(featureId, workspaceId, 'auto');
+      } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          // Tried again on the next check, in case the budget has been raised
+          console.log(`Synthesis refresh for feature #${featureId} skipped: ${error.message}`);
+          await recordSynthesisFailure(featureId, null, error.message).catch(() => {});
+        } else if (!(error instanceof SynthesisInProgressError)) {
+          console.error(`Synthesis refresh for feature #${featureId} failed:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    // Database unavailable; try again on the next check
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Start refreshing stale syntheses in the background (call once the database is ready)
+ */
+function startSynthesisRunner() {
+  if (timer) {
+    return;
+  }
+
+  const value = parseInt(process.env.FEATURE_SYNTHESIS_REFRESH_INTERVAL_MS);
+  const interval = Number.isInteger(value) && value >= 0 ? value : DEFAULT_REFRESH_INTERVAL_MS;
+  if (interval === 0) {
+    console.log('Automatic synthesis refresh is off (FEATURE_SYNTHESIS_REFRESH_INTERVAL_MS=0)');
+    return;
+  }
+
+  timer = setInterval(refreshStaleSyntheses, interval);
+  timer.unref();
+}
+
+/**
+ * Stop refreshing syntheses (a synthesis in progress is left to finish)
+ */
+function stopSynthesisRunner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  refreshFeatureSynthesis,
+  startSynthesisRunner,
+  stopSynthesisRunner,
+  SynthesisInProgressError
+};
@@ -0,0 +1,94 @@
+/**
+ * Line-based text diff (used to compare prompt versions)
+ */
+
+// Above this many line pairs, the middle of the texts is reported as a block replacement
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compute the longest-common-subsequence line diff of two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Diff lines ({ type, text })
+ */
+function diffMiddle(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    lines.push({ type: 'removed', text: a[i++] });
+  }
+  while (j < b.length) {
+    lines.push({ type: 'added', text: b[j++] });
+  }
+
+  return lines;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {{lines: Array<Object>, added: number, removed: number}} Diff lines
+ *   ({ type: 'equal' | 'added' | 'removed', text }) and change counts
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Common prefix and suffix are matched directly to keep the LCS table small
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const lines = [
+    ...a.slice(0, prefix).map(text => ({ type: 'equal', text })),
+    ...diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map(text => ({ type: 'equal', text }))
+  ];
+
+  return {
+    lines,
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length
+  };
+}
+
+module.exports = {
+  diffLines
+};
@@ -0,0 +1,40 @@
+/**
+ * Trash
+ *
+ * Deleting a transcript, feature or mapping moves it to the trash: the row is
+ * marked deleted and hidden everywhere, together with everything that depends on
+ * it (a transcript's pain points, a feature's evidence), but nothing is removed.
+ * Restoring it brings all of that back as it was. Items are removed for good when
+ * purged from the trash, or automatically once they have been there longer than
+ * TRASH_RETENTION_DAYS (default 30, 0 keeps them until purged by hand).
+ */
+
+const TRASH_TYPES = ['transcript', 'feature', 'mapping'];
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Error raised when a trashed item cannot be restored
+ */
+class TrashError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'TrashError';
+    this.status = status;
+  }
+}
+
+/**
+ * How long items stay in the trash before they are purged automatically
+ *   TRASH_RETENTION_DAYS  days (default 30, 0 turns automatic purging off)
+ * @returns {number} Days, or 0 when items are kept until purged by hand
+ */
+function getRetentionDays() {
+  const value = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_RETENTION_DAYS;
+}
+
+module.exports = {
+  TRASH_TYPES,
+  TrashError,
+  getRetentionDays
+};
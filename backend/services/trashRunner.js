@@ -0,0 +1,76 @@
+/**
+ * Automatic purging of the trash
+ *
+ * Every TRASH_PURGE_INTERVAL_MS (default 1 hour) the runner permanently deletes
+ * transcripts, features and mappings that have been in the trash longer than
+ * TRASH_RETENTION_DAYS (see services/trash.js). With a retention of 0 nothing is
+ * purged automatically.
+ */
+
+const { getRetentionDays } = require('./trash');
+const { purgeExpired } = require('../db/trash');
+
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let busy = false;
+let timer = null;
+
+/**
+ * Purge items whose retention period has passed
+ * @param {number} retentionDays - Days items are kept in the trash
+ */
+async function purgeExpiredTrash(retentionDays) {
+  if (busy) {
+    return;
+  }
+  busy = true;
+
+  try {
+    const counts = await purgeExpired(retentionDays);
+    const total = counts.transcripts + counts.features + counts.mappings;
+    if (total > 0) {
+      console.log(`Purged from the trash after ${retentionDays} days: ${counts.transcripts} transcripts, ${counts.features} features, ${counts.mappings} mappings`);
+    }
+  } catch (error) {
+    // Database unavailable; try again on the next check
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Start purging the trash in the background (call once the database is ready)
+ */
+function startTrashRunner() {
+  if (timer) {
+    return;
+  }
+
+  const retentionDays = getRetentionDays();
+  if (retentionDays === 0) {
+    console.log('Automatic trash purging is off (TRASH_RETENTION_DAYS=0)');
+    return;
+  }
+
+  const value = parseInt(process.env.TRASH_PURGE_INTERVAL_MS);
+  const interval = Number.isInteger(value) && value > 0 ? value : DEFAULT_PURGE_INTERVAL_MS;
+
+  purgeExpiredTrash(retentionDays);
+  timer = setInterval(() => purgeExpiredTrash(retentionDays), interval);
+  timer.unref();
+}
+
+/**
+ * Stop purging the trash (a purge in progress is left to finish)
+ */
+function stopTrashRunner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startTrashRunner,
+  stopTrashRunner
+};
@@ -0,0 +1,121 @@
+/**
+ * Token usage and cost estimates
+ *
+ * Every analysis records the tokens the model used and an estimated cost in
+ * US dollars, priced from MODEL_PRICES (USD per million tokens, matched by
+ * model name prefix). LLM_PRICES can add or override prices as JSON, e.g.
+ * {"claude-sonnet-4-5": {"input": 3, "output": 15}}. Models without a price
+ * are recorded with their tokens and no cost.
+ */
+
+// USD per million tokens; the longest matching prefix wins
+const MODEL_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Rough characters per token, for estimating a call before it is made
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Error raised when a workspace's monthly budget is used up
+ */
+class BudgetExceededError extends Error {
+  constructor(spent, limit, resetsAt) {
+    super(`Monthly analysis budget of $${limit.toFixed(2)} is used up ($${spent.toFixed(2)} spent). It resets on ${resetsAt.toISOString().slice(0, 10)}; raise the budget on the Settings page to continue sooner.`);
+    this.name = 'BudgetExceededError';
+    this.status = 402;
+    this.spent = spent;
+    this.limit = limit;
+    this.resetsAt = resetsAt;
+  }
+}
+
+/**
+ * Get the price table, including overrides from LLM_PRICES
+ * @returns {Object} Prices by model prefix
+ */
+function getPrices() {
+  if (!process.env.LLM_PRICES) {
+    return MODEL_PRICES;
+  }
+
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (error) {
+    console.warn('LLM_PRICES is not valid JSON; using the built-in prices');
+    return MODEL_PRICES;
+  }
+}
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null when unknown
+ */
+function getModelPrice(model) {
+  if (!model) {
+    return null;
+  }
+
+  const prices = getPrices();
+  const prefix = Object.keys(prices)
+    .filter(candidate => model.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimate what a model call cost
+ * @param {string} model - Model name
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+function estimateCost(model, usage) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return null;
+  }
+
+  const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * Estimate the most a model call can cost before making it, from the characters sent and the
+ * output tokens allowed. Reserved from the budget while the call runs (see reserveUsage).
+ * @param {string} model - Model name
+ * @param {number} inputChars - Characters sent to the model
+ * @param {number} maxOutputTokens - Output tokens the call may use at most
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+function estimateMaxCost(model, inputChars, maxOutputTokens) {
+  return estimateCost(model, { inputTokens: Math.ceil(inputChars / CHARS_PER_TOKEN), outputTokens: maxOutputTokens });
+}
+
+/**
+ * Get the calendar month (UTC) a budget applies to
+ * @param {Date} now - Current time
+ * @returns {{start: Date, resetsAt: Date}} First moment of this month and of the next
+ */
+function getBudgetPeriod(now = new Date()) {
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+module.exports = {
+  BudgetExceededError,
+  getModelPrice,
+  estimateCost,
+  estimateMaxCost,
+  getBudgetPeriod
+};
@@ -0,0 +1,52 @@
+/**
+ * Workspace roles
+ *
+ * Features, transcripts, prompts and settings belong to a workspace. Each
+ * member has one role, and each role can do everything the roles below it can:
+ * - viewer: browse features, evidence and transcripts
+ * - editor: analyze transcripts, approve suggestions and edit features
+ * - admin: manage prompts, settings and members
+ */
+
+const WORKSPACE_ROLES = ['admin', 'editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3 };
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+
+/**
+ * Error raised when a membership change is not allowed
+ */
+class MembershipError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MembershipError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role - Member's role
+ * @param {string} required - Role needed
+ * @returns {boolean} True when allowed
+ */
+function hasRole(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+/**
+ * Check a workspace name
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWorkspaceName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_WORKSPACE_NAME_LENGTH) {
+    return `name is required and must be at most ${MAX_WORKSPACE_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  MembershipError,
+  hasRole,
+  validateWorkspaceName
+};